@@ -6,6 +6,34 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
+const { pipeline } = require('stream');
+
+const config = require('./lib/config');
+const { createStore } = require('./lib/store');
+const { createLogger, EVENTS } = require('./lib/logger');
+const { createClassStats } = require('./lib/classStats');
+const { createLatencyStats } = require('./lib/latencyStats');
+const { createTelemetry, createTrackCounter } = require('./lib/telemetry');
+const { createSessionManager } = require('./lib/sessions');
+const { createAuth } = require('./lib/auth');
+const { createRateLimiter } = require('./lib/rateLimit');
+const { createMetrics } = require('./lib/metrics');
+const { createStreamHub } = require('./lib/stream');
+const { parseExportQuery, createExporter } = require('./lib/export');
+const { createDetector } = require('./lib/detector');
+const { createZones, shapeErrors } = require('./lib/zones');
+const { createAlerts, ruleErrors } = require('./lib/alerts');
+const { createSnapshots } = require('./lib/snapshots');
+const { createDataset } = require('./lib/dataset');
+const { createDatasetExporter } = require('./lib/datasetFormats');
+const { createModelRegistry } = require('./lib/models');
+const { createPrivacy } = require('./lib/privacy');
+const { createRetention } = require('./lib/retention');
+const { buildOpenApiSpec, undocumentedRoutes, listOperations } = require('./lib/openapi');
+const { ApiError, ERROR_CODES, errors, sendError } = require('./lib/errors');
+const { validateBody } = require('./lib/validation');
+const schemas = require('./lib/schemas');
+const timeseries = require('./lib/timeseries');
 
 const app = express();
 
@@ -14,29 +42,272 @@ const app = express();
 // ==========================================
 const PORT = process.env.PORT || 3000;
 
+// Tamaño máximo del cuerpo de /api/telemetry/batch
+const BATCH_BODY_LIMIT = '1mb';
+
+// Margen para los campos que acompañan a la imagen en base64 de /api/detect
+const DETECT_JSON_OVERHEAD = 64 * 1024;
+
+// ==========================================
+// MÉTRICAS
+// ==========================================
+// Va antes que cualquier otro middleware para medir todas las peticiones.
+// store y rateLimiter se leen solo al exportar /metrics
+const metrics = createMetrics({
+  activeSessions: () => store.listSessions().filter(s => !s.endTime).length,
+  rateLimitSummary: () => rateLimiter.summary()
+});
+app.use(metrics.httpMiddleware);
+
 // ==========================================
 // MIDDLEWARE
 // ==========================================
-app.use(cors());
+// Detrás de un proxy (Vercel) req.ip se toma de X-Forwarded-For
+app.set('trust proxy', config.trustProxyHops);
+app.use(cors({
+  origin: config.corsOrigins.length > 0 ? config.corsOrigins : '*'
+}));
+// Los lotes de telemetría pueden ser más grandes y llegar como text/plain
+// desde navigator.sendBeacon; se parsean antes que el resto
+app.use('/api/telemetry/batch', express.json({
+  type: ['application/json', 'text/plain'],
+  limit: BATCH_BODY_LIMIT
+}));
+// /api/detect acepta la imagen en base64 dentro del JSON (o como
+// multipart/form-data, que se parsea en la propia ruta)
+app.use('/api/detect', express.json({
+  limit: Math.ceil(config.detect.maxImageBytes * 4 / 3) + DETECT_JSON_OVERHEAD
+}));
+// La API solo acepta JSON: los formularios (urlencoded) se rechazan con 415
 app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+
+// Los datos persistidos y los logs solo son accesibles a través de la API
+const PRIVATE_STATIC_DIRS = ['/data', '/logs'];
+app.use((req, res, next) => {
+  if (PRIVATE_STATIC_DIRS.some(dir => req.path === dir || req.path.startsWith(dir + '/'))) {
+    return res.status(404).send('No encontrado');
+  }
+  next();
+});
+
+// Copias locales de librerías y modelos (npm run vendor:fetch). Las rutas
+// de vendor/ llevan la versión, así que se pueden cachear sin revalidar. Si
+// falta un fichero se responde 404 en vez de index.html, para que el
+// navegador recurra a la CDN
+app.use('/vendor', express.static(config.models.vendorDir, { maxAge: '30d', immutable: true }),
+  (req, res) => res.status(404).send('No encontrado'));
+app.use('/models', express.static(config.models.modelsDir),
+  (req, res) => res.status(404).send('No encontrado'));
 
 // Servir archivos estáticos desde la raíz
 app.use(express.static(path.join(__dirname, '..')));
 
 // ==========================================
-// DATOS EN MEMORIA
+// AUTENTICACIÓN
+// ==========================================
+// Las rutas de escritura exigen el token de la sesión; las de lectura y
+// administración, una API key con rol 'viewer' o 'admin'
+const auth = createAuth(config.auth);
+const requireViewer = auth.requireRole('viewer');
+const requireAdmin = auth.requireRole('admin');
+
+// Límites por IP y por sesión en las rutas de telemetría
+const rateLimiter = createRateLimiter(config.rateLimit);
+
+// ==========================================
+// ALMACENAMIENTO Y ESTADÍSTICAS
 // ==========================================
+const store = createStore(config.store);
+const logger = createLogger(config.logs);
+
+// IPs y user agents se guardan anonimizados; las sesiones guardadas antes
+// (o con un modo menos estricto) se anonimizan al arrancar
+const privacy = createPrivacy(config.privacy);
+const anonymized = store.listSessions().filter(session => privacy.anonymizeSession(session));
+if (anonymized.length > 0) {
+  anonymized.forEach(session => store.saveSession(session));
+  store.compact();
+  console.log(`🕶️ ${anonymized.length} sesiones guardadas anonimizadas`);
+}
+
+// Los totales se mantienen en memoria para responder rápido, pero se
+// reconstruyen desde el almacenamiento en cada arranque
 const stats = {
   totalSessions: 0,
   totalDetections: 0,
   totalFaceDetections: 0,
   totalInteractions: 0,
-  sessions: new Map(),
   serverStartTime: new Date(),
   lastUpdated: new Date()
 };
 
+// Conteos por clase, histogramas de confianza y desglose por modelo
+const classStats = createClassStats();
+
+// Actividad por minuto para /api/stats/timeseries
+const activity = timeseries.createActivityCounters();
+
+// Percentiles de los tiempos por etapa medidos en el navegador
+const latencyStats = createLatencyStats(config.latency);
+
+// Reglas de alerta evaluadas con cada frame y entregadas por webhook
+const alerts = createAlerts({ store, logger, metrics, ...config.alerts });
+
+// Objetos seguidos (trackerId, trackId) ya contados en cada sesión abierta
+const tracks = createTrackCounter();
+const telemetry = createTelemetry({ store, stats, classStats, activity, latencyStats, alerts, tracks, logger, metrics });
+
+const sessionManager = createSessionManager({
+  store,
+  telemetry,
+  logger,
+  ...config.sessions
+});
+
+// Zonas y líneas de conteo con sus entradas/salidas
+const zones = createZones({ store, logger, metrics, ...config.zones });
+
+// Capturas y clips anotados subidos desde el navegador
+const snapshots = createSnapshots({ ...config.snapshots, logger, metrics });
+
+// Dataset de anotación: frames con cajas para entrenar modelos propios
+const dataset = createDataset({ ...config.dataset, logger });
+const datasetExporter = createDatasetExporter({ dataset, logger });
+
+// Retención de sesiones y registros, y borrado a petición
+const retention = createRetention({
+  store,
+  sessionManager,
+  snapshots,
+  dataset,
+  zones,
+  alerts,
+  tracks,
+  stats,
+  recountRecords,
+  logger,
+  ...config.retention
+});
+
+// Modelos y librerías servidos por el propio servidor (/api/models)
+const modelRegistry = createModelRegistry(config.models);
+
+// Inferencia en el servidor para clientes sin navegador (/api/detect)
+const detector = createDetector({ ...config.detect, logger });
+
+// Recalcula desde los registros guardados los conteos por clase, la
+// actividad por intervalo y los tiempos por etapa: al arrancar y tras borrar registros (retención y
+// borrado a petición). Los objetos seguidos (trackId) se cuentan una vez por
+// sesión, igual que al registrarlos, con el contador de tracks que se pase
+function recountRecords(trackCounter) {
+  classStats.reset();
+  activity.reset();
+  latencyStats.reset();
+
+  store.readAll('detections').forEach(record => {
+    classStats.record({
+      detections: trackCounter.count(record.sessionId, record.detections || [], record.trackerId),
+      detectionType: record.detectionType
+    });
+    activity.recordDetection(record);
+    latencyStats.record(record);
+  });
+
+  store.readAll('interactions').forEach(record => activity.recordInteraction(record));
+}
+
+// Las sesiones archivadas por el límite de almacenamiento siguen contando
+function rebuildStats() {
+  const sessions = store.listSessions();
+  const archived = sessionManager.archivedTotals();
+
+  stats.totalSessions = archived.sessions + sessions.length;
+  stats.totalFaceDetections = archived.faceDetections +
+    sessions.reduce((acc, s) => acc + s.faceDetections, 0);
+  stats.totalDetections = archived.faceDetections + archived.objectDetections +
+    sessions.reduce((acc, s) => acc + s.faceDetections + s.objectDetections, 0);
+  stats.totalInteractions = archived.interactions +
+    sessions.reduce((acc, s) => acc + s.interactions, 0);
+
+  const lastActivity = sessions
+    .map(s => s.lastActivity || s.startTime)
+    .reduce((latest, date) => (date > latest ? date : latest), null);
+  if (lastActivity) stats.lastUpdated = lastActivity;
+
+  recountRecords(tracks);
+  sessions
+    .filter(s => s.endTime)
+    .forEach(s => tracks.forgetSession(s.sessionId));
+
+  zones.rebuild();
+  alerts.rebuild();
+
+  console.log(`📦 Almacenamiento '${store.backend}': ${stats.totalSessions} sesiones recuperadas`);
+}
+
+rebuildStats();
+
+const exporter = createExporter({ store, sessionManager });
+
+// Contadores que /api/stream compara para enviar solo los cambios
+const streamHub = createStreamHub({
+  logger,
+  readTotals: () => ({
+    totalSessions: stats.totalSessions,
+    activeSessions: store.listSessions().filter(s => !s.endTime).length,
+    totalDetections: stats.totalDetections,
+    totalFaceDetections: stats.totalFaceDetections,
+    totalInteractions: stats.totalInteractions,
+    rejectedRequests: rateLimiter.summary().rejected.total
+  }),
+  ...config.stream
+});
+
+// Cierre de sesiones inactivas, purga por retención y entregas de alertas
+// pendientes: periódicos y, por si el proceso estaba congelado (Vercel),
+// también antes de atender peticiones de la API. La caducidad de las
+// capturas se revisa también antes de atender peticiones
+sessionManager.start();
+retention.start();
+alerts.start();
+app.use('/api', (req, res, next) => {
+  try {
+    sessionManager.maybeReap();
+  } catch (error) {
+    console.error('❌ Error en el barrido de sesiones:', error);
+    logger.error('sessions/reap', error);
+  }
+  try {
+    retention.maybePurge();
+  } catch (error) {
+    console.error('❌ Error en la purga por retención:', error);
+    logger.error('retention/purge', error);
+  }
+  try {
+    snapshots.maybeEnforceRetention();
+  } catch (error) {
+    console.error('❌ Error en la retención de capturas:', error);
+    logger.error('snapshots/retention', error);
+  }
+  alerts.drainDeliveries().catch(error => {
+    console.error('❌ Error entregando alertas:', error);
+    logger.error('alerts/deliver', error);
+  });
+  next();
+});
+
+// Especificación OpenAPI: se sirve en /api/openapi.json y de ella salen
+// /docs y la lista de endpoints del dashboard
+const openApiSpec = buildOpenApiSpec();
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
 // ==========================================
 // RUTAS PRINCIPALES
 // ==========================================
@@ -166,64 +437,53 @@ app.get('/', (req, res) => {
             <h2 style="color: #60a5fa; margin-bottom: 1rem;">📊 Estadísticas del Sistema</h2>
             <div class="stats-grid">
               <div class="stat">
-                <div class="stat-value" id="totalSessions">${stats.totalSessions}</div>
+                <div class="stat-value" id="totalSessions">–</div>
                 <div class="stat-label">Sesiones</div>
               </div>
               <div class="stat">
-                <div class="stat-value" id="totalDetections">${stats.totalDetections}</div>
+                <div class="stat-value" id="totalDetections">–</div>
                 <div class="stat-label">Detecciones</div>
               </div>
               <div class="stat">
-                <div class="stat-value" id="totalInteractions">${stats.totalInteractions}</div>
+                <div class="stat-value" id="totalInteractions">–</div>
                 <div class="stat-label">Interacciones</div>
               </div>
               <div class="stat">
-                <div class="stat-value">${Array.from(stats.sessions.values()).filter(s => !s.endTime).length}</div>
+                <div class="stat-value" id="activeSessions">–</div>
                 <div class="stat-label">Activas</div>
               </div>
             </div>
           </div>
           
+          <div class="card">
+            <h2 style="color: #60a5fa; margin-bottom: 1rem;">🔑 Acceso de administración</h2>
+            <p style="color: #94a3b8; margin-bottom: 1rem;">Las estadísticas, sesiones y logs requieren una API key (ADMIN_API_KEYS o VIEWER_API_KEYS). Se guarda solo en este navegador.</p>
+            <input type="password" id="apiKeyInput" placeholder="API key" autocomplete="off"
+                   style="padding: 0.75rem; border-radius: 8px; border: 1px solid #334155; background: #0f172a; color: white; width: 60%;">
+            <button onclick="saveApiKey()" class="btn">💾 Guardar</button>
+            <p id="authStatus" style="color: #94a3b8; margin-top: 0.5rem;"></p>
+          </div>
+          
           <div class="card">
             <h2 style="color: #60a5fa; margin-bottom: 1rem;">🚀 Acciones Rápidas</h2>
             <div style="margin-bottom: 1.5rem;">
               <a href="/api/health" class="btn">🩺 Health Check</a>
               <a href="/api/stats" class="btn">📈 Ver Estadísticas</a>
               <a href="/api/logs" class="btn">📋 Ver Logs</a>
+              <a href="/logs.html" class="btn">📊 Panel de Logs</a>
+              <a href="/docs" class="btn">📚 Documentación API</a>
               <button onclick="testSession()" class="btn">🧪 Probar API</button>
             </div>
           </div>
           
           <div class="card">
             <h2 style="color: #60a5fa; margin-bottom: 1rem;">📡 Endpoints API</h2>
+            <p style="color: #94a3b8; margin-bottom: 1rem;">Generados desde <a href="/api/openapi.json" style="color: #60a5fa;">/api/openapi.json</a>. Esquemas, errores y pruebas en <a href="/docs" style="color: #60a5fa;">/docs</a>.</p>
+            ${listOperations(openApiSpec).map(op => `
             <div class="endpoint">
-              <span class="endpoint-method">GET</span>
-              <strong>/api/health</strong> - Verificar estado del servidor
-            </div>
-            <div class="endpoint">
-              <span class="endpoint-method">GET</span>
-              <strong>/api/stats</strong> - Obtener estadísticas globales
-            </div>
-            <div class="endpoint">
-              <span class="endpoint-method">GET</span>
-              <strong>/api/logs</strong> - Listar archivos de log
-            </div>
-            <div class="endpoint">
-              <span class="endpoint-method">POST</span>
-              <strong>/api/session/start</strong> - Iniciar sesión
-            </div>
-            <div class="endpoint">
-              <span class="endpoint-method">POST</span>
-              <strong>/api/detection/record</strong> - Registrar detecciones
-            </div>
-            <div class="endpoint">
-              <span class="endpoint-method">POST</span>
-              <strong>/api/interaction/record</strong> - Registrar interacciones
-            </div>
-            <div class="endpoint">
-              <span class="endpoint-method">POST</span>
-              <strong>/api/session/end</strong> - Finalizar sesión
-            </div>
+              <span class="endpoint-method">${op.method}</span>
+              <strong>${escapeHtml(op.path)}</strong> - ${escapeHtml(op.summary)}
+            </div>`).join('')}
           </div>
           
           <div class="card">
@@ -232,20 +492,52 @@ app.get('/', (req, res) => {
             <p><strong>Entorno:</strong> ${process.env.NODE_ENV || 'production'}</p>
             <p><strong>Tiempo activo:</strong> <span id="uptime">0</span> segundos</p>
             <p><strong>Memoria:</strong> <span id="memory">Cargando...</span></p>
+            <p><strong>Actualización:</strong> <span id="liveStatus">⚪ Sondeo cada 10 s</span></p>
           </div>
         </div>
         
         <script>
+          const API_KEY_STORAGE = 'visionAiProApiKey';
+          
+          function authHeaders() {
+            const apiKey = localStorage.getItem(API_KEY_STORAGE);
+            return apiKey ? { 'X-API-Key': apiKey } : {};
+          }
+          
+          function saveApiKey() {
+            const input = document.getElementById('apiKeyInput');
+            if (input.value.trim()) {
+              localStorage.setItem(API_KEY_STORAGE, input.value.trim());
+            } else {
+              localStorage.removeItem(API_KEY_STORAGE);
+            }
+            input.value = '';
+            updateStats();
+            reconnectStream();
+          }
+          
+          function showTotals(totals, uptime) {
+            document.getElementById('totalSessions').textContent = totals.totalSessions || 0;
+            document.getElementById('totalDetections').textContent = totals.totalDetections || 0;
+            document.getElementById('totalInteractions').textContent = totals.totalInteractions || 0;
+            document.getElementById('activeSessions').textContent = totals.activeSessions || 0;
+            document.getElementById('uptime').textContent = uptime || 0;
+          }
+          
           // Actualizar estadísticas dinámicamente
           async function updateStats() {
             try {
-              const response = await fetch('/api/stats');
+              const response = await fetch('/api/stats', { headers: authHeaders() });
               const data = await response.json();
               
-              document.getElementById('totalSessions').textContent = data.statistics?.totalSessions || 0;
-              document.getElementById('totalDetections').textContent = data.statistics?.totalDetections || 0;
-              document.getElementById('totalInteractions').textContent = data.statistics?.totalInteractions || 0;
-              document.getElementById('uptime').textContent = data.uptime || 0;
+              const authStatus = document.getElementById('authStatus');
+              if (response.status === 401 || response.status === 403) {
+                authStatus.textContent = '🔒 ' + data.error.message;
+                return;
+              }
+              authStatus.textContent = '✅ API key aceptada';
+              
+              showTotals(data.statistics || {}, data.uptime);
               
               if (data.system?.memory) {
                 document.getElementById('memory').textContent = data.system.memory;
@@ -272,28 +564,32 @@ app.get('/', (req, res) => {
               if (!startData.success) throw new Error('Error iniciando sesión');
               
               const sessionId = startData.sessionId;
+              const sessionHeaders = {
+                'Content-Type': 'application/json',
+                'X-Session-Token': startData.sessionToken
+              };
               
               // 2. Registrar detección
               await fetch('/api/detection/record', {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers: sessionHeaders,
                 body: JSON.stringify({
                   sessionId,
                   faceCount: 2,
                   objectCount: 5,
                   confidenceLevel: 0.85,
-                  detectionType: 'test'
+                  detectionType: 'coco-ssd'
                 })
               });
               
               // 3. Registrar interacción
               await fetch('/api/interaction/record', {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers: sessionHeaders,
                 body: JSON.stringify({
                   sessionId,
                   widgetName: 'filterSelect',
-                  action: 'click',
+                  action: 'change',
                   value: 'blur'
                 })
               });
@@ -301,7 +597,7 @@ app.get('/', (req, res) => {
               // 4. Finalizar sesión
               await fetch('/api/session/end', {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers: sessionHeaders,
                 body: JSON.stringify({ sessionId })
               });
               
@@ -320,9 +616,80 @@ app.get('/', (req, res) => {
             }
           }
           
-          // Actualizar al cargar y cada 10 segundos
+          // Datos en vivo desde /api/stream (fetch, para poder enviar la API
+          // key). Si se corta, sondeo cada 10 s y reintento con espera exponencial
+          let pollTimer = null;
+          let streamController = null;
+          let streamBackoff = 1000;
+          
+          function startPolling() {
+            if (!pollTimer) pollTimer = setInterval(updateStats, 10000);
+            document.getElementById('liveStatus').textContent = '⚪ Sondeo cada 10 s';
+          }
+          
+          function handleStreamFrame(frame) {
+            let eventName = 'message';
+            let data = null;
+            frame.split('\\n').forEach(line => {
+              if (line.startsWith('event:')) eventName = line.slice(6).trim();
+              else if (line.startsWith('data:')) data = JSON.parse(line.slice(5));
+            });
+            if (!data) return;
+            
+            if (eventName === 'snapshot' || eventName === 'stats') {
+              showTotals(data.totals, data.uptime);
+            } else if (eventName === 'session') {
+              const label = data.type === 'start' ? 'iniciada' : 'cerrada';
+              document.getElementById('liveStatus').textContent =
+                '🟢 En vivo · sesión ' + label + ' ' + new Date(data.ts).toLocaleTimeString();
+            }
+          }
+          
+          async function connectStream() {
+            if (!window.ReadableStream || !window.TextDecoder) return startPolling();
+            
+            streamController = new AbortController();
+            try {
+              const response = await fetch('/api/stream', {
+                headers: authHeaders(),
+                signal: streamController.signal
+              });
+              if (response.status === 401 || response.status === 403) return startPolling();
+              if (!response.ok || !response.body) throw new Error('HTTP ' + response.status);
+              
+              clearInterval(pollTimer);
+              pollTimer = null;
+              streamBackoff = 1000;
+              document.getElementById('liveStatus').textContent = '🟢 En vivo';
+              
+              const reader = response.body.getReader();
+              const decoder = new TextDecoder();
+              let buffer = '';
+              while (true) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                buffer += decoder.decode(value, { stream: true });
+                const frames = buffer.split('\\n\\n');
+                buffer = frames.pop();
+                frames.forEach(handleStreamFrame);
+              }
+              throw new Error('Stream cerrado');
+            } catch (error) {
+              if (error.name === 'AbortError') return;
+              startPolling();
+              setTimeout(connectStream, streamBackoff);
+              streamBackoff = Math.min(streamBackoff * 2, 30000);
+            }
+          }
+          
+          function reconnectStream() {
+            if (streamController) streamController.abort();
+            streamBackoff = 1000;
+            connectStream();
+          }
+          
           updateStats();
-          setInterval(updateStats, 10000);
+          connectStream();
         </script>
       </body>
       </html>
@@ -379,213 +746,1025 @@ app.get('/logs.html', (req, res) => {
   }
 });
 
+// 3. RUTA DOCS - Documentación interactiva de la API
+app.get('/docs', (req, res) => {
+  const docsPath = path.join(__dirname, '..', 'public', 'docs.html');
+
+  if (fs.existsSync(docsPath)) {
+    return res.sendFile(docsPath);
+  }
+
+  // Sin la página, la especificación sigue disponible en crudo
+  res.redirect('/api/openapi.json');
+});
+
+// 4. SERVICE WORKER
+// Desde la raíz para que su ámbito cubra toda la aplicación, y sin caché
+// HTTP para que el navegador detecte enseguida las versiones nuevas
+app.get('/sw.js', (req, res) => {
+  res.set('Cache-Control', 'no-cache');
+  res.sendFile(path.join(__dirname, '..', 'public', 'sw.js'));
+});
+
+// 5. WORKER DE INFERENCIA
+// Los modelos corren en este worker para no bloquear la página. Sin caché
+// HTTP por la misma razón que el service worker
+app.get('/inference-worker.js', (req, res) => {
+  res.set('Cache-Control', 'no-cache');
+  res.sendFile(path.join(__dirname, '..', 'public', 'inference-worker.js'));
+});
+
 // ==========================================
 // RUTAS API
 // ==========================================
 
-// 3. HEALTH CHECK
+// 6. HEALTH CHECK
+// Público para los monitores de disponibilidad; los detalles del proceso
+// solo se muestran con una API key
 app.get('/api/health', (req, res) => {
-  res.json({
+  const health = {
     status: 'healthy',
     timestamp: new Date().toISOString(),
-    uptime: Math.round(process.uptime()),
-    memory: process.memoryUsage(),
-    server: 'Vision AI Pro API',
-    environment: process.env.NODE_ENV || 'production',
-    nodeVersion: process.version
-  });
+    server: 'Vision AI Pro API'
+  };
+
+  if (auth.roleFromRequest(req)) {
+    Object.assign(health, {
+      uptime: Math.round(process.uptime()),
+      memory: process.memoryUsage(),
+      environment: process.env.NODE_ENV || 'production',
+      nodeVersion: process.version,
+      detector: detector.status(),
+      models: modelRegistry.summary(),
+      retention: retention.summary()
+    });
+  }
+
+  res.json(health);
+});
+
+// 7. ESPECIFICACIÓN OPENAPI
+// Pública, como /docs
+app.get('/api/openapi.json', (req, res) => {
+  res.json(openApiSpec);
+});
+
+// 8. MODELOS Y LIBRERÍAS LOCALES
+// Público: el navegador y el service worker lo consultan antes de cargar
+// los modelos
+app.get('/api/models', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      ...modelRegistry.list(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error en /api/models:', error);
+    logger.error('models/list', error);
+    sendError(res, error, 'Error listando modelos');
+  }
+});
+
+// 9. POLÍTICA DE PRIVACIDAD
+// Pública: el navegador la consulta para saber si el modo privacidad es
+// obligatorio
+app.get('/api/privacy', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      ...privacy.policy(),
+      retentionDays: config.retention.retentionDays,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error en /api/privacy:', error);
+    logger.error('privacy', error);
+    sendError(res, error, 'Error obteniendo la política de privacidad');
+  }
 });
 
-// 4. INICIAR SESIÓN
-app.post('/api/session/start', (req, res) => {
+// 10. MÉTRICAS PROMETHEUS
+// Formato de exposición de texto; Prometheus debe enviar la API key como
+// bearer token (authorization.credentials en scrape_config)
+app.get('/metrics', requireViewer, (req, res) => {
   try {
-    const sessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    res.set('Content-Type', metrics.contentType);
+    res.send(metrics.render());
+  } catch (error) {
+    console.error('❌ Error en /metrics:', error);
+    logger.error('metrics', error);
+    sendError(res, error, 'Error generando métricas');
+  }
+});
+
+// IP real de cada sesión abierta, solo en memoria. El límite de sesiones
+// por IP no puede usar la guardada: anonimizada (p. ej. a /24), todos los
+// usuarios detrás de un mismo NAT compartirían el límite. Las sesiones de
+// antes de un reinicio no cuentan; se liberan al vencer la inactividad
+const sessionIps = new Map();
+
+// 11. INICIAR SESIÓN
+app.post(
+  '/api/session/start',
+  rateLimiter.byIp('sessionStart'),
+  validateBody(schemas.sessionStart),
+  (req, res) => {
+    try {
+      const ip = req.ip || req.connection.remoteAddress;
+
+      // Las sesiones abiertas se liberan como tarde al vencer la inactividad;
+      // las ya cerradas o borradas se olvidan aquí
+      let openSessions = 0;
+      sessionIps.forEach((sessionIp, id) => {
+        const session = store.getSession(id);
+        if (!session || session.endTime) {
+          sessionIps.delete(id);
+        } else if (sessionIp === ip) {
+          openSessions++;
+        }
+      });
+      const retryAfter = Math.ceil(config.sessions.idleTimeoutMs / 1000);
+      if (!rateLimiter.checkSessionCap(res, openSessions, retryAfter)) return;
+
+      const sessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     
-    const sessionData = {
-      sessionId,
-      startTime: new Date(),
-      userAgent: req.headers['user-agent'] || 'Unknown',
-      ip: req.ip || req.connection.remoteAddress,
-      faceDetections: 0,
-      objectDetections: 0,
-      interactions: 0,
-      filters: []
-    };
+      const sessionData = {
+        sessionId,
+        startTime: new Date(),
+        userAgent: privacy.reduceUserAgent(req.headers['user-agent']),
+        ip: privacy.anonymizeIp(ip),
+        faceDetections: 0,
+        objectDetections: 0,
+        interactions: 0,
+        classCounts: {},
+        filters: []
+      };
+
+      store.saveSession(sessionData);
+      sessionIps.set(sessionId, ip);
+      stats.totalSessions++;
+      stats.lastUpdated = new Date();
+      metrics.sessionsStarted.inc();
+
+      logger.log(EVENTS.SESSION_START, {
+        sessionId,
+        userAgent: sessionData.userAgent
+      });
+      console.log('✅ Sesión iniciada:', sessionId);
+
+      res.json({
+        success: true,
+        sessionId,
+        sessionToken: auth.issueSessionToken(sessionId),
+        message: 'Sesión iniciada correctamente',
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ Error en session/start:', error);
+      logger.error('session/start', error);
+      sendError(res, error, 'Error interno del servidor');
+    }
+  }
+);
+
+// 12. REGISTRAR DETECCIONES
+app.post(
+  '/api/detection/record',
+  rateLimiter.byIp('detection'),
+  validateBody(schemas.detectionRecord),
+  auth.requireSessionToken,
+  rateLimiter.bySession('detection'),
+  (req, res) => {
+    try {
+      const { sessionId } = req.body;
+
+      const session = store.getSession(sessionId);
+      if (!session) {
+        return sendError(res, errors.sessionNotFound());
+      }
+
+      if (session.endTime) {
+        return sendError(res, errors.sessionEnded(session));
+      }
+
+      telemetry.recordDetection(session, req.body);
+      store.saveSession(session);
+
+      console.log('✅ Detección registrada para sesión:', sessionId);
+
+      res.json({
+        success: true,
+        message: 'Detección registrada',
+        sessionStats: {
+          faceDetections: session.faceDetections,
+          objectDetections: session.objectDetections,
+          totalDetections: session.faceDetections + session.objectDetections,
+          classCounts: session.classCounts
+        },
+        globalStats: {
+          totalFaceDetections: stats.totalFaceDetections,
+          totalDetections: stats.totalDetections
+        },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ Error en detection/record:', error);
+      logger.error('detection/record', error, { sessionId: req.body && req.body.sessionId });
+      sendError(res, error, 'Error procesando detección');
+    }
+  }
+);
+
+// 13. REGISTRAR INTERACCIONES
+app.post(
+  '/api/interaction/record',
+  rateLimiter.byIp('interaction'),
+  validateBody(schemas.interactionRecord),
+  auth.requireSessionToken,
+  rateLimiter.bySession('interaction'),
+  (req, res) => {
+    try {
+      const { sessionId } = req.body;
+
+      const session = store.getSession(sessionId);
+      if (!session) {
+        return sendError(res, errors.sessionNotFound());
+      }
+
+      if (session.endTime) {
+        return sendError(res, errors.sessionEnded(session));
+      }
+
+      telemetry.recordInteraction(session, req.body);
+      store.saveSession(session);
+
+      console.log('✅ Interacción registrada para sesión:', sessionId);
+
+      res.json({
+        success: true,
+        message: 'Interacción registrada',
+        totalInteractionsInSession: session.interactions,
+        filters: session.filters,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ Error en interaction/record:', error);
+      logger.error('interaction/record', error, { sessionId: req.body && req.body.sessionId });
+      sendError(res, error, 'Error procesando interacción');
+    }
+  }
+);
+
+// 14. FINALIZAR SESIÓN
+app.post(
+  '/api/session/end',
+  rateLimiter.byIp('sessionEnd'),
+  validateBody(schemas.sessionEnd),
+  auth.requireSessionToken,
+  (req, res) => {
+    try {
+      const { sessionId } = req.body;
+
+      const session = store.getSession(sessionId);
+      if (!session) {
+        return sendError(res, errors.sessionNotFound());
+      }
+
+      if (telemetry.endSession(session, { reason: 'client' })) {
+        store.saveSession(session);
+      }
+
+      console.log('✅ Sesión finalizada:', sessionId);
+
+      res.json({
+        success: true,
+        message: 'Sesión finalizada',
+        sessionStats: {
+          faceDetections: session.faceDetections,
+          objectDetections: session.objectDetections,
+          interactions: session.interactions,
+          duration: session.duration,
+          filters: session.filters
+        },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ Error en session/end:', error);
+      logger.error('session/end', error, { sessionId: req.body && req.body.sessionId });
+      sendError(res, error, 'Error finalizando sesión');
+    }
+  }
+);
+
+// 15. TELEMETRÍA POR LOTES
+// Recibe un array mixto de eventos de detección e interacción con sus
+// timestamps de cliente. Con endSession: true se cierra la sesión tras
+// procesar el lote (envío final con sendBeacon al cerrar la página).
+app.post(
+  '/api/telemetry/batch',
+  rateLimiter.byIp('batch'),
+  validateBody(schemas.telemetryBatch, { contentTypes: ['application/json', 'text/plain'] }),
+  auth.requireSessionToken,
+  rateLimiter.bySession('batch'),
+  (req, res) => {
+    try {
+      const { sessionId, events, endSession } = req.body;
+
+      const session = store.getSession(sessionId);
+      if (!session) {
+        return sendError(res, errors.sessionNotFound());
+      }
+
+      if (session.endTime) {
+        return sendError(res, errors.sessionEnded(session));
+      }
+
+      const receivedAt = new Date();
+      let detectionEvents = 0;
+      let interactionEvents = 0;
+      let zoneEvents = 0;
+      let faces = 0;
+      let objects = 0;
+
+      events.forEach(event => {
+        if (event.type === 'detection') {
+          const result = telemetry.recordDetection(session, event, { receivedAt, log: false });
+          faces += result.faces;
+          objects += result.objects;
+          detectionEvents++;
+        } else if (event.type === 'zone') {
+          if (zones.recordEvent(session, event, { receivedAt })) zoneEvents++;
+        } else {
+          telemetry.recordInteraction(session, event, { receivedAt });
+          interactionEvents++;
+        }
+      });
+
+      // Un solo evento de log por lote para no inundar los logs con un
+      // registro por frame
+      if (detectionEvents > 0) {
+        logger.log(EVENTS.DETECTION_BATCH, {
+          sessionId,
+          frames: detectionEvents,
+          faceCount: faces,
+          objectCount: objects
+        });
+      }
+
+      if (zoneEvents > 0) {
+        logger.log(EVENTS.ZONE_EVENTS, { sessionId, count: zoneEvents });
+      }
+
+      const ended = endSession ? telemetry.endSession(session, { reason: 'client', endedAt: receivedAt }) : false;
+      store.saveSession(session);
+
+      console.log(`✅ Lote registrado para sesión ${sessionId}: ${detectionEvents} detecciones, ${interactionEvents} interacciones, ${zoneEvents} cruces de zona`);
+
+      res.json({
+        success: true,
+        accepted: detectionEvents + interactionEvents + zoneEvents,
+        sessionEnded: ended,
+        sessionStats: {
+          faceDetections: session.faceDetections,
+          objectDetections: session.objectDetections,
+          interactions: session.interactions
+        },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ Error en telemetry/batch:', error);
+      logger.error('telemetry/batch', error, { sessionId: req.body && req.body.sessionId });
+      sendError(res, error, 'Error procesando lote de telemetría');
+    }
+  }
+);
+
+// 16. DETECCIÓN EN EL SERVIDOR
+// Para kioscos, scripts y tareas programadas sin navegador: recibe un frame
+// JPEG/PNG (multipart, campo 'image', o base64 en JSON), ejecuta COCO-SSD y
+// registra el resultado en la sesión como un frame de /api/detection/record
+app.post(
+  '/api/detect',
+  rateLimiter.byIp('detect'),
+  detector.upload,
+  validateBody(schemas.detectRequest, { contentTypes: ['application/json', 'multipart/form-data'] }),
+  auth.requireSessionToken,
+  rateLimiter.bySession('detect'),
+  async (req, res) => {
+    try {
+      const { sessionId, image, confidenceThreshold, maxDetections, timestamp } = req.body;
+
+      const session = store.getSession(sessionId);
+      if (!session) {
+        return sendError(res, errors.sessionNotFound());
+      }
+
+      if (session.endTime) {
+        return sendError(res, errors.sessionEnded(session));
+      }
 
-    stats.sessions.set(sessionId, sessionData);
-    stats.totalSessions++;
-    stats.lastUpdated = new Date();
+      if (!req.file === !image) {
+        return sendError(res, errors.validation([{
+          field: 'image',
+          code: 'required',
+          message: 'Envía la imagen como fichero multipart o en base64, solo una de las dos'
+        }]));
+      }
 
-    console.log('✅ Sesión iniciada:', sessionId);
+      const buffer = req.file ? req.file.buffer : detector.parseBase64Image(image);
+      const result = await detector.detect(buffer, { confidenceThreshold, maxDetections });
+      metrics.detectInference.observe({}, result.inferenceMs / 1000);
 
+      // La sesión puede haberse cerrado mientras esperaba en la cola
+      if (session.endTime) {
+        return sendError(res, errors.sessionEnded(session));
+      }
+
+      const { detections } = result;
+      telemetry.recordDetection(session, {
+        detectionType: 'coco-ssd',
+        confidenceLevel: detections.length > 0
+          ? detections.reduce((acc, d) => acc + d.score, 0) / detections.length
+          : 0,
+        detections,
+        timestamp
+      });
+      store.saveSession(session);
+
+      console.log(`✅ Detección en servidor para sesión ${sessionId}: ${detections.length} objetos en ${result.inferenceMs} ms`);
+
+      res.json({
+        success: true,
+        ...result,
+        sessionStats: {
+          faceDetections: session.faceDetections,
+          objectDetections: session.objectDetections,
+          totalDetections: session.faceDetections + session.objectDetections,
+          classCounts: session.classCounts
+        },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (error.extra && error.extra.retryAfter) {
+        res.set('Retry-After', String(error.extra.retryAfter));
+      }
+      if (!(error instanceof ApiError)) {
+        console.error('❌ Error en /api/detect:', error);
+        logger.error('detect', error, { sessionId: req.body && req.body.sessionId });
+      }
+      sendError(res, error, 'Error ejecutando la detección');
+    }
+  }
+);
+
+// 17. LISTAR ZONAS
+// Público: el navegador las necesita para dibujarlas y contar los cruces
+app.get('/api/zones', (req, res) => {
+  try {
     res.json({
       success: true,
-      sessionId,
-      message: 'Sesión iniciada correctamente',
+      zones: zones.list(),
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    console.error('❌ Error en session/start:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Error interno del servidor'
+    console.error('❌ Error en /api/zones:', error);
+    logger.error('zones/list', error);
+    sendError(res, error, 'Error obteniendo zonas');
+  }
+});
+
+// 18. CREAR ZONA
+app.post('/api/zones', requireAdmin, validateBody(schemas.zoneDefinition), (req, res) => {
+  try {
+    const shapeProblems = shapeErrors(req.body);
+    if (shapeProblems.length > 0) {
+      return sendError(res, errors.validation(shapeProblems));
+    }
+
+    const zone = zones.create(req.body);
+    console.log('✅ Zona creada:', zone.id, zone.name);
+
+    res.status(201).json({
+      success: true,
+      zone,
+      timestamp: new Date().toISOString()
     });
+  } catch (error) {
+    console.error('❌ Error en POST /api/zones:', error);
+    logger.error('zones/create', error);
+    sendError(res, error, 'Error creando zona');
   }
 });
 
-// 5. REGISTRAR DETECCIONES
-app.post('/api/detection/record', (req, res) => {
+// 19. MODIFICAR ZONA
+app.put('/api/zones/:id', requireAdmin, validateBody(schemas.zoneDefinition), (req, res) => {
   try {
-    const { sessionId, faceCount = 0, objectCount = 0, confidenceLevel, detectionType } = req.body;
+    const shapeProblems = shapeErrors(req.body);
+    if (shapeProblems.length > 0) {
+      return sendError(res, errors.validation(shapeProblems));
+    }
 
-    if (!sessionId) {
-      return res.status(400).json({
-        success: false,
-        error: 'sessionId es requerido'
-      });
+    const zone = zones.update(req.params.id, req.body);
+    if (!zone) {
+      return sendError(res, errors.notFound('Zona no encontrada'));
     }
 
-    const session = stats.sessions.get(sessionId);
-    if (!session) {
-      return res.status(404).json({
-        success: false,
-        error: 'Sesión no encontrada'
-      });
+    res.json({
+      success: true,
+      zone,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error en PUT /api/zones/:id:', error);
+    logger.error('zones/update', error, { zoneId: req.params.id });
+    sendError(res, error, 'Error modificando zona');
+  }
+});
+
+// 20. ELIMINAR ZONA
+app.delete('/api/zones/:id', requireAdmin, (req, res) => {
+  try {
+    if (!zones.remove(req.params.id)) {
+      return sendError(res, errors.notFound('Zona no encontrada'));
     }
 
-    session.faceDetections += parseInt(faceCount) || 0;
-    session.objectDetections += parseInt(objectCount) || 0;
-    session.lastActivity = new Date();
+    console.log('🗑️ Zona eliminada:', req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Zona eliminada',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error en DELETE /api/zones/:id:', error);
+    logger.error('zones/delete', error, { zoneId: req.params.id });
+    sendError(res, error, 'Error eliminando zona');
+  }
+});
+
+// 21. SUBIR CAPTURA O CLIP
+// multipart/form-data con el fichero en 'file' (JPEG/PNG/WebP o WebM/MP4)
+// y las detecciones de ese momento
+app.post(
+  '/api/snapshots',
+  rateLimiter.byIp('snapshot'),
+  snapshots.upload,
+  validateBody(schemas.snapshotUpload, { contentTypes: ['multipart/form-data'] }),
+  auth.requireSessionToken,
+  rateLimiter.bySession('snapshot'),
+  (req, res) => {
+    try {
+      const { sessionId } = req.body;
+
+      const session = store.getSession(sessionId);
+      if (!session) {
+        return sendError(res, errors.sessionNotFound());
+      }
 
-    stats.totalFaceDetections += parseInt(faceCount) || 0;
-    stats.totalDetections += (parseInt(faceCount) || 0) + (parseInt(objectCount) || 0);
-    stats.lastUpdated = new Date();
+      if (session.endTime) {
+        return sendError(res, errors.sessionEnded(session));
+      }
 
-    console.log('✅ Detección registrada para sesión:', sessionId);
+      const snapshot = snapshots.save(session, { ...req.body, file: req.file });
+      session.lastActivity = new Date();
+      store.saveSession(session);
+
+      console.log(`📸 ${snapshot.kind === 'clip' ? 'Clip' : 'Captura'} guardada para sesión ${sessionId}:`, snapshot.id);
+
+      res.status(201).json({
+        success: true,
+        snapshot,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      if (!(error instanceof ApiError)) {
+        console.error('❌ Error en POST /api/snapshots:', error);
+        logger.error('snapshots/upload', error, { sessionId: req.body && req.body.sessionId });
+      }
+      sendError(res, error, 'Error guardando la captura');
+    }
+  }
+);
+
+// 22. GALERÍA DE CAPTURAS
+// ?kind=snapshot|clip&sessionId=&class=&page=&limit=
+app.get('/api/snapshots', requireViewer, (req, res) => {
+  try {
+    const query = snapshots.parseListQuery(req.query);
+    if (query.error) {
+      return sendError(res, errors.validation([query.error]));
+    }
 
     res.json({
       success: true,
-      message: 'Detección registrada',
-      sessionStats: {
-        faceDetections: session.faceDetections,
-        objectDetections: session.objectDetections,
-        totalDetections: session.faceDetections + session.objectDetections
-      },
-      globalStats: {
-        totalFaceDetections: stats.totalFaceDetections,
-        totalDetections: stats.totalDetections
-      },
+      ...snapshots.list(query),
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    console.error('❌ Error en detection/record:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Error procesando detección'
+    console.error('❌ Error en /api/snapshots:', error);
+    logger.error('snapshots/list', error);
+    sendError(res, error, 'Error listando capturas');
+  }
+});
+
+// 23. DESCARGAR UNA CAPTURA
+app.get('/api/snapshots/:id/file', requireViewer, (req, res) => {
+  try {
+    const snapshot = snapshots.get(req.params.id);
+    if (!snapshot) {
+      return sendError(res, errors.notFound('Captura no encontrada'));
+    }
+
+    res.set('Cache-Control', 'private, max-age=86400');
+    res.type(snapshot.mimeType);
+    if (req.query.download === 'true') {
+      res.attachment(snapshot.file);
+    }
+    res.sendFile(snapshots.filePath(snapshot), error => {
+      // Borrada por retención entre la consulta y la lectura
+      if (error && !res.headersSent) {
+        sendError(res, errors.notFound('Captura no encontrada'));
+      }
     });
+  } catch (error) {
+    console.error('❌ Error en /api/snapshots/:id/file:', error);
+    logger.error('snapshots/file', error, { snapshotId: req.params.id });
+    sendError(res, error, 'Error leyendo la captura');
   }
 });
 
-// 6. REGISTRAR INTERACCIONES
-app.post('/api/interaction/record', (req, res) => {
+// 24. ELIMINAR UNA CAPTURA
+app.delete('/api/snapshots/:id', requireAdmin, (req, res) => {
   try {
-    const { sessionId, widgetName, action, value } = req.body;
+    if (!snapshots.remove(req.params.id)) {
+      return sendError(res, errors.notFound('Captura no encontrada'));
+    }
+
+    console.log('🗑️ Captura eliminada:', req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Captura eliminada',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error en DELETE /api/snapshots/:id:', error);
+    logger.error('snapshots/delete', error, { snapshotId: req.params.id });
+    sendError(res, error, 'Error eliminando la captura');
+  }
+});
+
+// 25. SUBIR FRAME AL DATASET
+// multipart/form-data con la imagen limpia (JPEG o PNG) en 'file' y las
+// detecciones del modelo como etiquetas previas en 'annotations'
+app.post(
+  '/api/dataset/frames',
+  rateLimiter.byIp('datasetFrame'),
+  dataset.upload,
+  validateBody(schemas.datasetFrameUpload, { contentTypes: ['multipart/form-data'] }),
+  auth.requireSessionToken,
+  rateLimiter.bySession('datasetFrame'),
+  (req, res) => {
+    try {
+      const { sessionId } = req.body;
+
+      const session = store.getSession(sessionId);
+      if (!session) {
+        return sendError(res, errors.sessionNotFound());
+      }
+
+      if (session.endTime) {
+        return sendError(res, errors.sessionEnded(session));
+      }
 
-    if (!sessionId) {
-      return res.status(400).json({
-        success: false,
-        error: 'sessionId es requerido'
+      const frame = dataset.save(session, { ...req.body, file: req.file });
+      session.lastActivity = new Date();
+      store.saveSession(session);
+
+      console.log(`🏷️ Frame del dataset guardado para sesión ${sessionId}:`, frame.id);
+
+      res.status(201).json({
+        success: true,
+        frame,
+        timestamp: new Date().toISOString()
       });
+    } catch (error) {
+      if (!(error instanceof ApiError)) {
+        console.error('❌ Error en POST /api/dataset/frames:', error);
+        logger.error('dataset/upload', error, { sessionId: req.body && req.body.sessionId });
+      }
+      sendError(res, error, 'Error guardando el frame');
+    }
+  }
+);
+
+// 26. LISTAR FRAMES DEL DATASET
+// ?reviewed=true|false&sessionId=&class=&page=&limit=
+app.get('/api/dataset/frames', requireViewer, (req, res) => {
+  try {
+    const query = dataset.parseListQuery(req.query);
+    if (query.error) {
+      return sendError(res, errors.validation([query.error]));
     }
 
-    const session = stats.sessions.get(sessionId);
-    if (!session) {
-      return res.status(404).json({
-        success: false,
-        error: 'Sesión no encontrada'
+    res.json({
+      success: true,
+      ...dataset.list(query),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error en /api/dataset/frames:', error);
+    logger.error('dataset/list', error);
+    sendError(res, error, 'Error listando el dataset');
+  }
+});
+
+// 27. IMAGEN DE UN FRAME DEL DATASET
+app.get('/api/dataset/frames/:id/file', requireViewer, (req, res) => {
+  try {
+    const frame = dataset.get(req.params.id);
+    if (!frame) {
+      return sendError(res, errors.notFound('Frame no encontrado'));
+    }
+
+    res.set('Cache-Control', 'private, max-age=86400');
+    res.type(frame.mimeType);
+    res.sendFile(dataset.filePath(frame), error => {
+      // Borrado entre la consulta y la lectura
+      if (error && !res.headersSent) {
+        sendError(res, errors.notFound('Frame no encontrado'));
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error en /api/dataset/frames/:id/file:', error);
+    logger.error('dataset/file', error, { frameId: req.params.id });
+    sendError(res, error, 'Error leyendo el frame');
+  }
+});
+
+// Los frames los corrige o borra quien los capturó (con el token de su
+// sesión, desde la misma página) o un admin
+function requireFrameEditor(req, res, next) {
+  const frame = dataset.get(req.params.id);
+  if (!frame) {
+    return sendError(res, errors.notFound('Frame no encontrado'));
+  }
+
+  const token = req.get('x-session-token');
+  if (token && auth.verifySessionToken(token) === frame.sessionId) return next();
+  requireAdmin(req, res, next);
+}
+
+// 28. CORREGIR ANOTACIONES DE UN FRAME
+// Sustituye todas las cajas y marca el frame como revisado
+app.put(
+  '/api/dataset/frames/:id',
+  requireFrameEditor,
+  validateBody(schemas.datasetAnnotations),
+  (req, res) => {
+    try {
+      const frame = dataset.update(req.params.id, req.body);
+      if (!frame) {
+        return sendError(res, errors.notFound('Frame no encontrado'));
+      }
+
+      console.log(`🏷️ Anotaciones corregidas en ${frame.id}: ${frame.annotations.length} cajas`);
+
+      res.json({
+        success: true,
+        frame,
+        timestamp: new Date().toISOString()
       });
+    } catch (error) {
+      console.error('❌ Error en PUT /api/dataset/frames/:id:', error);
+      logger.error('dataset/update', error, { frameId: req.params.id });
+      sendError(res, error, 'Error guardando las anotaciones');
+    }
+  }
+);
+
+// 29. ELIMINAR FRAME DEL DATASET
+app.delete('/api/dataset/frames/:id', requireFrameEditor, (req, res) => {
+  try {
+    if (!dataset.remove(req.params.id)) {
+      return sendError(res, errors.notFound('Frame no encontrado'));
+    }
+
+    console.log('🗑️ Frame del dataset eliminado:', req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Frame eliminado',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error en DELETE /api/dataset/frames/:id:', error);
+    logger.error('dataset/delete', error, { frameId: req.params.id });
+    sendError(res, error, 'Error eliminando el frame');
+  }
+});
+
+// 30. EXPORTAR DATASET
+// ?format=coco|voc|yolo&reviewed=true|false&sessionId=&class=
+// ZIP con imágenes y anotaciones generado en streaming; si falla a mitad se
+// corta la conexión
+app.get('/api/dataset/export', requireViewer, async (req, res) => {
+  const query = datasetExporter.parseQuery(req.query);
+  if (query.error) {
+    return sendError(res, errors.validation([query.error]));
+  }
+
+  try {
+    const summary = await datasetExporter.write(res, query);
+    if (summary) {
+      console.log(`📦 Dataset exportado en ${query.format}: ${summary.frames} frames y ${summary.annotations} cajas`);
+    }
+  } catch (error) {
+    console.error('❌ Error en /api/dataset/export:', error);
+    logger.error('dataset/export', error, { format: query.format });
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      sendError(res, error, 'Error exportando el dataset');
     }
+  }
+});
 
-    session.interactions++;
-    session.lastActivity = new Date();
+// 31. LISTAR REGLAS DE ALERTA
+app.get('/api/alerts/rules', requireViewer, (req, res) => {
+  try {
+    res.json({
+      success: true,
+      rules: alerts.list(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error en /api/alerts/rules:', error);
+    logger.error('alerts/rules/list', error);
+    sendError(res, error, 'Error obteniendo reglas de alerta');
+  }
+});
 
-    if (widgetName === 'filterSelect' && value && !session.filters.includes(value)) {
-      session.filters.push(value);
+// 32. CREAR REGLA DE ALERTA
+app.post('/api/alerts/rules', requireAdmin, validateBody(schemas.alertRule), (req, res) => {
+  try {
+    const ruleProblems = ruleErrors(req.body);
+    if (ruleProblems.length > 0) {
+      return sendError(res, errors.validation(ruleProblems));
     }
 
-    stats.totalInteractions++;
-    stats.lastUpdated = new Date();
+    const rule = alerts.create(req.body);
+    console.log('✅ Regla de alerta creada:', rule.id, rule.name);
+
+    res.status(201).json({
+      success: true,
+      rule,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error en POST /api/alerts/rules:', error);
+    logger.error('alerts/rules/create', error);
+    sendError(res, error, 'Error creando regla de alerta');
+  }
+});
+
+// 33. MODIFICAR REGLA DE ALERTA
+app.put('/api/alerts/rules/:id', requireAdmin, validateBody(schemas.alertRule), (req, res) => {
+  try {
+    const ruleProblems = ruleErrors(req.body);
+    if (ruleProblems.length > 0) {
+      return sendError(res, errors.validation(ruleProblems));
+    }
 
-    console.log('✅ Interacción registrada para sesión:', sessionId);
+    const rule = alerts.update(req.params.id, req.body);
+    if (!rule) {
+      return sendError(res, errors.notFound('Regla de alerta no encontrada'));
+    }
 
     res.json({
       success: true,
-      message: 'Interacción registrada',
-      totalInteractionsInSession: session.interactions,
-      filters: session.filters,
+      rule,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    console.error('❌ Error en interaction/record:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Error procesando interacción'
+    console.error('❌ Error en PUT /api/alerts/rules/:id:', error);
+    logger.error('alerts/rules/update', error, { ruleId: req.params.id });
+    sendError(res, error, 'Error modificando regla de alerta');
+  }
+});
+
+// 34. ELIMINAR REGLA DE ALERTA
+app.delete('/api/alerts/rules/:id', requireAdmin, (req, res) => {
+  try {
+    if (!alerts.remove(req.params.id)) {
+      return sendError(res, errors.notFound('Regla de alerta no encontrada'));
+    }
+
+    console.log('🗑️ Regla de alerta eliminada:', req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Regla de alerta eliminada',
+      timestamp: new Date().toISOString()
     });
+  } catch (error) {
+    console.error('❌ Error en DELETE /api/alerts/rules/:id:', error);
+    logger.error('alerts/rules/delete', error, { ruleId: req.params.id });
+    sendError(res, error, 'Error eliminando regla de alerta');
   }
 });
 
-// 7. FINALIZAR SESIÓN
-app.post('/api/session/end', (req, res) => {
+// 35. HISTORIAL DE ALERTAS
+// ?limit=&ruleId= (las más recientes primero, con el estado de sus entregas)
+app.get('/api/alerts', requireViewer, (req, res) => {
   try {
-    const { sessionId } = req.body;
+    const limit = Math.min(config.alerts.historySize, Math.max(1, parseInt(req.query.limit, 10) || 50));
+    const ruleId = typeof req.query.ruleId === 'string' ? req.query.ruleId : null;
 
-    if (!sessionId) {
-      return res.status(400).json({
-        success: false,
-        error: 'sessionId es requerido'
-      });
+    res.json({
+      success: true,
+      alerts: alerts.recent({ limit, ruleId }),
+      summary: alerts.summary(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error en /api/alerts:', error);
+    logger.error('alerts/history', error);
+    sendError(res, error, 'Error obteniendo historial de alertas');
+  }
+});
+
+// 36. LISTAR SESIONES
+// ?state=active|ended|all&from=&to=&userAgent=&page=&limit=&sort=&order=asc|desc
+app.get('/api/sessions', requireViewer, (req, res) => {
+  try {
+    const query = sessionManager.parseListQuery(req.query);
+    if (query.error) {
+      return sendError(res, errors.validation([query.error]));
     }
 
-    const session = stats.sessions.get(sessionId);
+    res.json({
+      success: true,
+      ...sessionManager.list(query),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error en /api/sessions:', error);
+    logger.error('sessions/list', error);
+    sendError(res, error, 'Error listando sesiones');
+  }
+});
+
+// 37. DETALLE DE SESIÓN
+app.get('/api/sessions/:id', requireViewer, (req, res) => {
+  try {
+    const session = store.getSession(req.params.id);
     if (!session) {
-      return res.status(404).json({
-        success: false,
-        error: 'Sesión no encontrada'
-      });
+      return sendError(res, errors.sessionNotFound());
     }
 
-    session.endTime = new Date();
-    session.duration = Math.round((session.endTime - session.startTime) / 1000);
-    session.lastActivity = new Date();
-    stats.lastUpdated = new Date();
+    res.json({
+      success: true,
+      session: sessionManager.detail(session),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error en /api/sessions/:id:', error);
+    logger.error('sessions/detail', error, { sessionId: req.params.id });
+    sendError(res, error, 'Error obteniendo sesión');
+  }
+});
 
-    console.log('✅ Sesión finalizada:', sessionId);
+// 38. BORRAR SESIÓN
+// Borrado a petición del interesado: la sesión, sus registros, sus
+// capturas, sus frames del dataset y sus entradas en los logs. A diferencia
+// de las archivadas, deja de contar en los totales globales
+app.delete('/api/sessions/:id', requireAdmin, (req, res) => {
+  try {
+    const erased = retention.erase(req.params.id);
+    if (!erased) {
+      return sendError(res, errors.sessionNotFound());
+    }
 
     res.json({
       success: true,
-      message: 'Sesión finalizada',
-      sessionStats: {
-        faceDetections: session.faceDetections,
-        objectDetections: session.objectDetections,
-        interactions: session.interactions,
-        duration: session.duration,
-        filters: session.filters
-      },
+      message: 'Sesión borrada',
+      sessionId: req.params.id,
+      ...erased,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    console.error('❌ Error en session/end:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Error finalizando sesión'
-    });
+    console.error('❌ Error en DELETE /api/sessions/:id:', error);
+    logger.error('sessions/erase', error, { sessionId: req.params.id });
+    sendError(res, error, 'Error borrando la sesión');
   }
 });
 
-// 8. OBTENER ESTADÍSTICAS
-app.get('/api/stats', (req, res) => {
+// 39. OBTENER ESTADÍSTICAS
+app.get('/api/stats', requireViewer, (req, res) => {
   try {
-    const activeSessions = Array.from(stats.sessions.values())
+    const activeSessions = store.listSessions()
       .filter(s => !s.endTime).length;
 
     res.json({
@@ -605,6 +1784,28 @@ app.get('/api/stats', (req, res) => {
           ? Math.round(stats.totalDetections / stats.totalSessions) 
           : 0
       },
+
+      storage: {
+        backend: store.backend
+      },
+
+      // Peticiones rechazadas con 429 desde el arranque del proceso
+      rateLimit: rateLimiter.summary(),
+
+      // Inferencia en el servidor (/api/detect)
+      detector: detector.status(),
+
+      // Entradas y salidas por zona y clase
+      zones: zones.summary(),
+
+      // Reglas de alerta y alertas disparadas
+      alerts: alerts.summary(),
+
+      // Capturas y clips guardados
+      snapshots: snapshots.summary(),
+
+      // Tiempos por etapa medidos en el navegador (ms, últimos frames)
+      latency: latencyStats.summary(),
       
       system: {
         memory: `${Math.round(process.memoryUsage().rss / 1024 / 1024)} MB`,
@@ -617,50 +1818,183 @@ app.get('/api/stats', (req, res) => {
     });
   } catch (error) {
     console.error('❌ Error en /api/stats:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Error obteniendo estadísticas'
+    logger.error('stats', error);
+    sendError(res, error, 'Error obteniendo estadísticas');
+  }
+});
+
+// 40. ESTADÍSTICAS POR CLASE
+// ?model=coco-ssd|bodypix|combined limita el resumen a un modelo
+app.get('/api/stats/classes', requireViewer, (req, res) => {
+  try {
+    const model = typeof req.query.model === 'string' && req.query.model ? req.query.model : undefined;
+
+    res.json({
+      success: true,
+      ...classStats.summary({ model }),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error en /api/stats/classes:', error);
+    logger.error('stats/classes', error);
+    sendError(res, error, 'Error obteniendo estadísticas por clase');
+  }
+});
+
+// 41. SERIES TEMPORALES
+// ?metric=detections,people,interactions,activeSessions&bucket=1m|1h|1d&from=&to=
+app.get('/api/stats/timeseries', requireViewer, (req, res) => {
+  try {
+    const query = timeseries.parseQuery(req.query);
+    if (query.error) {
+      return sendError(res, errors.validation([query.error]));
+    }
+
+    const series = timeseries.buildTimeseries(query, {
+      counters: activity,
+      sessions: store.listSessions()
     });
+
+    res.json({
+      success: true,
+      ...series,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Error en /api/stats/timeseries:', error);
+    logger.error('stats/timeseries', error);
+    sendError(res, error, 'Error obteniendo series temporales');
+  }
+});
+
+// 42. EXPORTAR DATOS
+// ?type=sessions|detections|interactions&format=csv|json|ndjson&from=&to=
+// La respuesta se genera en streaming; si falla a mitad se corta la conexión
+app.get('/api/export', requireViewer, async (req, res) => {
+  const query = parseExportQuery(req.query);
+  if (query.error) {
+    return sendError(res, errors.validation([query.error]));
+  }
+
+  try {
+    const count = await exporter.write(res, query);
+    console.log(`📤 Exportación ${query.type}.${query.format}: ${count} registros`);
+  } catch (error) {
+    console.error('❌ Error en /api/export:', error);
+    logger.error('export', error, { type: query.type, format: query.format });
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      sendError(res, error, 'Error exportando datos');
+    }
   }
 });
 
-// 9. OBTENER LOGS (versión simple)
-app.get('/api/logs', (req, res) => {
+// 43. STREAMING DE EVENTOS (SSE)
+// Los navegadores no pueden añadir cabeceras a EventSource: los paneles se
+// conectan con fetch para enviar la API key
+app.get('/api/stream', requireViewer, (req, res) => {
   try {
+    streamHub.handler(req, res);
+  } catch (error) {
+    console.error('❌ Error en /api/stream:', error);
+    logger.error('stream', error);
+    if (!res.headersSent) sendError(res, error, 'Error abriendo el stream');
+  }
+});
+
+// 44. LISTAR ARCHIVOS DE LOG
+app.get('/api/logs', requireViewer, (req, res) => {
+  try {
+    const logs = logger.listFiles();
+
     res.json({
       success: true,
-      logs: [],
-      message: 'Logs no implementados en esta versión básica',
-      serverLogs: [
-        `Servidor iniciado: ${stats.serverStartTime.toISOString()}`,
-        `Total sesiones: ${stats.totalSessions}`,
-        `Total detecciones: ${stats.totalDetections}`,
-        `Total interacciones: ${stats.totalInteractions}`,
-        `Última actualización: ${stats.lastUpdated.toISOString()}`
-      ],
+      logs,
+      totalFiles: logs.length,
+      retentionDays: config.logs.retentionDays,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Error obteniendo logs'
+    console.error('❌ Error en /api/logs:', error);
+    sendError(res, error, 'Error obteniendo logs');
+  }
+});
+
+// 45. LEER/DESCARGAR UN ARCHIVO DE LOG
+// ?tail=N devuelve solo las últimas N líneas; ?download=1 fuerza la descarga
+app.get('/api/logs/:file', requireViewer, (req, res) => {
+  try {
+    const filePath = logger.resolveFile(req.params.file);
+    if (!filePath) {
+      return sendError(res, errors.validation([{
+        field: 'file',
+        code: 'pattern',
+        message: 'Nombre de archivo de log no válido'
+      }]));
+    }
+
+    if (!fs.existsSync(filePath)) {
+      return sendError(res, errors.notFound('Archivo de log no encontrado'));
+    }
+
+    res.type('application/x-ndjson; charset=utf-8');
+    if (req.query.download) {
+      res.attachment(req.params.file);
+    }
+
+    const tail = parseInt(req.query.tail, 10);
+    if (tail > 0) {
+      const lines = fs.readFileSync(filePath, 'utf8')
+        .split('\n')
+        .filter(line => line.trim());
+      return res.send(lines.slice(-tail).join('\n') + '\n');
+    }
+
+    // pipeline() cierra la respuesta si falla la lectura, así que se espera
+    // a abrir el fichero: los errores al abrirlo aún se responden en JSON
+    const source = fs.createReadStream(filePath);
+    const fail = error => {
+      console.error('❌ Error enviando /api/logs/:file:', error);
+      if (res.headersSent || res.destroyed) return res.destroy(error);
+      res.removeHeader('Content-Disposition');
+      res.type('json');
+      sendError(
+        res,
+        error.code === 'ENOENT' ? errors.notFound('Archivo de log no encontrado') : error,
+        'Error leyendo archivo de log'
+      );
+    };
+    source.once('error', fail);
+    source.once('open', () => {
+      source.off('error', fail);
+      pipeline(source, res, error => {
+        if (error) fail(error);
+      });
     });
+  } catch (error) {
+    console.error('❌ Error en /api/logs/:file:', error);
+    sendError(res, error, 'Error leyendo archivo de log');
   }
 });
 
+// Toda ruta nueva debe describirse en lib/openapi.js
+const missingDocs = undocumentedRoutes(app, openApiSpec);
+if (missingDocs.length > 0) {
+  console.warn('⚠️ Rutas sin documentar en OpenAPI:', missingDocs.join(', '));
+}
+
 // ==========================================
 // RUTA CATCH-ALL PARA SPA
 // ==========================================
+// Cualquier ruta API desconocida (con cualquier método) devuelve 404
+app.all('/api/*', (req, res) => {
+  sendError(res, new ApiError(404, ERROR_CODES.ROUTE_NOT_FOUND, 'Ruta API no encontrada', {
+    path: req.path
+  }));
+});
+
 app.get('*', (req, res) => {
-  // Si es una ruta API, devolver 404
-  if (req.path.startsWith('/api/')) {
-    return res.status(404).json({
-      success: false,
-      error: 'Ruta API no encontrada',
-      path: req.path
-    });
-  }
-  
   // Para cualquier otra ruta, intentar servir index.html
   try {
     const indexPath = path.join(__dirname, '..', 'public', 'index.html');
@@ -678,13 +2012,14 @@ app.get('*', (req, res) => {
 // ==========================================
 // MANEJO DE ERRORES
 // ==========================================
+// Incluye los errores de body-parser (JSON mal formado, cuerpo demasiado
+// grande), que se responden con su código propio en vez de 500
 app.use((err, req, res, next) => {
-  console.error('❌ Error global:', err);
-  res.status(500).json({
-    success: false,
-    error: 'Error interno del servidor',
-    timestamp: new Date().toISOString()
-  });
+  if (!err.type) {
+    console.error('❌ Error global:', err);
+    logger.error('global', err, { method: req.method, path: req.path });
+  }
+  sendError(res, err);
 });
 
 // ==========================================
@@ -0,0 +1,613 @@
+// ==========================================
+// VISION AI PRO - REGLAS DE ALERTA Y WEBHOOKS
+// ==========================================
+// Las reglas se gestionan en /api/alerts/rules y se guardan en
+// meta.alertRules. Cada frame de detecciones que llega (detection/record,
+// lotes de telemetry y /api/detect) se evalúa contra las reglas activas,
+// por separado en cada sesión:
+//
+// - count:      objetos de 'class' (o de todas) en el frame
+// - confidence: confianza media del frame (los frames vacíos no cuentan)
+//
+// Una regla dispara cuando la condición se cumple sin interrupción durante
+// durationSeconds, y no vuelve a disparar hasta que el valor cruza de vuelta
+// el umbral con un margen de 'hysteresis' y ha pasado cooldownSeconds desde
+// el último disparo.
+//
+// Las alertas se guardan en la colección 'alerts' y se envían por POST a
+// ALERT_WEBHOOK_URLS y a los webhooks de la regla, con reintentos con
+// espera exponencial ante errores de red, 429 y 5xx. El resultado final de
+// cada entrega va a 'alertDeliveries'. Con ALERT_WEBHOOK_SECRET el cuerpo
+// se firma:
+//
+//   X-VisionAI-Timestamp: segundos Unix del intento
+//   X-VisionAI-Signature: sha256=HMAC-SHA256(secreto, `${timestamp}.${cuerpo}`)
+//
+// Los webhooks de una regla los elige quien crea la regla, así que solo se
+// admiten con ALERT_WEBHOOK_SECRET (nunca se envían sin firma), con http(s),
+// sin credenciales en la URL y, si ALERT_WEBHOOK_ALLOWED_HOSTS no está
+// vacío, a uno de esos hosts. Tampoco pueden apuntar a localhost ni a
+// direcciones de loopback, privadas o link-local (ni al crear la regla ni
+// al resolver el nombre antes de cada envío), salvo que el host esté
+// expresamente en ALERT_WEBHOOK_ALLOWED_HOSTS. ALERT_WEBHOOK_URLS la fija
+// quien despliega y no tiene estas restricciones.
+//
+// Las entregas pendientes se guardan en meta.alertOutbox con la hora del
+// siguiente intento, y drainDeliveries() hace los que ya tocan: al disparar,
+// con un temporizador y antes de atender cada petición de la API. Así, si la
+// función se congela al responder (Vercel), los reintentos siguen en las
+// invocaciones siguientes en lugar de perderse. Cada intento se apunta antes
+// de enviarlo, de modo que uno interrumpido cuenta y se repite más tarde.
+
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { EVENTS } = require('./logger');
+const { errors } = require('./errors');
+const { normalizeDetections } = require('./classStats');
+
+// Margen aceptado entre el timestamp del cliente y la hora del servidor; si
+// no, la duración se mide con la hora de llegada
+const MAX_CLIENT_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const COMPARATORS = {
+  '>': (value, threshold) => value > threshold,
+  '>=': (value, threshold) => value >= threshold,
+  '<': (value, threshold) => value < threshold,
+  '<=': (value, threshold) => value <= threshold
+};
+
+// Destinos internos a los que no pueden apuntar los webhooks de las reglas
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+// BlockList aplica las reglas IPv4 también a las IPv6 mapeadas (::ffff:a.b.c.d)
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return PRIVATE_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// Hostname de una URL sin los corchetes de las IPv6
+function bareHostname(url) {
+  return url.hostname.toLowerCase().replace(/^\[(.*)\]$/, '$1');
+}
+
+function randomId(prefix) {
+  return `${prefix}_${Date.now().toString(36)}${Math.random().toString(36).substr(2, 6)}`;
+}
+
+// Comprobaciones entre campos que no caben en el esquema. Devuelve los
+// errores en el formato de validateBody
+function ruleErrors({ metric, class: className, threshold }) {
+  const problems = [];
+  if (metric === 'confidence' && className) {
+    problems.push({ field: 'class', code: 'invalid', message: "Solo se admite con metric 'count'" });
+  }
+  if (metric === 'confidence' && threshold > 1) {
+    problems.push({ field: 'threshold', code: 'maximum', message: 'La confianza está entre 0 y 1' });
+  }
+  return problems;
+}
+
+// Valor de la regla en un frame, o null si el frame no aporta información
+function frameValue(rule, frame) {
+  const { detections, faceCount, objectCount, confidenceLevel } = frame;
+  const total = detections ? detections.length : faceCount + objectCount;
+
+  if (rule.metric === 'confidence') {
+    return total > 0 ? confidenceLevel : null;
+  }
+
+  if (!rule.class) return total;
+  if (detections) return detections.filter(d => d.class === rule.class).length;
+  // Clientes antiguos: sin detecciones individuales solo se conocen las personas
+  return rule.class === 'person' ? faceCount : 0;
+}
+
+// Tras disparar, la regla se rearma cuando el valor deja de cumplir la
+// condición con el umbral desplazado 'hysteresis' hacia el otro lado
+function isRearmed(rule, value) {
+  const below = rule.operator === '>' || rule.operator === '>=';
+  const threshold = below ? rule.threshold - rule.hysteresis : rule.threshold + rule.hysteresis;
+  return !COMPARATORS[rule.operator](value, threshold);
+}
+
+function frameTime(clientTimestamp, receivedAt) {
+  const client = Date.parse(clientTimestamp);
+  const server = receivedAt.getTime();
+  return Number.isFinite(client) && Math.abs(client - server) <= MAX_CLIENT_CLOCK_SKEW_MS ? client : server;
+}
+
+function createAlerts({
+  store,
+  logger,
+  metrics,
+  maxRules = 100,
+  historySize = 500,
+  webhookUrls = [],
+  webhookSecret = null,
+  webhookAllowedHosts = [],
+  webhookTimeoutMs = 5000,
+  webhookMaxAttempts = 4,
+  webhookRetryBaseMs = 1000
+}) {
+  // sessionId -> ruleId -> { since, firing, lastFiredAt }
+  const states = new Map();
+  // Alertas más recientes (las últimas historySize) con el estado de sus entregas
+  let history = [];
+  let firedTotal = 0;
+  let timer = null;
+  // Reglas cuyos webhooks ya no se usan, para avisar una sola vez
+  const warnedRules = new Set();
+
+  if (webhookUrls.length > 0 && !webhookSecret) {
+    console.warn('⚠️ ALERT_WEBHOOK_SECRET no configurado: los webhooks de alertas se envían sin firma');
+  }
+
+  // ---------- Reglas ----------
+  // Se leen de meta una vez: evaluate() las consulta en cada frame
+  let rules = null;
+
+  function list() {
+    if (!rules) rules = store.readMeta().alertRules || [];
+    return rules.slice();
+  }
+
+  function get(id) {
+    return list().find(rule => rule.id === id) || null;
+  }
+
+  function save(updated) {
+    store.writeMeta({ ...store.readMeta(), alertRules: updated });
+    rules = updated;
+  }
+
+  function isAllowedHost(url) {
+    return webhookAllowedHosts.includes(url.hostname.toLowerCase());
+  }
+
+  function isInternalHost(url) {
+    const hostname = bareHostname(url);
+    return hostname === 'localhost' || hostname.endsWith('.localhost') || isPrivateAddress(hostname);
+  }
+
+  // Un nombre público puede resolver a una dirección interna: se comprueba
+  // antes de enviar a un webhook de regla. Devuelve el motivo o null
+  async function internalTarget(value) {
+    const url = new URL(value);
+    if (isAllowedHost(url)) return null;
+    if (isInternalHost(url)) return `Destino interno no permitido: ${url.hostname}`;
+
+    const addresses = await dns.promises.lookup(bareHostname(url), { all: true });
+    const internal = addresses.find(({ address }) => isPrivateAddress(address));
+    return internal ? `${url.hostname} resuelve a una dirección interna (${internal.address})` : null;
+  }
+
+  // Errores de los webhooks de una regla, en el formato de validateBody
+  function webhookErrors(webhooks = []) {
+    if (webhooks.length > 0 && !webhookSecret) {
+      return [{ field: 'webhooks', code: 'invalid', message: 'Requiere ALERT_WEBHOOK_SECRET: los webhooks de las reglas siempre se firman' }];
+    }
+
+    const problems = [];
+    webhooks.forEach((value, index) => {
+      const field = `webhooks[${index}]`;
+      let url;
+      try {
+        url = new URL(value);
+      } catch (error) {
+        problems.push({ field, code: 'format', message: 'URL no válida' });
+        return;
+      }
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        problems.push({ field, code: 'format', message: 'Solo se admiten URLs http o https' });
+      } else if (url.username || url.password) {
+        problems.push({ field, code: 'format', message: 'La URL no puede llevar credenciales' });
+      } else if (webhookAllowedHosts.length > 0 && !webhookAllowedHosts.includes(url.hostname.toLowerCase())) {
+        problems.push({ field, code: 'invalid', message: `Host no permitido (ALERT_WEBHOOK_ALLOWED_HOSTS): ${url.hostname}` });
+      } else if (isInternalHost(url) && !isAllowedHost(url)) {
+        problems.push({ field, code: 'invalid', message: `Destino interno no permitido: ${url.hostname}` });
+      }
+    });
+    return problems;
+  }
+
+  function forgetRule(id) {
+    states.forEach(sessionStates => sessionStates.delete(id));
+  }
+
+  function create(definition) {
+    const current = list();
+    if (current.length >= maxRules) {
+      throw errors.validation([{ field: '(body)', code: 'maxItems', message: `Máximo de ${maxRules} reglas` }]);
+    }
+    const problems = webhookErrors(definition.webhooks);
+    if (problems.length > 0) throw errors.validation(problems);
+
+    const now = new Date().toISOString();
+    const rule = { id: randomId('rule'), ...definition, createdAt: now, updatedAt: now };
+
+    save([...current, rule]);
+    logger.log(EVENTS.ALERT_RULE_CHANGED, { action: 'create', ruleId: rule.id, name: rule.name });
+    return rule;
+  }
+
+  // Sustituye la definición y reinicia el estado de la regla en todas las
+  // sesiones (duración acumulada, disparo en curso y cooldown)
+  function update(id, definition) {
+    const current = list();
+    const index = current.findIndex(rule => rule.id === id);
+    if (index === -1) return null;
+    const problems = webhookErrors(definition.webhooks);
+    if (problems.length > 0) throw errors.validation(problems);
+
+    const rule = {
+      id,
+      ...definition,
+      createdAt: current[index].createdAt,
+      updatedAt: new Date().toISOString()
+    };
+    current[index] = rule;
+
+    save(current);
+    forgetRule(id);
+    logger.log(EVENTS.ALERT_RULE_CHANGED, { action: 'update', ruleId: id, name: rule.name });
+    return rule;
+  }
+
+  // El historial de la regla se conserva
+  function remove(id) {
+    const current = list();
+    const rule = current.find(r => r.id === id);
+    if (!rule) return false;
+
+    save(current.filter(r => r.id !== id));
+    forgetRule(id);
+    logger.log(EVENTS.ALERT_RULE_CHANGED, { action: 'delete', ruleId: id, name: rule.name });
+    return true;
+  }
+
+  // ---------- Evaluación ----------
+  function stateFor(sessionId, ruleId) {
+    if (!states.has(sessionId)) states.set(sessionId, new Map());
+    const sessionStates = states.get(sessionId);
+    if (!sessionStates.has(ruleId)) sessionStates.set(ruleId, { since: null, firing: false, lastFiredAt: 0 });
+    return sessionStates.get(ruleId);
+  }
+
+  // Evalúa un frame de detecciones. frame: { detections (o null en clientes
+  // antiguos), faceCount, objectCount, confidenceLevel }. Devuelve las
+  // alertas disparadas
+  function evaluate(session, frame, { receivedAt = new Date(), clientTimestamp = null } = {}) {
+    const active = list().filter(rule => rule.enabled);
+    if (active.length === 0) return [];
+
+    const normalized = {
+      detections: Array.isArray(frame.detections) ? normalizeDetections(frame.detections) : null,
+      faceCount: parseInt(frame.faceCount) || 0,
+      objectCount: parseInt(frame.objectCount) || 0,
+      confidenceLevel: parseFloat(frame.confidenceLevel) || 0
+    };
+    const at = frameTime(clientTimestamp, receivedAt);
+    const fired = [];
+
+    active.forEach(rule => {
+      const value = frameValue(rule, normalized);
+      if (value === null) return;
+
+      const state = stateFor(session.sessionId, rule.id);
+      if (state.firing) {
+        if (!isRearmed(rule, value)) return;
+        state.firing = false;
+      }
+
+      if (!COMPARATORS[rule.operator](value, rule.threshold)) {
+        state.since = null;
+        return;
+      }
+
+      if (state.since === null) state.since = at;
+      if (at - state.since < rule.durationSeconds * 1000) return;
+      if (state.lastFiredAt && at - state.lastFiredAt < rule.cooldownSeconds * 1000) return;
+
+      state.firing = true;
+      state.lastFiredAt = at;
+      fired.push(fire(rule, session, value, { at, receivedAt }));
+    });
+
+    return fired;
+  }
+
+  function forgetSession(sessionId) {
+    states.delete(sessionId);
+  }
+
+  function fire(rule, session, value, { at, receivedAt }) {
+    const alert = {
+      alertId: randomId('alert'),
+      ruleId: rule.id,
+      ruleName: rule.name,
+      sessionId: session.sessionId,
+      metric: rule.metric,
+      class: rule.class || null,
+      operator: rule.operator,
+      threshold: rule.threshold,
+      value,
+      durationSeconds: rule.durationSeconds,
+      frameTime: new Date(at).toISOString(),
+      firedAt: receivedAt.toISOString()
+    };
+    // Una regla guardada antes de quitar el secreto o de restringir los
+    // hosts no envía a sus webhooks
+    const ruleWebhooks = rule.webhooks || [];
+    const usable = webhookErrors(ruleWebhooks).length === 0 ? ruleWebhooks : [];
+    if (usable.length < ruleWebhooks.length && !warnedRules.has(rule.id)) {
+      warnedRules.add(rule.id);
+      console.warn(`⚠️ Regla ${rule.id}: sus webhooks no cumplen la configuración actual y no se usan`);
+    }
+    const targets = Array.from(new Set([...webhookUrls, ...usable]));
+
+    store.append('alerts', alert);
+    remember({ ...alert, deliveries: targets.map(url => ({ url, result: 'pending', attempts: 0 })) });
+    if (targets.length > 0) {
+      const now = Date.now();
+      saveOutbox([...outbox(), ...targets.map(url => ({ alert, url, attempts: 0, nextAttemptAt: now }))]);
+    }
+    firedTotal++;
+    metrics.alertsFired.inc({ rule: rule.id });
+    logger.log(EVENTS.ALERT_FIRED, { ...alert, webhooks: targets.length });
+    console.log(`🚨 Alerta '${rule.name}' en sesión ${session.sessionId}: ${rule.metric} ${rule.operator} ${rule.threshold} (valor ${value})`);
+
+    drainInBackground();
+    return alert;
+  }
+
+  // ---------- Webhooks ----------
+  function sign(timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', webhookSecret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  async function attempt(alert, url, body) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'VisionAIPro-Alerts',
+      'X-VisionAI-Event': 'alert.fired',
+      'X-VisionAI-Delivery': alert.alertId,
+      'X-VisionAI-Timestamp': String(timestamp)
+    };
+    if (webhookSecret) headers['X-VisionAI-Signature'] = sign(timestamp, body);
+
+    try {
+      // Los webhooks de ALERT_WEBHOOK_URLS los configura quien despliega
+      if (!webhookUrls.includes(url)) {
+        const blocked = await internalTarget(url);
+        if (blocked) return { ok: false, status: null, error: blocked, retryable: false };
+      }
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body,
+        signal: AbortSignal.timeout(webhookTimeoutMs)
+      });
+      // El cuerpo de la respuesta no se usa, pero hay que descartarlo para
+      // liberar la conexión
+      await response.body?.cancel().catch(() => {});
+      return {
+        ok: response.ok,
+        status: response.status,
+        retryable: response.status === 429 || response.status >= 500
+      };
+    } catch (error) {
+      return { ok: false, status: null, error: error.message, retryable: true };
+    }
+  }
+
+  // ---------- Cola de entregas ----------
+  // { alert, url, attempts, nextAttemptAt } por cada entrega pendiente
+  let pending = null;
+  let draining = null;
+
+  function outbox() {
+    if (!pending) pending = store.readMeta().alertOutbox || [];
+    return pending;
+  }
+
+  function saveOutbox(updated) {
+    store.writeMeta({ ...store.readMeta(), alertOutbox: updated });
+    pending = updated;
+  }
+
+  function isEntry(entry, { alert, url }) {
+    return entry.alert.alertId === alert.alertId && entry.url === url;
+  }
+
+  function replaceEntry(changed) {
+    saveOutbox(outbox().map(entry => (isEntry(entry, changed) ? changed : entry)));
+  }
+
+  function retryDelay(attempts) {
+    return webhookRetryBaseMs * 2 ** (attempts - 1);
+  }
+
+  // Un intento de una entrega ya apuntada. Si falla y quedan intentos se
+  // queda en la cola para su nextAttemptAt
+  async function deliverOnce(entry) {
+    const { alert, url, attempts } = entry;
+    const outcome = await attempt(alert, url, JSON.stringify({ event: 'alert.fired', alert }));
+    updateDelivery(alert.alertId, url, { attempts, status: outcome.status });
+
+    if (!outcome.ok && outcome.retryable && attempts < webhookMaxAttempts) return;
+    finish(entry, outcome);
+  }
+
+  function finish({ alert, url, attempts }, outcome) {
+    saveOutbox(outbox().filter(entry => !isEntry(entry, { alert, url })));
+
+    const record = {
+      alertId: alert.alertId,
+      url,
+      result: outcome.ok ? 'delivered' : 'failed',
+      attempts,
+      status: outcome.status,
+      error: outcome.error || null,
+      completedAt: new Date().toISOString()
+    };
+
+    store.append('alertDeliveries', record);
+    updateDelivery(alert.alertId, url, record);
+    metrics.alertDeliveries.inc({ result: record.result });
+    logger.log(EVENTS.ALERT_DELIVERY, record);
+
+    if (outcome.ok) {
+      console.log(`📤 Alerta ${alert.alertId} entregada a ${url}`);
+    } else {
+      console.warn(`⚠️ Alerta ${alert.alertId} no entregada a ${url} tras ${attempts} intentos`);
+    }
+  }
+
+  // Hace los intentos que ya tocan. Devuelve cuántos se hicieron; si ya hay
+  // un vaciado en curso devuelve ese
+  function drainDeliveries(now = Date.now()) {
+    if (draining) return draining;
+
+    const due = outbox().filter(entry => entry.nextAttemptAt <= now);
+    if (due.length === 0) return Promise.resolve(0);
+
+    // Una entrega que ya gastó sus intentos quedó interrumpida a medias
+    due.filter(entry => entry.attempts >= webhookMaxAttempts).forEach(entry => {
+      finish(entry, { ok: false, status: null, error: 'Intento interrumpido' });
+    });
+
+    const claimed = due
+      .filter(entry => entry.attempts < webhookMaxAttempts)
+      .map(entry => ({ ...entry, attempts: entry.attempts + 1, nextAttemptAt: now + retryDelay(entry.attempts + 1) }));
+    claimed.forEach(replaceEntry);
+
+    draining = Promise.all(claimed.map(deliverOnce))
+      .then(() => claimed.length)
+      .finally(() => {
+        draining = null;
+      });
+    return draining;
+  }
+
+  function drainInBackground() {
+    drainDeliveries().catch(error => {
+      console.error('❌ Error entregando alertas:', error);
+      logger.error('alerts/deliver', error);
+    });
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(drainInBackground, webhookRetryBaseMs);
+    // No mantener vivo el proceso solo por el temporizador
+    if (timer.unref) timer.unref();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  // ---------- Historial ----------
+  function remember(entry) {
+    history.push(entry);
+    if (history.length > historySize) history = history.slice(-historySize);
+  }
+
+  function updateDelivery(alertId, url, changes) {
+    const entry = history.find(alert => alert.alertId === alertId);
+    const delivery = entry && entry.deliveries.find(d => d.url === url);
+    if (delivery) Object.assign(delivery, changes);
+  }
+
+  // Alertas más recientes primero
+  function recent({ limit = 50, ruleId = null } = {}) {
+    return history
+      .filter(alert => !ruleId || alert.ruleId === ruleId)
+      .slice(-limit)
+      .reverse();
+  }
+
+  function summary() {
+    const current = list();
+    const last = history[history.length - 1];
+    return {
+      rules: current.length,
+      enabled: current.filter(rule => rule.enabled).length,
+      fired: firedTotal,
+      lastFiredAt: last ? last.firedAt : null,
+      webhooks: webhookUrls.length,
+      signed: Boolean(webhookSecret),
+      pendingDeliveries: outbox().length
+    };
+  }
+
+  // Recupera el historial y el último disparo de cada regla y sesión, para
+  // que un reinicio no se salte el cooldown. Tras borrar registros solo
+  // recarga lo que queda: el estado de las sesiones abiertas (duración
+  // acumulada, disparo en curso) se conserva, y el de las sesiones borradas
+  // se descarta con forgetSession
+  function rebuild() {
+    const alerts = store.readAll('alerts');
+    const deliveries = new Map();
+    store.readAll('alertDeliveries').forEach(({ alertId, ...delivery }) => {
+      if (!deliveries.has(alertId)) deliveries.set(alertId, []);
+      deliveries.get(alertId).push(delivery);
+    });
+
+    // Las entregas pendientes de alertas ya borradas no se envían
+    const alertIds = new Set(alerts.map(alert => alert.alertId));
+    const queued = outbox().filter(entry => alertIds.has(entry.alert.alertId));
+    if (queued.length !== outbox().length) saveOutbox(queued);
+    queued.forEach(({ alert, url, attempts }) => {
+      if (!deliveries.has(alert.alertId)) deliveries.set(alert.alertId, []);
+      deliveries.get(alert.alertId).push({ url, result: 'pending', attempts });
+    });
+
+    firedTotal = alerts.length;
+    history = alerts.slice(-historySize).map(alert => ({
+      ...alert,
+      deliveries: deliveries.get(alert.alertId) || []
+    }));
+
+    alerts.forEach(alert => {
+      const session = store.getSession(alert.sessionId);
+      if (session && !session.endTime) {
+        const state = stateFor(alert.sessionId, alert.ruleId);
+        state.lastFiredAt = Math.max(state.lastFiredAt, Date.parse(alert.frameTime));
+      }
+    });
+  }
+
+  return {
+    list,
+    get,
+    create,
+    update,
+    remove,
+    evaluate,
+    forgetSession,
+    drainDeliveries,
+    recent,
+    summary,
+    rebuild,
+    start,
+    stop
+  };
+}
+
+module.exports = {
+  ruleErrors,
+  createAlerts
+};
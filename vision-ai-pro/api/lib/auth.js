@@ -0,0 +1,141 @@
+// ==========================================
+// VISION AI PRO - AUTENTICACIÓN
+// ==========================================
+// Dos mecanismos independientes:
+//
+// 1. Token de sesión firmado (HMAC-SHA256). /api/session/start lo emite y las
+//    rutas que escriben en una sesión lo exigen, en la cabecera
+//    'X-Session-Token' o en el campo 'sessionToken' del cuerpo (sendBeacon no
+//    permite cabeceras). Formato: base64url(payload).base64url(firma), con
+//    payload { sid, iat, exp }.
+//
+// 2. API keys con rol para los endpoints de lectura/administración, en
+//    'X-API-Key' o 'Authorization: Bearer <key>'. Roles: 'viewer' (lectura)
+//    y 'admin' (todo). Sin claves configuradas los endpoints protegidos
+//    quedan cerrados.
+
+const crypto = require('crypto');
+const { errors, sendError } = require('./errors');
+
+const ROLES = ['viewer', 'admin'];
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+// Comparación en tiempo constante (sobre los hashes, para igualar longitudes)
+function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+function createAuth({ sessionTokenSecret, sessionTokenTtlMs, adminApiKeys = [], viewerApiKeys = [] }) {
+  let secret = sessionTokenSecret;
+  if (!secret) {
+    // Sin secreto fijo los tokens dejan de valer al reiniciar (el cliente
+    // abre una sesión nueva) y no sirven entre instancias distintas
+    secret = crypto.randomBytes(32).toString('hex');
+    console.warn('⚠️ SESSION_TOKEN_SECRET no configurado: se usa un secreto aleatorio por proceso');
+  }
+
+  const apiKeys = [
+    ...adminApiKeys.map(key => ({ key, role: 'admin' })),
+    ...viewerApiKeys.map(key => ({ key, role: 'viewer' }))
+  ];
+  if (apiKeys.length === 0) {
+    console.warn('⚠️ ADMIN_API_KEYS/VIEWER_API_KEYS sin configurar: los endpoints de administración están cerrados');
+  }
+
+  function sign(data) {
+    return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+  }
+
+  function issueSessionToken(sessionId, now = Date.now()) {
+    const payload = base64url(JSON.stringify({
+      sid: sessionId,
+      iat: Math.floor(now / 1000),
+      exp: Math.floor((now + sessionTokenTtlMs) / 1000)
+    }));
+    return `${payload}.${sign(payload)}`;
+  }
+
+  // Devuelve el sessionId del token o null si no es válido o ha caducado
+  function verifySessionToken(token, now = Date.now()) {
+    if (typeof token !== 'string') return null;
+
+    const [payload, signature, ...rest] = token.split('.');
+    if (!payload || !signature || rest.length > 0) return null;
+    if (!safeEqual(signature, sign(payload))) return null;
+
+    try {
+      const { sid, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      if (typeof sid !== 'string' || !Number.isFinite(exp) || exp * 1000 < now) return null;
+      return sid;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Rol asociado a la clave de la petición, o null
+  function roleFromRequest(req) {
+    const header = req.get('authorization') || '';
+    const key = req.get('x-api-key') || (header.startsWith('Bearer ') ? header.slice(7).trim() : '');
+    if (!key) return null;
+
+    const match = apiKeys.find(entry => safeEqual(entry.key, key));
+    return match ? match.role : null;
+  }
+
+  function hasRole(role, required) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(required);
+  }
+
+  // Middleware: exige un token de sesión válido para el sessionId del cuerpo.
+  // Debe ir después de validateBody
+  function requireSessionToken(req, res, next) {
+    const token = req.get('x-session-token') || req.body.sessionToken;
+    if (!token) {
+      return sendError(res, errors.invalidSessionToken('Falta el token de sesión'));
+    }
+
+    const sessionId = verifySessionToken(token);
+    if (!sessionId || sessionId !== req.body.sessionId) {
+      return sendError(res, errors.invalidSessionToken());
+    }
+
+    delete req.body.sessionToken;
+    next();
+  }
+
+  // Middleware: exige una API key con al menos el rol indicado
+  function requireRole(required) {
+    return (req, res, next) => {
+      const role = roleFromRequest(req);
+      if (!role) {
+        res.set('WWW-Authenticate', 'Bearer realm="vision-ai-pro"');
+        return sendError(res, errors.unauthorized());
+      }
+      if (!hasRole(role, required)) {
+        return sendError(res, errors.forbidden(required));
+      }
+
+      req.role = role;
+      next();
+    };
+  }
+
+  return {
+    issueSessionToken,
+    verifySessionToken,
+    roleFromRequest,
+    hasRole,
+    requireSessionToken,
+    requireRole
+  };
+}
+
+module.exports = {
+  ROLES,
+  createAuth
+};
@@ -0,0 +1,151 @@
+// ==========================================
+// VISION AI PRO - ESTADÍSTICAS POR CLASE
+// ==========================================
+// Agrega las detecciones individuales ({ class, score, bbox }) por clase y
+// por modelo (detectionType: coco-ssd, blazeface...), con un histograma de
+// confianza de HISTOGRAM_BINS intervalos entre 0 y 1.
+
+const HISTOGRAM_BINS = 10;
+const MAX_DETECTIONS_PER_RECORD = 100;
+const MAX_CLASS_NAME_LENGTH = 64;
+const UNKNOWN_MODEL = 'unknown';
+
+function round(value, decimals = 1) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+function histogramBin(score) {
+  return Math.min(HISTOGRAM_BINS - 1, Math.floor(score * HISTOGRAM_BINS));
+}
+
+// Deja solo las detecciones bien formadas y recorta lo que sobra
+function normalizeDetections(raw) {
+  if (!Array.isArray(raw)) return [];
+
+  return raw
+    .slice(0, MAX_DETECTIONS_PER_RECORD)
+    .filter(d => d && typeof d.class === 'string' && d.class.trim() && Number.isFinite(Number(d.score)))
+    .map(d => {
+      const detection = {
+        class: d.class.trim().slice(0, MAX_CLASS_NAME_LENGTH),
+        score: round(Math.min(1, Math.max(0, Number(d.score))), 4)
+      };
+
+      if (Array.isArray(d.bbox) && d.bbox.length === 4 && d.bbox.every(v => Number.isFinite(Number(v)))) {
+        detection.bbox = d.bbox.map(v => round(Number(v)));
+      }
+
+      // ID del tracker del cliente y tiempo que lleva el objeto en escena (ms)
+      if (Number.isInteger(d.trackId) && d.trackId > 0) {
+        detection.trackId = d.trackId;
+        if (Number.isInteger(d.dwellMs) && d.dwellMs >= 0) detection.dwellMs = d.dwellMs;
+      }
+
+      return detection;
+    });
+}
+
+function createAggregate() {
+  return {
+    frames: 0,
+    detections: 0,
+    scoreSum: 0,
+    histogram: new Array(HISTOGRAM_BINS).fill(0),
+    classes: new Map()
+  };
+}
+
+function addToAggregate(aggregate, detections) {
+  aggregate.frames++;
+
+  detections.forEach(({ class: className, score }) => {
+    const bin = histogramBin(score);
+
+    aggregate.detections++;
+    aggregate.scoreSum += score;
+    aggregate.histogram[bin]++;
+
+    if (!aggregate.classes.has(className)) {
+      aggregate.classes.set(className, {
+        count: 0,
+        scoreSum: 0,
+        histogram: new Array(HISTOGRAM_BINS).fill(0)
+      });
+    }
+
+    const classEntry = aggregate.classes.get(className);
+    classEntry.count++;
+    classEntry.scoreSum += score;
+    classEntry.histogram[bin]++;
+  });
+}
+
+function summarizeClasses(aggregate) {
+  return Array.from(aggregate.classes.entries())
+    .map(([className, entry]) => ({
+      class: className,
+      count: entry.count,
+      share: aggregate.detections > 0 ? round(entry.count / aggregate.detections, 4) : 0,
+      avgConfidence: round(entry.scoreSum / entry.count, 4),
+      histogram: entry.histogram.slice()
+    }))
+    .sort((a, b) => b.count - a.count || a.class.localeCompare(b.class));
+}
+
+function createClassStats() {
+  let totals = createAggregate();
+  const models = new Map();
+
+  // Vacía los conteos para recalcularlos (tras borrar registros)
+  function reset() {
+    totals = createAggregate();
+    models.clear();
+  }
+
+  // Registra un frame con sus detecciones (ya normalizadas)
+  function record({ detections = [], detectionType }) {
+    const model = detectionType || UNKNOWN_MODEL;
+
+    if (!models.has(model)) models.set(model, createAggregate());
+
+    addToAggregate(totals, detections);
+    addToAggregate(models.get(model), detections);
+  }
+
+  // Resumen para /api/stats/classes; si se indica modelo, solo ese modelo
+  function summary({ model } = {}) {
+    const aggregate = model ? models.get(model) || createAggregate() : totals;
+
+    return {
+      model: model || 'all',
+      frames: aggregate.frames,
+      totalDetections: aggregate.detections,
+      avgConfidence: aggregate.detections > 0 ? round(aggregate.scoreSum / aggregate.detections, 4) : 0,
+      histogramBins: Array.from({ length: HISTOGRAM_BINS + 1 }, (_, i) => round(i / HISTOGRAM_BINS)),
+      histogram: aggregate.histogram.slice(),
+      classes: summarizeClasses(aggregate),
+      models: Array.from(models.entries()).map(([name, modelAggregate]) => ({
+        model: name,
+        frames: modelAggregate.frames,
+        totalDetections: modelAggregate.detections,
+        avgConfidence: modelAggregate.detections > 0
+          ? round(modelAggregate.scoreSum / modelAggregate.detections, 4)
+          : 0,
+        topClasses: summarizeClasses(modelAggregate).slice(0, 5).map(c => ({ class: c.class, count: c.count }))
+      }))
+    };
+  }
+
+  return {
+    record,
+    reset,
+    summary
+  };
+}
+
+module.exports = {
+  HISTOGRAM_BINS,
+  createClassStats,
+  normalizeDetections
+};
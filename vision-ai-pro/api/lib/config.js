@@ -0,0 +1,182 @@
+// ==========================================
+// VISION AI PRO - CONFIGURACIÓN
+// ==========================================
+// Toda la configuración se lee de variables de entorno para que el mismo
+// código funcione en local y en Vercel sin cambios.
+
+const path = require('path');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+
+// En Vercel solo /tmp es escribible
+const WRITABLE_DIR = process.env.VERCEL
+  ? path.join('/tmp', 'vision-ai-pro')
+  : ROOT_DIR;
+
+const DATA_DIR = process.env.DATA_DIR || path.join(WRITABLE_DIR, 'data');
+
+// Pesos de los modelos (npm run vendor:fetch); solo se leen
+const MODELS_DIR = process.env.MODELS_DIR || path.join(ROOT_DIR, 'models');
+
+// Lista separada por comas (p. ej. varias API keys para rotarlas)
+function listFromEnv(name) {
+  return (process.env[name] || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+function intFromEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+const config = {
+  rootDir: ROOT_DIR,
+  environment: process.env.NODE_ENV || 'production',
+
+  // Almacenamiento: 'file' (JSON-lines en disco) o 'memory' (pruebas)
+  store: {
+    backend: process.env.STORE_BACKEND || 'file',
+    dataDir: DATA_DIR
+  },
+
+  // Ciclo de vida de sesiones
+  sessions: {
+    idleTimeoutMs: intFromEnv('SESSION_IDLE_TIMEOUT_SECONDS', 300) * 1000,
+    reapIntervalMs: intFromEnv('SESSION_REAP_INTERVAL_SECONDS', 60) * 1000,
+    maxStored: intFromEnv('SESSION_MAX_STORED', 5000)
+  },
+
+  // Anonimización de los datos de cada sesión y retención de lo guardado
+  // (ver privacy.js y retention.js)
+  privacy: {
+    ipMode: process.env.PRIVACY_IP_MODE || 'hash',
+    ipSecret: process.env.PRIVACY_IP_SECRET || null,
+    userAgentMode: process.env.PRIVACY_USER_AGENT || 'family',
+    clientMode: process.env.PRIVACY_CLIENT_MODE || 'optional'
+  },
+  retention: {
+    retentionDays: intFromEnv('DATA_RETENTION_DAYS', 30),
+    purgeIntervalMs: intFromEnv('DATA_RETENTION_INTERVAL_MINUTES', 60) * 60 * 1000
+  },
+
+  // Logs NDJSON con rotación diaria
+  logs: {
+    logDir: process.env.LOG_DIR || path.join(WRITABLE_DIR, 'logs'),
+    retentionDays: intFromEnv('LOG_RETENTION_DAYS', 14)
+  },
+
+  // Tokens de sesión firmados y API keys de administración
+  auth: {
+    sessionTokenSecret: process.env.SESSION_TOKEN_SECRET || null,
+    sessionTokenTtlMs: intFromEnv('SESSION_TOKEN_TTL_SECONDS', 24 * 60 * 60) * 1000,
+    adminApiKeys: listFromEnv('ADMIN_API_KEYS'),
+    viewerApiKeys: listFromEnv('VIEWER_API_KEYS')
+  },
+
+  // Conexiones Server-Sent Events de /api/stream
+  stream: {
+    tickMs: intFromEnv('STREAM_TICK_MS', 1000),
+    heartbeatMs: intFromEnv('STREAM_HEARTBEAT_SECONDS', 25) * 1000,
+    maxClients: intFromEnv('STREAM_MAX_CLIENTS', 50)
+  },
+
+  // Copias locales de modelos y librerías del navegador (/api/models)
+  models: {
+    modelsDir: MODELS_DIR,
+    vendorDir: process.env.VENDOR_DIR || path.join(ROOT_DIR, 'vendor')
+  },
+
+  // Inferencia en el servidor (/api/detect) con los pesos de models/
+  detect: {
+    modelDir: process.env.DETECT_MODEL_DIR ||
+      path.join(MODELS_DIR, 'coco-ssd', 'lite_mobilenet_v2'),
+    maxImageBytes: intFromEnv('DETECT_MAX_IMAGE_BYTES', 4 * 1024 * 1024),
+    maxMegapixels: intFromEnv('DETECT_MAX_MEGAPIXELS', 12),
+    maxQueue: intFromEnv('DETECT_MAX_QUEUE', 4)
+  },
+
+  // Percentiles de latencia de /api/stats: últimos frames que se guardan
+  latency: {
+    windowSize: intFromEnv('LATENCY_WINDOW', 5000)
+  },
+
+  // Zonas y líneas de conteo definidas por despliegue
+  zones: {
+    maxZones: intFromEnv('ZONES_MAX', 50)
+  },
+
+  // Capturas y clips anotados (/api/snapshots). Vercel no acepta cuerpos de
+  // más de 4.5 MB, de ahí el máximo por clip
+  snapshots: {
+    dir: process.env.SNAPSHOT_DIR || path.join(DATA_DIR, 'snapshots'),
+    maxImageBytes: intFromEnv('SNAPSHOT_MAX_IMAGE_BYTES', 2 * 1024 * 1024),
+    maxClipBytes: intFromEnv('SNAPSHOT_MAX_CLIP_BYTES', 4 * 1024 * 1024),
+    maxItems: intFromEnv('SNAPSHOT_MAX_ITEMS', 500),
+    maxTotalBytes: intFromEnv('SNAPSHOT_MAX_TOTAL_MB', 500) * 1024 * 1024,
+    retentionDays: intFromEnv('SNAPSHOT_RETENTION_DAYS', 7)
+  },
+
+  // Dataset de anotación (/api/dataset). Los frames no caducan: al llegar al
+  // máximo se rechazan los nuevos
+  dataset: {
+    dir: process.env.DATASET_DIR || path.join(DATA_DIR, 'dataset'),
+    maxImageBytes: intFromEnv('DATASET_MAX_IMAGE_BYTES', 2 * 1024 * 1024),
+    maxFrames: intFromEnv('DATASET_MAX_FRAMES', 2000)
+  },
+
+  // Reglas de alerta y entrega por webhook (POST firmado con HMAC-SHA256)
+  alerts: {
+    maxRules: intFromEnv('ALERTS_MAX_RULES', 100),
+    historySize: intFromEnv('ALERTS_HISTORY_SIZE', 500),
+    webhookUrls: listFromEnv('ALERT_WEBHOOK_URLS'),
+    webhookSecret: process.env.ALERT_WEBHOOK_SECRET || null,
+    webhookAllowedHosts: listFromEnv('ALERT_WEBHOOK_ALLOWED_HOSTS').map(host => host.toLowerCase()),
+    webhookTimeoutMs: intFromEnv('ALERT_WEBHOOK_TIMEOUT_MS', 5000),
+    webhookMaxAttempts: intFromEnv('ALERT_WEBHOOK_MAX_ATTEMPTS', 4),
+    webhookRetryBaseMs: intFromEnv('ALERT_WEBHOOK_RETRY_BASE_MS', 1000)
+  },
+
+  // Orígenes permitidos por CORS (vacío = cualquiera)
+  corsOrigins: listFromEnv('CORS_ORIGINS'),
+
+  // Saltos de proxy de confianza para obtener la IP real (X-Forwarded-For)
+  trustProxyHops: intFromEnv('TRUST_PROXY_HOPS', process.env.VERCEL ? 1 : 0),
+
+  // Límites por ruta en peticiones por minuto, por IP y por sesión
+  rateLimit: {
+    enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+    maxSessionsPerIp: intFromEnv('RATE_LIMIT_MAX_SESSIONS_PER_IP', 20),
+    budgets: {
+      sessionStart: { ip: intFromEnv('RATE_LIMIT_SESSION_START_PER_MINUTE', 10) },
+      detection: {
+        ip: intFromEnv('RATE_LIMIT_DETECTION_IP_PER_MINUTE', 1200),
+        session: intFromEnv('RATE_LIMIT_DETECTION_SESSION_PER_MINUTE', 600)
+      },
+      interaction: {
+        ip: intFromEnv('RATE_LIMIT_INTERACTION_IP_PER_MINUTE', 300),
+        session: intFromEnv('RATE_LIMIT_INTERACTION_SESSION_PER_MINUTE', 120)
+      },
+      sessionEnd: { ip: intFromEnv('RATE_LIMIT_SESSION_END_PER_MINUTE', 30) },
+      batch: {
+        ip: intFromEnv('RATE_LIMIT_BATCH_IP_PER_MINUTE', 120),
+        session: intFromEnv('RATE_LIMIT_BATCH_SESSION_PER_MINUTE', 60)
+      },
+      detect: {
+        ip: intFromEnv('RATE_LIMIT_DETECT_IP_PER_MINUTE', 60),
+        session: intFromEnv('RATE_LIMIT_DETECT_SESSION_PER_MINUTE', 30)
+      },
+      snapshot: {
+        ip: intFromEnv('RATE_LIMIT_SNAPSHOT_IP_PER_MINUTE', 30),
+        session: intFromEnv('RATE_LIMIT_SNAPSHOT_SESSION_PER_MINUTE', 20)
+      },
+      datasetFrame: {
+        ip: intFromEnv('RATE_LIMIT_DATASET_IP_PER_MINUTE', 60),
+        session: intFromEnv('RATE_LIMIT_DATASET_SESSION_PER_MINUTE', 30)
+      }
+    }
+  }
+};
+
+module.exports = config;
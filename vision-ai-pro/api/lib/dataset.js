@@ -0,0 +1,345 @@
+// ==========================================
+// VISION AI PRO - DATASET DE ANOTACIÓN
+// ==========================================
+// Frames guardados para entrenar modelos propios. El navegador sube el
+// fotograma limpio (sin overlay ni filtros; anonimizado en modo
+// privacidad) con las detecciones del modelo como etiquetas previas
+// (source 'model'), y después se corrigen, borran o añaden cajas y se
+// cambian clases con PUT /api/dataset/frames/:id, que marca el frame como
+// revisado. En el PUT solo siguen siendo 'model' las cajas idénticas a una
+// del modelo ya guardada; las nuevas o modificadas pasan a 'manual'.
+//
+// Cada frame se guarda en dir como dos ficheros, igual que las capturas:
+//
+//   frame_<id>.<jpg|png>   la imagen
+//   frame_<id>.json        metadatos (sesión, tamaño, modelo) y cajas
+//
+// A diferencia de las capturas no caducan: al llegar a maxFrames se
+// rechazan los nuevos (DATASET_FULL) en vez de borrar frames ya revisados.
+// La exportación en COCO, Pascal VOC o YOLO está en datasetFormats.js.
+
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const { EVENTS } = require('./logger');
+const { errors, sendError } = require('./errors');
+const { invalidParam } = require('./validation');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Se identifican por su contenido, no por el Content-Type del cliente
+const FORMATS = [
+  { ext: 'jpg', mimeType: 'image/jpeg', test: b => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { ext: 'png', mimeType: 'image/png', test: b => b.toString('latin1', 1, 4) === 'PNG' }
+];
+
+const MULTER_MESSAGES = {
+  LIMIT_UNEXPECTED_FILE: "Solo se admite un fichero, en el campo 'file'",
+  LIMIT_FILE_COUNT: "Solo se admite un fichero, en el campo 'file'",
+  LIMIT_FIELD_VALUE: 'Valor de campo demasiado largo',
+  LIMIT_FIELD_COUNT: 'Demasiados campos en el formulario'
+};
+
+function detectFormat(buffer) {
+  if (buffer.length < 24) return null;
+  return FORMATS.find(format => format.test(buffer)) || null;
+}
+
+// Ancho y alto leídos de la cabecera (IHDR en PNG, marcador SOFn en JPEG)
+// sin decodificar la imagen. null si no se encuentran
+function imageSize(buffer, format) {
+  if (format.ext === 'png') {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    // Bytes de relleno entre marcadores
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    // SOF0-SOF15 salvo DHT (C4), JPG (C8) y DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+    }
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Recorta las cajas a la imagen y descarta las que quedan sin área
+function normalizeAnnotations(annotations, width, height) {
+  return annotations
+    .map(({ class: className, bbox, source = 'manual', score }) => {
+      const x1 = Math.min(width, Math.max(0, bbox[0]));
+      const y1 = Math.min(height, Math.max(0, bbox[1]));
+      const x2 = Math.min(width, Math.max(0, bbox[0] + bbox[2]));
+      const y2 = Math.min(height, Math.max(0, bbox[1] + bbox[3]));
+      const annotation = {
+        class: className.trim(),
+        bbox: [round(x1), round(y1), round(x2 - x1), round(y2 - y1)],
+        source
+      };
+      if (source === 'model' && score !== undefined) annotation.score = score;
+      return annotation;
+    })
+    .filter(annotation => annotation.class && annotation.bbox[2] >= 1 && annotation.bbox[3] >= 1);
+}
+
+function sameBox(a, b) {
+  return a.class === b.class && a.bbox.every((value, i) => value === b.bbox[i]);
+}
+
+function classesOf(annotations) {
+  return Array.from(new Set(annotations.map(annotation => annotation.class)));
+}
+
+function frameId() {
+  return `frame_${Date.now().toString(36)}${Math.random().toString(36).substr(2, 6)}`;
+}
+
+function createDataset({ dir, maxImageBytes, maxFrames = 2000, logger }) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  // id -> metadatos
+  const index = new Map();
+
+  fs.readdirSync(dir)
+    .filter(file => /^frame_[a-z0-9]+\.json$/.test(file))
+    .forEach(file => {
+      try {
+        const meta = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+        if (fs.existsSync(path.join(dir, meta.file))) index.set(meta.id, meta);
+      } catch (error) {
+        console.warn('⚠️ Metadatos de frame del dataset corruptos ignorados:', file);
+      }
+    });
+
+  function filePath(meta) {
+    return path.join(dir, meta.file);
+  }
+
+  function writeMeta(meta) {
+    fs.writeFileSync(path.join(dir, `${meta.id}.json`), JSON.stringify(meta));
+  }
+
+  function deleteFiles(meta) {
+    [meta.file, `${meta.id}.json`].forEach(file => {
+      try {
+        fs.unlinkSync(path.join(dir, file));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    });
+    index.delete(meta.id);
+  }
+
+  // Middleware para multipart/form-data: deja la imagen en req.file y
+  // convierte 'annotations' de JSON. Los errores se responden
+  // directamente, como en validateBody
+  const multipart = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxImageBytes, files: 1, fields: 10, fieldSize: 64 * 1024 }
+  }).single('file');
+
+  function upload(req, res, next) {
+    if (!req.is('multipart/form-data')) return next();
+
+    multipart(req, res, error => {
+      if (error && error.code === 'LIMIT_FILE_SIZE') {
+        return sendError(res, errors.payloadTooLarge(maxImageBytes));
+      }
+      if (error) {
+        return sendError(res, errors.validation([{
+          field: error.field || '(body)',
+          code: 'multipart',
+          message: MULTER_MESSAGES[error.code] || 'Cuerpo multipart/form-data no válido'
+        }]));
+      }
+
+      if (typeof req.body.annotations === 'string') {
+        try {
+          req.body.annotations = JSON.parse(req.body.annotations);
+        } catch (parseError) {
+          return sendError(res, errors.validation([{
+            field: 'annotations',
+            code: 'type',
+            message: 'Debe ser un array JSON de cajas'
+          }]));
+        }
+      }
+      next();
+    });
+  }
+
+  function save(session, { file, model, annotations, timestamp }) {
+    if (!file) {
+      throw errors.validation([{ field: 'file', code: 'required', message: 'Falta la imagen en el campo file' }]);
+    }
+    if (index.size >= maxFrames) throw errors.datasetFull(maxFrames);
+
+    const format = detectFormat(file.buffer);
+    const size = format ? imageSize(file.buffer, format) : null;
+    if (!size || size.width === 0 || size.height === 0) {
+      throw errors.invalidImage();
+    }
+
+    const id = frameId();
+    const prelabels = annotations.map(annotation => ({ ...annotation, source: 'model' }));
+    const normalized = normalizeAnnotations(prelabels, size.width, size.height);
+    const now = new Date().toISOString();
+    const meta = {
+      id,
+      sessionId: session.sessionId,
+      file: `${id}.${format.ext}`,
+      mimeType: format.mimeType,
+      size: file.size,
+      width: size.width,
+      height: size.height,
+      model: model || null,
+      annotations: normalized,
+      classes: classesOf(normalized),
+      reviewed: false,
+      clientTimestamp: timestamp || null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    // Los metadatos se escriben al final: sin ellos el fichero no se lista
+    fs.writeFileSync(filePath(meta), file.buffer);
+    writeMeta(meta);
+    index.set(id, meta);
+
+    logger.log(EVENTS.DATASET_FRAME_SAVED, {
+      frameId: id,
+      sessionId: session.sessionId,
+      model: meta.model,
+      annotations: normalized.length,
+      classes: meta.classes
+    });
+    return meta;
+  }
+
+  // Sustituye las cajas. Devuelve null si el frame no existe
+  function update(id, { annotations }) {
+    const meta = index.get(id);
+    if (!meta) return null;
+
+    const modelBoxes = meta.annotations.filter(annotation => annotation.source === 'model');
+    const normalized = normalizeAnnotations(annotations, meta.width, meta.height).map(annotation => {
+      if (annotation.source !== 'model') return annotation;
+      const original = modelBoxes.find(box => sameBox(box, annotation));
+      return original ? { ...original } : { class: annotation.class, bbox: annotation.bbox, source: 'manual' };
+    });
+    Object.assign(meta, {
+      annotations: normalized,
+      classes: classesOf(normalized),
+      reviewed: true,
+      updatedAt: new Date().toISOString()
+    });
+    writeMeta(meta);
+
+    logger.log(EVENTS.DATASET_FRAME_UPDATED, {
+      frameId: id,
+      annotations: normalized.length,
+      classes: meta.classes
+    });
+    return meta;
+  }
+
+  // Filtros comunes de GET /api/dataset/frames y /api/dataset/export.
+  // Devuelve { error } o la consulta
+  function parseFilterQuery(query) {
+    const reviewed = query.reviewed;
+    if (reviewed !== undefined && reviewed !== 'true' && reviewed !== 'false') {
+      return invalidParam('reviewed', 'Debe ser true o false');
+    }
+
+    return {
+      reviewed: reviewed === undefined ? null : reviewed === 'true',
+      sessionId: typeof query.sessionId === 'string' ? query.sessionId : null,
+      className: typeof query.class === 'string' ? query.class : null
+    };
+  }
+
+  function parseListQuery(query) {
+    const filter = parseFilterQuery(query);
+    if (filter.error) return filter;
+
+    const page = Math.max(1, parseInt(query.page, 10) || 1);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE));
+    return { ...filter, page, limit };
+  }
+
+  // Los más antiguos primero, en el orden en que se capturaron
+  function matching({ reviewed = null, sessionId = null, className = null } = {}) {
+    return Array.from(index.values())
+      .filter(meta => (reviewed === null || meta.reviewed === reviewed) &&
+        (!sessionId || meta.sessionId === sessionId) &&
+        (!className || meta.classes.includes(className)))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  function list({ page = 1, limit = DEFAULT_PAGE_SIZE, ...filter } = {}) {
+    const frames = matching(filter);
+    return {
+      total: frames.length,
+      page,
+      limit,
+      totalPages: Math.ceil(frames.length / limit),
+      classes: classesOf(frames.flatMap(meta => meta.annotations)).sort(),
+      frames: frames.slice((page - 1) * limit, page * limit)
+    };
+  }
+
+  function get(id) {
+    return index.get(id) || null;
+  }
+
+  function readImage(meta) {
+    return fs.readFileSync(filePath(meta));
+  }
+
+  function remove(id) {
+    const meta = index.get(id);
+    if (!meta) return false;
+    deleteFiles(meta);
+    return true;
+  }
+
+  // Borrado de una sesión a petición. Devuelve cuántos frames se han borrado
+  function removeSession(sessionId) {
+    const frames = Array.from(index.values()).filter(meta => meta.sessionId === sessionId);
+    frames.forEach(deleteFiles);
+    return frames.length;
+  }
+
+  return {
+    upload,
+    save,
+    update,
+    parseFilterQuery,
+    parseListQuery,
+    matching,
+    list,
+    get,
+    filePath,
+    readImage,
+    remove,
+    removeSession
+  };
+}
+
+module.exports = {
+  imageSize,
+  normalizeAnnotations,
+  createDataset
+};
@@ -0,0 +1,235 @@
+// ==========================================
+// VISION AI PRO - EXPORTACIÓN DEL DATASET
+// ==========================================
+// GET /api/dataset/export?format=coco|voc|yolo empaqueta las imágenes y sus
+// cajas en un ZIP con la estructura que esperan las herramientas de
+// entrenamiento habituales:
+//
+//   coco   images/<frame>.<ext> y annotations.json (instances de COCO:
+//          bbox [x, y, ancho, alto] en píxeles, ids desde 1)
+//   voc    JPEGImages/<frame>.<ext>, Annotations/<frame>.xml (bndbox en
+//          píxeles con base 1, como el VOC original) e
+//          ImageSets/Main/default.txt con la lista de frames
+//   yolo   images/<frame>.<ext>, labels/<frame>.txt (clase cx cy ancho
+//          alto, normalizados 0-1), classes.txt y data.yaml (Ultralytics)
+//
+// Las clases se numeran por orden alfabético, igual en los tres formatos.
+// Los frames sin cajas se incluyen como ejemplos negativos. El ZIP se
+// escribe en streaming, leyendo las imágenes de una en una.
+
+const { invalidParam } = require('./validation');
+const { EVENTS } = require('./logger');
+const { DATASET_FORMATS } = require('./schemas');
+const { createZipWriter } = require('./zip');
+
+function datasetClasses(frames) {
+  return Array.from(new Set(frames.flatMap(frame => frame.classes))).sort();
+}
+
+function cocoAnnotations(frames, classes) {
+  const annotations = [];
+  const images = frames.map((frame, i) => {
+    frame.annotations.forEach(annotation => {
+      const [x, y, width, height] = annotation.bbox;
+      annotations.push({
+        id: annotations.length + 1,
+        image_id: i + 1,
+        category_id: classes.indexOf(annotation.class) + 1,
+        bbox: [x, y, width, height],
+        area: Math.round(width * height * 100) / 100,
+        iscrowd: 0
+      });
+    });
+
+    return {
+      id: i + 1,
+      file_name: frame.file,
+      width: frame.width,
+      height: frame.height,
+      date_captured: frame.createdAt
+    };
+  });
+
+  return {
+    info: {
+      description: 'Vision AI Pro dataset',
+      version: '1.0',
+      date_created: new Date().toISOString()
+    },
+    licenses: [],
+    images,
+    annotations,
+    categories: classes.map((name, i) => ({ id: i + 1, name, supercategory: 'object' }))
+  };
+}
+
+function escapeXml(value) {
+  return String(value).replace(/[<>&"']/g, char => ({
+    '<': '&lt;',
+    '>': '&gt;',
+    '&': '&amp;',
+    '"': '&quot;',
+    "'": '&apos;'
+  })[char]);
+}
+
+function vocXml(frame) {
+  const objects = frame.annotations.map(({ class: className, bbox: [x, y, width, height] }) => `
+  <object>
+    <name>${escapeXml(className)}</name>
+    <pose>Unspecified</pose>
+    <truncated>0</truncated>
+    <difficult>0</difficult>
+    <bndbox>
+      <xmin>${Math.round(x) + 1}</xmin>
+      <ymin>${Math.round(y) + 1}</ymin>
+      <xmax>${Math.max(Math.round(x) + 1, Math.round(x + width))}</xmax>
+      <ymax>${Math.max(Math.round(y) + 1, Math.round(y + height))}</ymax>
+    </bndbox>
+  </object>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<annotation>
+  <folder>JPEGImages</folder>
+  <filename>${escapeXml(frame.file)}</filename>
+  <source>
+    <database>Vision AI Pro</database>
+  </source>
+  <size>
+    <width>${frame.width}</width>
+    <height>${frame.height}</height>
+    <depth>3</depth>
+  </size>
+  <segmented>0</segmented>${objects}
+</annotation>
+`;
+}
+
+function yoloLabels(frame, classes) {
+  return frame.annotations.map(({ class: className, bbox: [x, y, width, height] }) => [
+    classes.indexOf(className),
+    ((x + width / 2) / frame.width).toFixed(6),
+    ((y + height / 2) / frame.height).toFixed(6),
+    (width / frame.width).toFixed(6),
+    (height / frame.height).toFixed(6)
+  ].join(' ')).map(line => line + '\n').join('');
+}
+
+function yoloDataYaml(classes) {
+  const names = classes.map((name, i) => `  ${i}: ${JSON.stringify(name)}`).join('\n');
+  return `# Dataset exportado desde Vision AI Pro (train y val apuntan a las mismas imágenes)
+path: .
+train: images
+val: images
+names:
+${names}
+`;
+}
+
+function createDatasetExporter({ dataset, logger }) {
+  // Valida los parámetros de la query. Devuelve { error } o la consulta
+  function parseQuery(query) {
+    const format = query.format || 'coco';
+    if (!DATASET_FORMATS.includes(format)) {
+      return invalidParam('format', `Debe ser uno de: ${DATASET_FORMATS.join(', ')}`);
+    }
+
+    const filter = dataset.parseFilterQuery(query);
+    if (filter.error) return filter;
+    return { format, ...filter };
+  }
+
+  function filename({ format }) {
+    const date = new Date().toISOString().slice(0, 10);
+    return `vision-ai-pro-dataset-${format}-${date}.zip`;
+  }
+
+  // Escribe el ZIP en la respuesta. Si el cliente corta la conexión se
+  // deja de leer el disco. Devuelve { frames, annotations, classes }
+  async function write(res, query) {
+    const { format } = query;
+    const frames = dataset.matching(query);
+    const classes = datasetClasses(frames);
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${filename(query)}"`,
+      'Cache-Control': 'no-store'
+    });
+
+    // Espera a 'drain' si el buffer del socket está lleno (o a 'close' si
+    // el cliente se va)
+    const send = chunk => {
+      if (res.write(chunk)) return Promise.resolve();
+      return new Promise(resolve => {
+        const done = () => {
+          res.off('drain', done);
+          res.off('close', done);
+          resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+      });
+    };
+
+    const zip = createZipWriter(send);
+    const imageDir = { coco: 'images', voc: 'JPEGImages', yolo: 'images' }[format];
+    const exported = [];
+
+    for (const frame of frames) {
+      if (res.destroyed) return null;
+
+      // Borrado entre la consulta y la lectura
+      let image;
+      try {
+        image = dataset.readImage(frame);
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+      exported.push(frame);
+
+      const date = new Date(frame.createdAt);
+      await zip.add(`${imageDir}/${frame.file}`, image, { date });
+      if (format === 'voc') {
+        await zip.add(`Annotations/${frame.id}.xml`, vocXml(frame), { compress: true, date });
+      } else if (format === 'yolo') {
+        await zip.add(`labels/${frame.id}.txt`, yoloLabels(frame, classes), { compress: true, date });
+      }
+    }
+
+    if (format === 'coco') {
+      await zip.add('annotations.json', JSON.stringify(cocoAnnotations(exported, classes), null, 2), { compress: true });
+    } else if (format === 'voc') {
+      await zip.add('ImageSets/Main/default.txt', exported.map(frame => `${frame.id}\n`).join(''), { compress: true });
+    } else {
+      await zip.add('classes.txt', classes.map(name => `${name}\n`).join(''), { compress: true });
+      await zip.add('data.yaml', yoloDataYaml(classes), { compress: true });
+    }
+
+    await zip.finish();
+    res.end();
+
+    const summary = {
+      format,
+      frames: exported.length,
+      annotations: exported.reduce((acc, frame) => acc + frame.annotations.length, 0),
+      classes: classes.length
+    };
+    logger.log(EVENTS.DATASET_EXPORTED, summary);
+    return summary;
+  }
+
+  return {
+    parseQuery,
+    write
+  };
+}
+
+module.exports = {
+  datasetClasses,
+  cocoAnnotations,
+  vocXml,
+  yoloLabels,
+  createDatasetExporter
+};
@@ -0,0 +1,250 @@
+// ==========================================
+// VISION AI PRO - DETECCIÓN EN EL SERVIDOR
+// ==========================================
+// POST /api/detect ejecuta COCO-SSD (lite_mobilenet_v2, el mismo modelo que
+// usa el navegador) en la CPU del servidor con TensorFlow.js puro, sin
+// binarios nativos, para que funcione también en Vercel.
+//
+// - Los pesos se leen de disco (modelDir, ver scripts/fetch-vendor.js); el
+//   servidor no descarga nada en tiempo de ejecución
+// - TensorFlow.js y el modelo se cargan en la primera petición, así el
+//   arranque del resto de rutas no paga su coste
+// - Las inferencias se ejecutan de una en una; con maxQueue peticiones en
+//   curso o esperando, las siguientes reciben 503 DETECTOR_BUSY
+// - Las detecciones tienen la misma forma que coco-ssd en el navegador:
+//   { class, score, bbox: [x, y, ancho, alto] } en píxeles de la imagen
+
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const jpeg = require('jpeg-js');
+const { PNG } = require('pngjs');
+const { errors, sendError } = require('./errors');
+
+const MODEL_NAME = 'coco-ssd/lite_mobilenet_v2';
+
+// Campos de multipart/form-data que llegan como texto y el esquema espera
+// como número
+const NUMERIC_FIELDS = ['confidenceThreshold', 'maxDetections'];
+
+const MULTER_MESSAGES = {
+  LIMIT_UNEXPECTED_FILE: "Solo se admite un fichero, en el campo 'image'",
+  LIMIT_FILE_COUNT: "Solo se admite un fichero, en el campo 'image'",
+  LIMIT_FIELD_VALUE: 'Valor de campo demasiado largo',
+  LIMIT_FIELD_COUNT: 'Demasiados campos en el formulario'
+};
+
+const DATA_URL_PREFIX = /^data:image\/(jpeg|jpg|png);base64,/i;
+
+function isJpeg(buffer) {
+  return buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff;
+}
+
+function isPng(buffer) {
+  return buffer.length > 24 && buffer.toString('latin1', 1, 4) === 'PNG';
+}
+
+// Imagen en base64 (con o sin prefijo data:) → Buffer
+function parseBase64Image(value, maxImageBytes) {
+  const base64 = value.replace(DATA_URL_PREFIX, '').replace(/\s/g, '');
+  if (!/^[A-Za-z0-9+/]+={0,2}$/.test(base64)) {
+    throw errors.invalidImage('El campo image no es base64 válido');
+  }
+
+  const buffer = Buffer.from(base64, 'base64');
+  if (buffer.length > maxImageBytes) throw errors.payloadTooLarge(maxImageBytes);
+  return buffer;
+}
+
+// Decodifica JPEG o PNG a píxeles. El tamaño se comprueba antes de
+// decodificar para que una imagen enorme no agote la memoria
+function decodeImage(buffer, maxMegapixels) {
+  const maxPixels = maxMegapixels * 1000 * 1000;
+
+  try {
+    if (isJpeg(buffer)) {
+      const { width, height, data } = jpeg.decode(buffer, {
+        useTArray: true,
+        formatAsRGBA: false,
+        maxResolutionInMP: maxMegapixels
+      });
+      return { width, height, channels: 3, data };
+    }
+
+    if (isPng(buffer)) {
+      const width = buffer.readUInt32BE(16);
+      const height = buffer.readUInt32BE(20);
+      if (width * height > maxPixels) {
+        throw errors.invalidImage(`La imagen supera el máximo de ${maxMegapixels} megapíxeles`);
+      }
+      const png = PNG.sync.read(buffer);
+      return { width: png.width, height: png.height, channels: 4, data: png.data };
+    }
+  } catch (error) {
+    if (error.code === 'INVALID_IMAGE') throw error;
+    if (/maxResolutionInMP/.test(error.message)) {
+      throw errors.invalidImage(`La imagen supera el máximo de ${maxMegapixels} megapíxeles`);
+    }
+    throw errors.invalidImage('No se pudo decodificar la imagen');
+  }
+
+  throw errors.invalidImage();
+}
+
+// IOHandler de TensorFlow.js que lee model.json y sus shards de disco
+function fileModelHandler(tf, modelDir) {
+  return {
+    async load() {
+      const modelJson = JSON.parse(await fs.promises.readFile(path.join(modelDir, 'model.json'), 'utf8'));
+
+      return tf.io.getModelArtifactsForJSON(modelJson, async weightsManifest => {
+        const weightSpecs = [];
+        const shards = [];
+        for (const group of weightsManifest) {
+          weightSpecs.push(...group.weights);
+          for (const file of group.paths) {
+            shards.push(await fs.promises.readFile(path.join(modelDir, path.basename(file))));
+          }
+        }
+
+        const weights = Buffer.concat(shards);
+        return [weightSpecs, weights.buffer.slice(weights.byteOffset, weights.byteOffset + weights.byteLength)];
+      });
+    }
+  };
+}
+
+function createDetector({ modelDir, maxImageBytes, maxMegapixels = 12, maxQueue = 4, logger }) {
+  let tf = null;
+  let modelPromise = null;
+  let state = 'not_loaded';
+  let queue = Promise.resolve();
+  let pending = 0;
+  let inferences = 0;
+
+  // Si la carga falla se reintenta en la siguiente petición
+  function loadModel() {
+    if (modelPromise) return modelPromise;
+
+    state = 'loading';
+    modelPromise = (async () => {
+      if (!fs.existsSync(path.join(modelDir, 'model.json'))) {
+        throw new Error(`No existe ${path.join(modelDir, 'model.json')} (npm run vendor:fetch)`);
+      }
+
+      tf = require('@tensorflow/tfjs-core');
+      require('@tensorflow/tfjs-backend-cpu');
+      const cocoSsd = require('@tensorflow-models/coco-ssd');
+
+      await tf.setBackend('cpu');
+      const model = await cocoSsd.load({
+        base: 'lite_mobilenet_v2',
+        modelUrl: fileModelHandler(tf, modelDir)
+      });
+
+      state = 'ready';
+      console.log(`✅ Modelo ${MODEL_NAME} cargado desde`, modelDir);
+      return model;
+    })().catch(error => {
+      state = 'unavailable';
+      modelPromise = null;
+      console.error('❌ Error cargando el modelo de detección:', error.message);
+      logger.error('detect/model', error, { modelDir });
+      throw errors.modelUnavailable();
+    });
+
+    return modelPromise;
+  }
+
+  // Cola de una sola inferencia a la vez
+  function enqueue(task) {
+    if (pending >= maxQueue) throw errors.detectorBusy(1);
+
+    pending++;
+    const run = queue.then(task).finally(() => { pending--; });
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  async function detect(buffer, { confidenceThreshold, maxDetections }) {
+    return enqueue(async () => {
+      const image = decodeImage(buffer, maxMegapixels);
+      const model = await loadModel();
+      const start = process.hrtime.bigint();
+
+      const input = tf.tidy(() => {
+        const pixels = tf.tensor3d(image.data, [image.height, image.width, image.channels], 'int32');
+        return image.channels === 3 ? pixels : tf.slice(pixels, [0, 0, 0], [-1, -1, 3]);
+      });
+
+      let detections;
+      try {
+        detections = await model.detect(input, maxDetections, confidenceThreshold);
+      } finally {
+        input.dispose();
+      }
+      inferences++;
+
+      return {
+        model: MODEL_NAME,
+        detections: detections.map(d => ({ class: d.class, score: d.score, bbox: d.bbox })),
+        imageSize: { width: image.width, height: image.height },
+        inferenceMs: Math.round(Number(process.hrtime.bigint() - start) / 1e6)
+      };
+    });
+  }
+
+  // Middleware para multipart/form-data: deja la imagen en req.file y
+  // convierte los campos numéricos. Los errores se responden directamente,
+  // como en validateBody
+  const multipart = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxImageBytes, files: 1, fields: 10, fieldSize: 1024 }
+  }).single('image');
+
+  function upload(req, res, next) {
+    if (!req.is('multipart/form-data')) return next();
+
+    multipart(req, res, error => {
+      if (error && error.code === 'LIMIT_FILE_SIZE') {
+        return sendError(res, errors.payloadTooLarge(maxImageBytes));
+      }
+      if (error) {
+        return sendError(res, errors.validation([{
+          field: error.field || '(body)',
+          code: 'multipart',
+          message: MULTER_MESSAGES[error.code] || 'Cuerpo multipart/form-data no válido'
+        }]));
+      }
+
+      NUMERIC_FIELDS.forEach(field => {
+        const value = req.body[field];
+        if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) {
+          req.body[field] = Number(value);
+        }
+      });
+      next();
+    });
+  }
+
+  function status() {
+    return {
+      model: MODEL_NAME,
+      state,
+      pending,
+      inferences
+    };
+  }
+
+  return {
+    detect,
+    upload,
+    parseBase64Image: value => parseBase64Image(value, maxImageBytes),
+    status
+  };
+}
+
+module.exports = {
+  MODEL_NAME,
+  createDetector
+};
@@ -0,0 +1,149 @@
+// ==========================================
+// VISION AI PRO - ERRORES DE LA API
+// ==========================================
+// Todas las rutas /api responden los errores con el mismo formato:
+//
+//   {
+//     "success": false,
+//     "error": {
+//       "code": "VALIDATION_ERROR",          // código estable para máquinas
+//       "message": "Datos de entrada no válidos",
+//       "details": [                          // opcional, errores por campo
+//         { "field": "confidenceLevel", "code": "maximum", "message": "..." }
+//       ]
+//     },
+//     "timestamp": "2025-01-01T12:00:00.000Z"
+//   }
+
+const ERROR_CODES = {
+  VALIDATION_ERROR: 'VALIDATION_ERROR',
+  INVALID_JSON: 'INVALID_JSON',
+  UNSUPPORTED_MEDIA_TYPE: 'UNSUPPORTED_MEDIA_TYPE',
+  PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  FORBIDDEN: 'FORBIDDEN',
+  INVALID_SESSION_TOKEN: 'INVALID_SESSION_TOKEN',
+  RATE_LIMITED: 'RATE_LIMITED',
+  TOO_MANY_SESSIONS: 'TOO_MANY_SESSIONS',
+  TOO_MANY_STREAMS: 'TOO_MANY_STREAMS',
+  INVALID_IMAGE: 'INVALID_IMAGE',
+  INVALID_MEDIA: 'INVALID_MEDIA',
+  MODEL_UNAVAILABLE: 'MODEL_UNAVAILABLE',
+  DETECTOR_BUSY: 'DETECTOR_BUSY',
+  DATASET_FULL: 'DATASET_FULL',
+  SESSION_NOT_FOUND: 'SESSION_NOT_FOUND',
+  SESSION_ENDED: 'SESSION_ENDED',
+  NOT_FOUND: 'NOT_FOUND',
+  ROUTE_NOT_FOUND: 'ROUTE_NOT_FOUND',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+class ApiError extends Error {
+  constructor(status, code, message, { details, ...extra } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+    this.extra = extra;
+  }
+
+  toJSON() {
+    return {
+      code: this.code,
+      message: this.message,
+      ...(this.details ? { details: this.details } : {}),
+      ...this.extra
+    };
+  }
+}
+
+// Atajos para los errores más habituales
+const errors = {
+  validation: (details, message = 'Datos de entrada no válidos') =>
+    new ApiError(400, ERROR_CODES.VALIDATION_ERROR, message, { details }),
+
+  sessionNotFound: () =>
+    new ApiError(404, ERROR_CODES.SESSION_NOT_FOUND, 'Sesión no encontrada'),
+
+  sessionEnded: session =>
+    new ApiError(409, ERROR_CODES.SESSION_ENDED, 'Sesión finalizada', {
+      endReason: session.endReason || null
+    }),
+
+  unauthorized: (message = 'Se requiere una API key válida') =>
+    new ApiError(401, ERROR_CODES.UNAUTHORIZED, message),
+
+  forbidden: (role) =>
+    new ApiError(403, ERROR_CODES.FORBIDDEN, `Se requiere el rol '${role}'`),
+
+  invalidSessionToken: (message = 'Token de sesión no válido o caducado') =>
+    new ApiError(401, ERROR_CODES.INVALID_SESSION_TOKEN, message),
+
+  rateLimited: (retryAfter) =>
+    new ApiError(429, ERROR_CODES.RATE_LIMITED, 'Demasiadas peticiones, inténtalo más tarde', { retryAfter }),
+
+  tooManySessions: (max, retryAfter) =>
+    new ApiError(429, ERROR_CODES.TOO_MANY_SESSIONS, `Máximo de ${max} sesiones abiertas por IP`, { retryAfter }),
+
+  tooManyStreams: (max) =>
+    new ApiError(503, ERROR_CODES.TOO_MANY_STREAMS, `Máximo de ${max} conexiones de streaming simultáneas`),
+
+  invalidImage: (message = 'La imagen debe ser JPEG o PNG') =>
+    new ApiError(400, ERROR_CODES.INVALID_IMAGE, message),
+
+  invalidMedia: (message) =>
+    new ApiError(400, ERROR_CODES.INVALID_MEDIA, message),
+
+  modelUnavailable: () =>
+    new ApiError(503, ERROR_CODES.MODEL_UNAVAILABLE, 'El modelo de detección no está disponible en el servidor'),
+
+  detectorBusy: (retryAfter) =>
+    new ApiError(503, ERROR_CODES.DETECTOR_BUSY, 'El detector está ocupado, inténtalo más tarde', { retryAfter }),
+
+  datasetFull: (max) =>
+    new ApiError(409, ERROR_CODES.DATASET_FULL, `El dataset ya tiene el máximo de ${max} frames`),
+
+  payloadTooLarge: (limit) =>
+    new ApiError(413, ERROR_CODES.PAYLOAD_TOO_LARGE, `El cuerpo de la petición supera el máximo (${limit} bytes)`),
+
+  notFound: (message = 'Recurso no encontrado') =>
+    new ApiError(404, ERROR_CODES.NOT_FOUND, message),
+
+  unsupportedMediaType: (allowed) =>
+    new ApiError(415, ERROR_CODES.UNSUPPORTED_MEDIA_TYPE, `Content-Type no soportado; se espera ${allowed.join(' o ')}`)
+};
+
+// Convierte cualquier error en ApiError. Los errores de body-parser traen
+// 'type' y 'status'; el resto se consideran internos y se responden con el
+// mensaje genérico indicado (sin filtrar detalles del servidor)
+function toApiError(error, fallbackMessage = 'Error interno del servidor') {
+  if (error instanceof ApiError) return error;
+
+  if (error && error.type === 'entity.parse.failed') {
+    return new ApiError(400, ERROR_CODES.INVALID_JSON, 'El cuerpo de la petición no es JSON válido');
+  }
+  if (error && error.type === 'entity.too.large') {
+    return errors.payloadTooLarge(error.limit);
+  }
+
+  return new ApiError(500, ERROR_CODES.INTERNAL_ERROR, fallbackMessage);
+}
+
+function sendError(res, error, fallbackMessage) {
+  const apiError = toApiError(error, fallbackMessage);
+
+  return res.status(apiError.status).json({
+    success: false,
+    error: apiError.toJSON(),
+    timestamp: new Date().toISOString()
+  });
+}
+
+module.exports = {
+  ERROR_CODES,
+  ApiError,
+  errors,
+  toApiError,
+  sendError
+};
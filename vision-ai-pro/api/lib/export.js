@@ -0,0 +1,187 @@
+// ==========================================
+// VISION AI PRO - EXPORTACIÓN DE DATOS
+// ==========================================
+// GET /api/export?type=sessions|detections|interactions&format=csv|json|ndjson&from=&to=
+//
+// Los registros se leen del almacenamiento con store.iterate() y se escriben
+// en la respuesta uno a uno, respetando la contrapresión del socket, así que
+// el tamaño de la exportación no depende de la memoria del servidor.
+//
+// - sessions: filtradas por startTime; sin IP (no se expone en la API)
+// - detections / interactions: filtradas por el momento del evento
+//   (timeseries.recordTime)
+//
+// 'json' es un array plano (sin el sobre { success, ... } de la API) para
+// que se pueda cargar directamente en hojas de cálculo y notebooks.
+
+const { invalidParam } = require('./validation');
+const { MODEL_FIELDS } = require('./schemas');
+const { recordTime, parseTime } = require('./timeseries');
+
+const EXPORT_TYPES = ['sessions', 'detections', 'interactions'];
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+// Columnas del CSV por tipo. En json/ndjson se exportan los mismos campos,
+// pero los anidados (detecciones, conteos por clase) mantienen su estructura
+const COLUMNS = {
+  sessions: [
+    'sessionId', 'state', 'startTime', 'endTime', 'endReason', 'lastActivity',
+    'duration', 'userAgent', 'faceDetections', 'objectDetections',
+    'totalDetections', 'interactions', 'filters', 'classCounts'
+  ],
+  detections: [
+    'sessionId', 'receivedAt', 'clientTimestamp', 'detectionType', 'faceCount',
+    'objectCount', 'confidenceLevel', 'detections', ...MODEL_FIELDS
+  ],
+  interactions: [
+    'sessionId', 'receivedAt', 'clientTimestamp', 'widgetName', 'action', 'value'
+  ]
+};
+
+// Valida los parámetros de la query. Devuelve { error } o la consulta
+function parseExportQuery(query) {
+  const type = query.type;
+  if (!EXPORT_TYPES.includes(type)) {
+    return invalidParam('type', `Debe ser uno de: ${EXPORT_TYPES.join(', ')}`);
+  }
+
+  const format = query.format || 'csv';
+  if (!FORMATS[format]) {
+    return invalidParam('format', `Debe ser uno de: ${Object.keys(FORMATS).join(', ')}`);
+  }
+
+  const from = parseTime(query.from);
+  const to = parseTime(query.to);
+  if (from === null) return invalidParam('from', 'Debe ser una fecha ISO 8601 o milisegundos');
+  if (to === null) return invalidParam('to', 'Debe ser una fecha ISO 8601 o milisegundos');
+  if (from !== undefined && to !== undefined && from >= to) {
+    return invalidParam('from', 'Debe ser anterior a to');
+  }
+
+  return { type, format, from, to };
+}
+
+// Celda CSV (RFC 4180). Los textos que empiezan por = + - @ se prefijan con
+// comilla simple para que las hojas de cálculo no los evalúen como fórmulas
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') value = JSON.stringify(value);
+  if (typeof value !== 'string') return String(value);
+
+  if (/^[=+\-@\t\r]/.test(value)) value = `'${value}`;
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+function csvRow(values) {
+  return values.map(csvCell).join(',') + '\r\n';
+}
+
+function inRange(time, { from, to }) {
+  if (!Number.isFinite(time)) return from === undefined && to === undefined;
+  if (from !== undefined && time < from) return false;
+  if (to !== undefined && time > to) return false;
+  return true;
+}
+
+function createExporter({ store, sessionManager }) {
+  // Filas de sesiones: están en memoria, se ordenan por inicio
+  async function* sessionRows(range) {
+    const now = Date.now();
+    const sessions = store.listSessions()
+      .filter(session => inRange(new Date(session.startTime).getTime(), range))
+      .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+
+    for (const session of sessions) {
+      yield {
+        ...sessionManager.summarize(session, now),
+        filters: session.filters || [],
+        classCounts: session.classCounts || {}
+      };
+    }
+  }
+
+  async function* recordRows(collection, range) {
+    for await (const record of store.iterate(collection)) {
+      if (inRange(recordTime(record), range)) yield record;
+    }
+  }
+
+  function rows({ type, from, to }) {
+    const range = { from, to };
+    return type === 'sessions' ? sessionRows(range) : recordRows(type, range);
+  }
+
+  function filename({ type, format }) {
+    const date = new Date().toISOString().slice(0, 10);
+    return `vision-ai-pro-${type}-${date}.${FORMATS[format].extension}`;
+  }
+
+  // Escribe la exportación en la respuesta. Si el cliente corta la conexión
+  // se deja de leer el almacenamiento
+  async function write(res, query) {
+    const { type, format } = query;
+    const columns = COLUMNS[type];
+
+    res.set({
+      'Content-Type': FORMATS[format].contentType,
+      'Content-Disposition': `attachment; filename="${filename(query)}"`,
+      'Cache-Control': 'no-store'
+    });
+
+    // Espera a 'drain' si el buffer del socket está lleno (o a 'close' si
+    // el cliente se va)
+    const send = chunk => {
+      if (res.write(chunk)) return Promise.resolve();
+      return new Promise(resolve => {
+        const done = () => {
+          res.off('drain', done);
+          res.off('close', done);
+          resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+      });
+    };
+
+    let count = 0;
+    if (format === 'csv') await send(csvRow(columns));
+    if (format === 'json') await send('[');
+
+    for await (const row of rows(query)) {
+      if (res.destroyed) break;
+
+      const picked = {};
+      columns.forEach(column => { picked[column] = row[column] === undefined ? null : row[column]; });
+
+      if (format === 'csv') {
+        await send(csvRow(columns.map(column => picked[column])));
+      } else if (format === 'json') {
+        await send(`${count > 0 ? ',' : ''}\n${JSON.stringify(picked)}`);
+      } else {
+        await send(JSON.stringify(picked) + '\n');
+      }
+      count++;
+    }
+
+    if (format === 'json') await send(count > 0 ? '\n]\n' : ']\n');
+    res.end();
+    return count;
+  }
+
+  return {
+    write
+  };
+}
+
+module.exports = {
+  EXPORT_TYPES,
+  FORMATS,
+  parseExportQuery,
+  createExporter
+};
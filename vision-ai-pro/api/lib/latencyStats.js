@@ -0,0 +1,120 @@
+// ==========================================
+// VISION AI PRO - LATENCIA DEL NAVEGADOR
+// ==========================================
+// Percentiles de los tiempos por etapa que envía el navegador con cada frame
+// de detecciones (timings: capture, inference, draw, filter, en ms). Se
+// guardan las últimas windowSize muestras de cada etapa y de su suma
+// (total), y la inferencia también por backend (webgl, wasm, cpu) y por
+// modelo, para comparar en /api/stats qué combinación rinde mejor.
+//
+// Los percentiles se calculan con el método del rango más cercano sobre la
+// ventana, ordenándola al pedir el resumen: son pocas miles de muestras y
+// /api/stats no se consulta en cada frame.
+
+const { PIPELINE_STAGES } = require('./schemas');
+
+const PERCENTILES = [50, 90, 95, 99];
+const UNKNOWN = 'unknown';
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Buffer circular con las últimas `size` muestras
+function createWindow(size) {
+  const samples = new Array(size);
+  let next = 0;
+  let count = 0;
+
+  return {
+    add(value) {
+      samples[next] = value;
+      next = (next + 1) % size;
+      count = Math.min(size, count + 1);
+    },
+    values() {
+      return samples.slice(0, count);
+    }
+  };
+}
+
+function percentile(sorted, p) {
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.max(0, rank - 1)];
+}
+
+function summarize(window) {
+  const values = window.values().sort((a, b) => a - b);
+  if (values.length === 0) return { count: 0 };
+
+  const summary = {
+    count: values.length,
+    avg: round(values.reduce((acc, value) => acc + value, 0) / values.length)
+  };
+  PERCENTILES.forEach(p => {
+    summary[`p${p}`] = round(percentile(values, p));
+  });
+  summary.max = round(values[values.length - 1]);
+  return summary;
+}
+
+function createLatencyStats({ windowSize = 5000 } = {}) {
+  let stages;
+  let backends;
+  let models;
+  let samples;
+
+  function reset() {
+    stages = new Map([...PIPELINE_STAGES, 'total'].map(stage => [stage, createWindow(windowSize)]));
+    backends = new Map();
+    models = new Map();
+    samples = 0;
+  }
+
+  function windowFor(map, key) {
+    if (!map.has(key)) map.set(key, createWindow(windowSize));
+    return map.get(key);
+  }
+
+  // Registra los tiempos de un frame. Los frames sin timings (clientes
+  // antiguos, /api/detect) no cuentan
+  function record({ timings, backend, detectionType }) {
+    if (!timings || typeof timings !== 'object') return;
+
+    const measured = PIPELINE_STAGES.filter(stage => Number.isFinite(timings[stage]));
+    if (measured.length === 0) return;
+
+    measured.forEach(stage => stages.get(stage).add(timings[stage]));
+    stages.get('total').add(measured.reduce((acc, stage) => acc + timings[stage], 0));
+    samples++;
+
+    if (Number.isFinite(timings.inference)) {
+      windowFor(backends, backend || UNKNOWN).add(timings.inference);
+      windowFor(models, detectionType || UNKNOWN).add(timings.inference);
+    }
+  }
+
+  // Resumen para /api/stats (ms)
+  function summary() {
+    return {
+      window: windowSize,
+      samples,
+      stages: Object.fromEntries(Array.from(stages.entries()).map(([stage, window]) => [stage, summarize(window)])),
+      backends: Array.from(backends.entries()).map(([backend, window]) => ({ backend, inference: summarize(window) })),
+      models: Array.from(models.entries()).map(([model, window]) => ({ model, inference: summarize(window) }))
+    };
+  }
+
+  reset();
+
+  return {
+    record,
+    reset,
+    summary
+  };
+}
+
+module.exports = {
+  PERCENTILES,
+  createLatencyStats
+};
@@ -0,0 +1,185 @@
+// ==========================================
+// VISION AI PRO - LOGS ESTRUCTURADOS
+// ==========================================
+// Escribe eventos como JSON por línea (NDJSON) con el formato que espera
+// public/logs.html:
+//
+//   { "ts": "2025-01-01T12:00:00.000Z", "event": "SESSION_START", "data": { ... } }
+//
+// Se crea un fichero por día (UTC) y se borran los más antiguos que
+// retentionDays. Con subscribe() se recibe cada entrada al escribirse
+// (lo usa /api/stream). removeSession() quita de todos los ficheros las
+// entradas que mencionan una sesión (borrado a petición).
+
+const fs = require('fs');
+const path = require('path');
+
+const FILE_PREFIX = 'vision-ai-pro-';
+const FILE_EXTENSION = '.ndjson';
+const FILE_PATTERN = /^vision-ai-pro-\d{4}-\d{2}-\d{2}\.ndjson$/;
+
+const EVENTS = {
+  SESSION_START: 'SESSION_START',
+  SESSION_END: 'SESSION_END',
+  SESSION_EVICTED: 'SESSION_EVICTED',
+  SESSION_ERASED: 'SESSION_ERASED',
+  DATA_PURGED: 'DATA_PURGED',
+  DETECTION_RECORDED: 'DETECTION_RECORDED',
+  DETECTION_BATCH: 'DETECTION_BATCH',
+  INTERACTION_RECORDED: 'INTERACTION_RECORDED',
+  ZONE_CHANGED: 'ZONE_CHANGED',
+  ZONE_EVENTS: 'ZONE_EVENTS',
+  SNAPSHOT_SAVED: 'SNAPSHOT_SAVED',
+  SNAPSHOTS_PURGED: 'SNAPSHOTS_PURGED',
+  DATASET_FRAME_SAVED: 'DATASET_FRAME_SAVED',
+  DATASET_FRAME_UPDATED: 'DATASET_FRAME_UPDATED',
+  DATASET_EXPORTED: 'DATASET_EXPORTED',
+  ALERT_RULE_CHANGED: 'ALERT_RULE_CHANGED',
+  ALERT_FIRED: 'ALERT_FIRED',
+  ALERT_DELIVERY: 'ALERT_DELIVERY',
+  ERROR: 'ERROR'
+};
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function createLogger({ logDir, retentionDays = 14 }) {
+  fs.mkdirSync(logDir, { recursive: true });
+
+  let currentFile = null;
+  const listeners = new Set();
+
+  function fileForDate(date) {
+    return `${FILE_PREFIX}${date.toISOString().slice(0, 10)}${FILE_EXTENSION}`;
+  }
+
+  // Borra los ficheros de log más antiguos que la retención configurada
+  function purgeOldFiles() {
+    const cutoff = fileForDate(new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000));
+
+    fs.readdirSync(logDir)
+      .filter(file => FILE_PATTERN.test(file) && file < cutoff)
+      .forEach(file => {
+        try {
+          fs.unlinkSync(path.join(logDir, file));
+          console.log('🗑️ Log antiguo eliminado:', file);
+        } catch (error) {
+          console.error('❌ Error eliminando log antiguo:', file, error.message);
+        }
+      });
+  }
+
+  function log(event, data = {}) {
+    const now = new Date();
+    const file = fileForDate(now);
+
+    // Rotación diaria: al cambiar de fichero se aplica la retención
+    if (file !== currentFile) {
+      currentFile = file;
+      purgeOldFiles();
+    }
+
+    const entry = { ts: now.toISOString(), event, data };
+
+    try {
+      fs.appendFileSync(path.join(logDir, file), JSON.stringify(entry) + '\n');
+    } catch (error) {
+      // Un fallo al escribir logs nunca debe tumbar una petición
+      console.error('❌ Error escribiendo log:', error.message);
+    }
+
+    listeners.forEach(listener => {
+      try {
+        listener(entry);
+      } catch (error) {
+        console.error('❌ Error notificando entrada de log:', error.message);
+      }
+    });
+
+    return entry;
+  }
+
+  // Devuelve la función para cancelar la suscripción
+  function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  function error(context, err, data = {}) {
+    return log(EVENTS.ERROR, {
+      ...data,
+      context,
+      message: err && err.message ? err.message : String(err)
+    });
+  }
+
+  // Reescribe los ficheros quitando las líneas que contienen el sessionId
+  // (en data.sessionId o en cualquier otro campo, como los errores).
+  // Devuelve cuántas entradas se quitaron
+  function removeSession(sessionId) {
+    const needle = JSON.stringify(sessionId);
+    let removed = 0;
+
+    fs.readdirSync(logDir)
+      .filter(file => FILE_PATTERN.test(file))
+      .forEach(file => {
+        const filePath = path.join(logDir, file);
+        const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+        const kept = lines.filter(line => !line.includes(needle));
+        if (kept.length === lines.length) return;
+
+        const tmpPath = `${filePath}.tmp`;
+        fs.writeFileSync(tmpPath, kept.join('\n'));
+        fs.renameSync(tmpPath, filePath);
+        removed += lines.length - kept.length;
+      });
+
+    return removed;
+  }
+
+  // Lista los ficheros de log, más recientes primero
+  function listFiles() {
+    return fs.readdirSync(logDir)
+      .filter(file => FILE_PATTERN.test(file))
+      .map(file => {
+        const fileStats = fs.statSync(path.join(logDir, file));
+        return {
+          file,
+          size: formatSize(fileStats.size),
+          bytes: fileStats.size,
+          lastModified: fileStats.mtime.toISOString()
+        };
+      })
+      .sort((a, b) => b.file.localeCompare(a.file));
+  }
+
+  // Devuelve la ruta absoluta de un fichero de log o null si el nombre no es
+  // válido. Solo se aceptan nombres generados por este logger, lo que impide
+  // salir del directorio con '..', rutas absolutas o separadores.
+  function resolveFile(name) {
+    if (typeof name !== 'string' || !FILE_PATTERN.test(name)) return null;
+
+    const filePath = path.resolve(logDir, name);
+    if (path.dirname(filePath) !== path.resolve(logDir)) return null;
+
+    return filePath;
+  }
+
+  return {
+    logDir,
+    log,
+    error,
+    subscribe,
+    removeSession,
+    listFiles,
+    resolveFile
+  };
+}
+
+module.exports = {
+  EVENTS,
+  createLogger
+};
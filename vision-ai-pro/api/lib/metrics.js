@@ -0,0 +1,305 @@
+// ==========================================
+// VISION AI PRO - MÉTRICAS PROMETHEUS
+// ==========================================
+// Registro mínimo de métricas (counter, gauge, histogram) que se exporta en
+// el formato de texto de Prometheus (text/plain; version=0.0.4).
+//
+// Los contadores son del proceso: empiezan en 0 en cada arranque, como
+// espera Prometheus (rate() y increase() detectan los reinicios). Los
+// totales históricos siguen en /api/stats.
+//
+// Cada métrica admite como mucho MAX_SERIES combinaciones de etiquetas; las
+// siguientes se agrupan con todas las etiquetas a 'other' para que un
+// cliente no pueda disparar la cardinalidad (p. ej. con clases inventadas).
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const MAX_SERIES = 1000;
+const DEFAULT_LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/"/g, '\\"');
+}
+
+function formatLabels(labelNames, values, extra = '') {
+  const parts = labelNames.map((name, i) => `${name}="${escapeLabel(values[i])}"`);
+  if (extra) parts.push(extra);
+  return parts.length > 0 ? `{${parts.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  return String(value);
+}
+
+// Series indexadas por la combinación de valores de sus etiquetas
+function createSeries(labelNames, initial) {
+  const series = new Map();
+
+  return {
+    get(labels = {}) {
+      let values = labelNames.map(name => (labels[name] === undefined || labels[name] === null ? '' : String(labels[name])));
+      let key = values.join('\u0000');
+
+      if (!series.has(key) && series.size >= MAX_SERIES) {
+        values = labelNames.map(() => 'other');
+        key = values.join('\u0000');
+      }
+      if (!series.has(key)) {
+        series.set(key, { values, data: initial() });
+      }
+      return series.get(key).data;
+    },
+    entries() {
+      return Array.from(series.values());
+    },
+    clear() {
+      series.clear();
+    }
+  };
+}
+
+function createMetricsRegistry() {
+  const metrics = [];
+
+  function register(metric) {
+    metrics.push(metric);
+    return metric;
+  }
+
+  // Counter y gauge comparten implementación. Si se indica 'collect', el
+  // valor se calcula en cada lectura: recibe set(labels, value) y se llama
+  // justo antes de exportar
+  function simpleMetric(type, name, help, labelNames, collect) {
+    const series = createSeries(labelNames, () => ({ value: 0 }));
+    return register({
+      name,
+      help,
+      type,
+      inc(labels, amount = 1) {
+        series.get(labels).value += amount;
+      },
+      set(labels, value) {
+        series.get(labels).value = value;
+      },
+      lines() {
+        if (collect) {
+          series.clear();
+          collect((labels, value) => { series.get(labels).value = value; });
+        }
+        return series.entries().map(({ values, data }) =>
+          `${name}${formatLabels(labelNames, values)} ${formatValue(data.value)}`);
+      }
+    });
+  }
+
+  function counter(name, help, labelNames = [], collect = null) {
+    return simpleMetric('counter', name, help, labelNames, collect);
+  }
+
+  function gauge(name, help, labelNames = [], collect = null) {
+    return simpleMetric('gauge', name, help, labelNames, collect);
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_LATENCY_BUCKETS) {
+    const bounds = [...buckets].sort((a, b) => a - b);
+    const series = createSeries(labelNames, () => ({
+      counts: bounds.map(() => 0),
+      sum: 0,
+      count: 0
+    }));
+
+    return register({
+      name,
+      help,
+      type: 'histogram',
+      observe(labels, value) {
+        const data = series.get(labels);
+        bounds.forEach((bound, i) => {
+          if (value <= bound) data.counts[i]++;
+        });
+        data.sum += value;
+        data.count++;
+      },
+      lines() {
+        const lines = [];
+        series.entries().forEach(({ values, data }) => {
+          bounds.forEach((bound, i) => {
+            lines.push(`${name}_bucket${formatLabels(labelNames, values, `le="${bound}"`)} ${data.counts[i]}`);
+          });
+          lines.push(`${name}_bucket${formatLabels(labelNames, values, 'le="+Inf"')} ${data.count}`);
+          lines.push(`${name}_sum${formatLabels(labelNames, values)} ${data.sum}`);
+          lines.push(`${name}_count${formatLabels(labelNames, values)} ${data.count}`);
+        });
+        return lines;
+      }
+    });
+  }
+
+  // Texto completo en formato de exposición de Prometheus
+  function render() {
+    const output = [];
+    metrics.forEach(metric => {
+      output.push(`# HELP ${metric.name} ${metric.help}`);
+      output.push(`# TYPE ${metric.name} ${metric.type}`);
+      output.push(...metric.lines());
+    });
+    return output.join('\n') + '\n';
+  }
+
+  return {
+    counter,
+    gauge,
+    histogram,
+    render
+  };
+}
+
+// Métricas de la aplicación. activeSessions() y rateLimitSummary() se leen
+// solo al exportar
+function createMetrics({ activeSessions, rateLimitSummary }) {
+  const registry = createMetricsRegistry();
+
+  const metrics = {
+    sessionsStarted: registry.counter(
+      'visionai_sessions_started_total',
+      'Sesiones iniciadas desde el arranque del proceso'
+    ),
+    sessionsEnded: registry.counter(
+      'visionai_sessions_ended_total',
+      'Sesiones cerradas por motivo (client, idle_timeout...)',
+      ['reason']
+    ),
+    detectionFrames: registry.counter(
+      'visionai_detection_frames_total',
+      'Frames de detección registrados por modelo',
+      ['model']
+    ),
+    detections: registry.counter(
+      'visionai_detections_total',
+      'Objetos detectados por clase y modelo',
+      ['class', 'model']
+    ),
+    interactions: registry.counter(
+      'visionai_interactions_total',
+      'Interacciones registradas por control y acción',
+      ['widget', 'action']
+    ),
+    zoneEvents: registry.counter(
+      'visionai_zone_events_total',
+      'Entradas y salidas de objetos en zonas y líneas de conteo',
+      ['zone', 'class', 'event']
+    ),
+    snapshots: registry.counter(
+      'visionai_snapshots_total',
+      'Capturas y clips guardados por tipo y disparador',
+      ['kind', 'trigger']
+    ),
+    alertsFired: registry.counter(
+      'visionai_alerts_fired_total',
+      'Alertas disparadas por regla',
+      ['rule']
+    ),
+    alertDeliveries: registry.counter(
+      'visionai_alert_deliveries_total',
+      'Entregas de alertas a webhooks por resultado final (delivered, failed)',
+      ['result']
+    ),
+    detectInference: registry.histogram(
+      'visionai_detect_inference_seconds',
+      'Duración de la inferencia en el servidor (/api/detect)',
+      [],
+      [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]
+    ),
+    clientStageDuration: registry.histogram(
+      'visionai_client_stage_seconds',
+      'Duración de cada etapa del procesado de un frame en el navegador (capture, inference, draw, filter)',
+      ['stage', 'backend'],
+      [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1]
+    ),
+    httpRequests: registry.counter(
+      'visionai_http_requests_total',
+      'Peticiones HTTP atendidas por método, ruta y código de estado',
+      ['method', 'route', 'status']
+    ),
+    httpDuration: registry.histogram(
+      'visionai_http_request_duration_seconds',
+      'Latencia de las peticiones HTTP por método y ruta',
+      ['method', 'route']
+    )
+  };
+
+  registry.counter(
+    'visionai_rate_limited_requests_total',
+    'Peticiones rechazadas con 429 desde el arranque, por ruta',
+    ['route'],
+    set => {
+      Object.entries(rateLimitSummary().rejected.byRoute).forEach(([route, count]) => set({ route }, count));
+    }
+  );
+
+  registry.gauge(
+    'visionai_active_sessions',
+    'Sesiones abiertas en este momento',
+    [],
+    set => set({}, activeSessions())
+  );
+
+  registry.gauge(
+    'process_resident_memory_bytes',
+    'Memoria residente del proceso en bytes',
+    [],
+    set => set({}, process.memoryUsage().rss)
+  );
+
+  registry.gauge(
+    'nodejs_heap_used_bytes',
+    'Heap de V8 en uso en bytes',
+    [],
+    set => set({}, process.memoryUsage().heapUsed)
+  );
+
+  registry.gauge(
+    'process_uptime_seconds',
+    'Segundos desde el arranque del proceso',
+    [],
+    set => set({}, Math.round(process.uptime()))
+  );
+
+  // Ruta con la que se etiqueta la petición: el patrón de Express (no la URL,
+  // para no crear una serie por sessionId o archivo)
+  function routeLabel(req, res) {
+    if (req.route) return `${req.baseUrl}${req.route.path}`;
+    if (req.method === 'GET' && res.statusCode < 400) return 'static';
+    return 'unmatched';
+  }
+
+  // Middleware: mide cada petición al terminar la respuesta
+  function httpMiddleware(req, res, next) {
+    const start = process.hrtime.bigint();
+
+    res.on('finish', () => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      const route = routeLabel(req, res);
+
+      metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+      metrics.httpDuration.observe({ method: req.method, route }, seconds);
+    });
+
+    next();
+  }
+
+  return {
+    ...metrics,
+    contentType: CONTENT_TYPE,
+    httpMiddleware,
+    render: registry.render
+  };
+}
+
+module.exports = {
+  createMetricsRegistry,
+  createMetrics
+};
@@ -0,0 +1,256 @@
+// ==========================================
+// VISION AI PRO - MODELOS Y LIBRERÍAS LOCALES
+// ==========================================
+// Para funcionar sin acceso a Internet (redes aisladas) el servidor sirve
+// copias propias de las librerías del navegador y de los pesos de los
+// modelos:
+//
+//   vendor/<id>/<versión>/<fichero>   librerías (TensorFlow.js, OpenCV.js...)
+//                                     y sus ficheros auxiliares (assets)
+//   models/<modelo>/<variante>/       model.json y sus ficheros de pesos
+//
+// Se descargan una vez con `npm run vendor:fetch` y se versionan con el
+// proyecto; el servidor nunca los descarga en tiempo de ejecución.
+// /api/models lista lo que hay disponible para que el navegador y el
+// service worker sepan qué cargar en local y qué pedir a la CDN.
+
+const fs = require('fs');
+const path = require('path');
+
+// TensorFlow.js, su backend WebAssembly y las librerías de los modelos se
+// cargan en el worker de inferencia (public/inference-worker.js), estas
+// últimas al elegir el modelo; si no hay copia local, desde source. Las de
+// index.html (Tailwind y OpenCV.js) piden a la CDN la misma versión.
+//
+// assets son ficheros que la librería pide por su cuenta desde su mismo
+// directorio (los .wasm del backend WebAssembly); se copian junto a file
+const LIBRARIES = [
+  {
+    id: 'tailwindcss',
+    name: 'Tailwind CSS',
+    version: '3.4.16',
+    file: 'tailwindcss.js',
+    source: 'https://cdn.tailwindcss.com/3.4.16'
+  },
+  {
+    id: 'tfjs',
+    name: 'TensorFlow.js',
+    version: '4.22.0',
+    file: 'tf.min.js',
+    source: 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.22.0/dist/tf.min.js'
+  },
+  {
+    id: 'tfjs-backend-wasm',
+    name: 'TensorFlow.js WebAssembly',
+    version: '4.22.0',
+    file: 'tf-backend-wasm.min.js',
+    source: 'https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-backend-wasm@4.22.0/dist/tf-backend-wasm.min.js',
+    assets: ['tfjs-backend-wasm.wasm', 'tfjs-backend-wasm-simd.wasm', 'tfjs-backend-wasm-threaded-simd.wasm']
+  },
+  {
+    id: 'coco-ssd',
+    name: 'COCO-SSD',
+    version: '2.2.3',
+    file: 'coco-ssd.min.js',
+    source: 'https://cdn.jsdelivr.net/npm/@tensorflow-models/coco-ssd@2.2.3/dist/coco-ssd.min.js'
+  },
+  {
+    id: 'body-pix',
+    name: 'BodyPix',
+    version: '2.2.1',
+    file: 'body-pix.min.js',
+    source: 'https://cdn.jsdelivr.net/npm/@tensorflow-models/body-pix@2.2.1/dist/body-pix.min.js'
+  },
+  {
+    id: 'pose-detection',
+    name: 'Pose Detection (MoveNet)',
+    version: '2.1.3',
+    file: 'pose-detection.min.js',
+    source: 'https://cdn.jsdelivr.net/npm/@tensorflow-models/pose-detection@2.1.3/dist/pose-detection.min.js'
+  },
+  {
+    id: 'blazeface',
+    name: 'BlazeFace',
+    version: '0.1.0',
+    file: 'blazeface.min.js',
+    source: 'https://cdn.jsdelivr.net/npm/@tensorflow-models/blazeface@0.1.0/dist/blazeface.min.js'
+  },
+  {
+    id: 'mobilenet',
+    name: 'MobileNet',
+    version: '2.1.1',
+    file: 'mobilenet.min.js',
+    source: 'https://cdn.jsdelivr.net/npm/@tensorflow-models/mobilenet@2.1.1/dist/mobilenet.min.js'
+  },
+  {
+    id: 'opencv',
+    name: 'OpenCV.js',
+    version: '4.10.0',
+    file: 'opencv.js',
+    source: 'https://docs.opencv.org/4.10.0/opencv.js'
+  },
+  {
+    id: 'swagger-ui',
+    name: 'Swagger UI',
+    version: '5.17.14',
+    file: 'swagger-ui-bundle.js',
+    source: 'https://cdn.jsdelivr.net/npm/swagger-ui-dist@5.17.14/swagger-ui-bundle.js',
+    assets: ['swagger-ui.css']
+  }
+];
+
+// source es el model.json original; se guarda siempre como model.json y sus
+// pesos (rutas relativas del weightsManifest) en el mismo directorio. Los de
+// TF Hub necesitan ?tfjs-format=file también en los pesos
+const MODELS = [
+  {
+    id: 'coco-ssd',
+    name: 'COCO-SSD',
+    task: 'detection',
+    variant: 'lite_mobilenet_v2',
+    version: '2.2.3',
+    dir: 'coco-ssd/lite_mobilenet_v2',
+    source: 'https://storage.googleapis.com/tfjs-models/savedmodel/ssdlite_mobilenet_v2/model.json'
+  },
+  {
+    id: 'body-pix',
+    name: 'BodyPix',
+    task: 'segmentation',
+    variant: 'mobilenet_v1_075_stride16_quant2',
+    version: '2.2.1',
+    dir: 'body-pix/mobilenet_v1_075_stride16_quant2',
+    source: 'https://storage.googleapis.com/tfjs-models/savedmodel/bodypix/mobilenet/quant2/075/model-stride16.json'
+  },
+  {
+    id: 'movenet',
+    name: 'MoveNet',
+    task: 'pose',
+    variant: 'multipose_lightning',
+    version: '2.1.3',
+    dir: 'movenet/multipose_lightning',
+    source: 'https://tfhub.dev/google/tfjs-model/movenet/multipose/lightning/1/model.json?tfjs-format=file'
+  },
+  {
+    id: 'blazeface',
+    name: 'BlazeFace',
+    task: 'face',
+    variant: 'default',
+    version: '0.1.0',
+    dir: 'blazeface/default',
+    source: 'https://tfhub.dev/tensorflow/tfjs-model/blazeface/1/default/1/model.json?tfjs-format=file'
+  },
+  {
+    id: 'mobilenet',
+    name: 'MobileNet',
+    task: 'classification',
+    variant: 'mobilenet_v2_100_224',
+    version: '2.1.1',
+    dir: 'mobilenet/mobilenet_v2_100_224',
+    source: 'https://tfhub.dev/google/tfjs-model/imagenet/mobilenet_v2_100_224/classification/3/default/1/model.json?tfjs-format=file'
+  }
+];
+
+function fileSize(file) {
+  try {
+    return fs.statSync(file).size;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Rutas de los pesos declarados en un model.json de TensorFlow.js
+function weightFiles(modelJson) {
+  return (modelJson.weightsManifest || []).flatMap(group => group.paths);
+}
+
+function createModelRegistry({ modelsDir, vendorDir }) {
+  // Una librería está disponible si existen su fichero y todos sus assets
+  function libraryEntry(library) {
+    const dir = path.posix.join(library.id, library.version);
+    const relatives = [library.file, ...(library.assets || [])].map(file => path.posix.join(dir, file));
+    const sizes = relatives.map(relative => fileSize(path.join(vendorDir, relative)));
+    const available = sizes.every(size => size !== null);
+
+    return {
+      id: library.id,
+      name: library.name,
+      version: library.version,
+      available,
+      url: `/vendor/${relatives[0]}`,
+      files: available ? relatives.map(relative => `/vendor/${relative}`) : [],
+      bytes: available ? sizes.reduce((acc, size) => acc + size, 0) : 0,
+      source: library.source
+    };
+  }
+
+  // Un modelo está disponible si existen su model.json y todos sus pesos
+  function modelEntry(model) {
+    const dir = path.join(modelsDir, model.dir);
+    const baseUrl = `/models/${model.dir}`;
+    const entry = {
+      id: model.id,
+      name: model.name,
+      task: model.task,
+      variant: model.variant,
+      version: model.version,
+      available: false,
+      url: `${baseUrl}/model.json`,
+      files: [],
+      bytes: 0,
+      source: model.source
+    };
+
+    const jsonBytes = fileSize(path.join(dir, 'model.json'));
+    if (jsonBytes === null) return entry;
+
+    let weights;
+    try {
+      weights = weightFiles(JSON.parse(fs.readFileSync(path.join(dir, 'model.json'), 'utf8')));
+    } catch (error) {
+      console.warn(`⚠️ model.json no válido en ${dir}:`, error.message);
+      return entry;
+    }
+
+    const sizes = weights.map(file => fileSize(path.join(dir, file)));
+    if (sizes.some(size => size === null)) return entry;
+
+    return {
+      ...entry,
+      available: true,
+      files: [entry.url, ...weights.map(file => `${baseUrl}/${file}`)],
+      bytes: jsonBytes + sizes.reduce((acc, size) => acc + size, 0)
+    };
+  }
+
+  // Se comprueba el disco en cada llamada: `npm run vendor:fetch` puede
+  // ejecutarse con el servidor arrancado
+  function list() {
+    return {
+      models: MODELS.map(modelEntry),
+      libraries: LIBRARIES.map(libraryEntry)
+    };
+  }
+
+  function summary() {
+    const { models, libraries } = list();
+    const available = [...models, ...libraries].filter(item => item.available);
+    return {
+      models: models.filter(model => model.available).length,
+      libraries: libraries.filter(library => library.available).length,
+      missing: models.length + libraries.length - available.length,
+      bytes: available.reduce((acc, item) => acc + item.bytes, 0)
+    };
+  }
+
+  return {
+    list,
+    summary
+  };
+}
+
+module.exports = {
+  LIBRARIES,
+  MODELS,
+  weightFiles,
+  createModelRegistry
+};
@@ -0,0 +1,1535 @@
+// ==========================================
+// VISION AI PRO - ESPECIFICACIÓN OPENAPI
+// ==========================================
+// Documento OpenAPI 3.1 de todas las rutas, servido en /api/openapi.json y
+// usado por /docs y por la lista de endpoints del dashboard de respaldo.
+//
+// Los cuerpos de petición son los mismos esquemas que valida validateBody
+// (schemas.js) y los enums salen de los módulos que los definen, así que no
+// hay que mantenerlos a mano. undocumentedRoutes() avisa al arrancar si se
+// añade una ruta a Express sin describirla aquí.
+
+const { version } = require('../../package.json');
+const schemas = require('./schemas');
+const { ERROR_CODES } = require('./errors');
+const { BUCKETS, METRICS } = require('./timeseries');
+const { EXPORT_TYPES, FORMATS } = require('./export');
+const { SESSION_STATES, SORT_FIELDS, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } = require('./sessions');
+
+// Rutas de Express que no son endpoints (catch-all y respaldo de la SPA)
+const IGNORED_ROUTES = ['*', '/api/*'];
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const response = name => ({ $ref: `#/components/responses/${name}` });
+
+const timestamp = { type: 'string', format: 'date-time' };
+
+// Respuesta correcta con el sobre habitual { success: true, ..., timestamp }
+function envelope(properties, description) {
+  return {
+    description,
+    content: {
+      'application/json': {
+        schema: {
+          type: 'object',
+          required: ['success', 'timestamp'],
+          properties: {
+            success: { type: 'boolean', const: true },
+            ...properties,
+            timestamp
+          }
+        }
+      }
+    }
+  };
+}
+
+function errorResponse(description, codes, headers) {
+  return {
+    description,
+    ...(headers ? { headers } : {}),
+    content: {
+      'application/json': {
+        schema: ref('Error'),
+        example: {
+          success: false,
+          error: { code: codes[0], message: description },
+          timestamp: '2025-01-01T12:00:00.000Z'
+        }
+      }
+    }
+  };
+}
+
+function queryParam(name, schema, description) {
+  return { name, in: 'query', required: false, schema, description };
+}
+
+const timeRangeParams = [
+  queryParam('from', { type: 'string' }, 'Inicio del rango (ISO 8601 o milisegundos desde epoch)'),
+  queryParam('to', { type: 'string' }, 'Fin del rango (ISO 8601 o milisegundos desde epoch)')
+];
+
+// Errores comunes de las rutas de lectura protegidas con API key
+const adminErrors = {
+  401: response('Unauthorized'),
+  403: response('Forbidden'),
+  500: response('InternalError')
+};
+
+const adminSecurity = [{ apiKey: [] }, { bearerAuth: [] }];
+
+// Errores comunes de las rutas que escriben en una sesión
+function sessionWriteErrors({ ended = true } = {}) {
+  return {
+    400: response('ValidationError'),
+    401: response('InvalidSessionToken'),
+    404: response('SessionNotFound'),
+    ...(ended ? { 409: response('SessionEnded') } : {}),
+    415: response('UnsupportedMediaType'),
+    429: response('RateLimited'),
+    500: response('InternalError')
+  };
+}
+
+function jsonBody(schemaName) {
+  return {
+    required: true,
+    content: { 'application/json': { schema: ref(schemaName) } }
+  };
+}
+
+const components = {
+  securitySchemes: {
+    apiKey: {
+      type: 'apiKey',
+      in: 'header',
+      name: 'X-API-Key',
+      description: 'Clave de ADMIN_API_KEYS (rol admin) o VIEWER_API_KEYS (rol viewer)'
+    },
+    bearerAuth: {
+      type: 'http',
+      scheme: 'bearer',
+      description: 'La misma API key como Authorization: Bearer <key>'
+    },
+    sessionToken: {
+      type: 'apiKey',
+      in: 'header',
+      name: 'X-Session-Token',
+      description: 'Token devuelto por /api/session/start. También puede ir en el campo sessionToken del cuerpo'
+    }
+  },
+
+  schemas: {
+    Error: {
+      type: 'object',
+      required: ['success', 'error', 'timestamp'],
+      properties: {
+        success: { type: 'boolean', const: false },
+        error: {
+          type: 'object',
+          required: ['code', 'message'],
+          properties: {
+            code: { type: 'string', enum: Object.values(ERROR_CODES) },
+            message: { type: 'string' },
+            details: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  field: { type: 'string', description: "Ruta del campo, p. ej. 'events[3].score'" },
+                  code: { type: 'string', description: 'Regla que falló (type, required, maximum...)' },
+                  message: { type: 'string' }
+                }
+              }
+            },
+            endReason: { type: ['string', 'null'], description: 'Solo en SESSION_ENDED' },
+            retryAfter: { type: 'integer', description: 'Solo en RATE_LIMITED, TOO_MANY_SESSIONS y DETECTOR_BUSY (segundos)' }
+          }
+        },
+        timestamp
+      }
+    },
+
+    SessionStartRequest: schemas.sessionStart,
+    DetectionRecordRequest: schemas.detectionRecord,
+    InteractionRecordRequest: schemas.interactionRecord,
+    SessionEndRequest: schemas.sessionEnd,
+    TelemetryBatchRequest: schemas.telemetryBatch,
+    DetectRequest: schemas.detectRequest,
+
+    // Mismos campos que DetectRequest, con la imagen como fichero
+    DetectMultipartRequest: {
+      type: 'object',
+      required: ['sessionId', 'image'],
+      properties: {
+        ...schemas.detectRequest.properties,
+        image: { type: 'string', format: 'binary', description: 'Imagen JPEG o PNG' }
+      }
+    },
+
+    SnapshotUploadRequest: {
+      type: 'object',
+      required: ['sessionId', 'kind', 'file'],
+      properties: {
+        ...schemas.snapshotUpload.properties,
+        file: { type: 'string', format: 'binary', description: 'Captura (JPEG, PNG, WebP) o clip (WebM, MP4)' },
+        detections: { type: 'string', description: 'Array JSON de detecciones ({ class, score, bbox, trackId })' }
+      }
+    },
+
+    Snapshot: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', example: 'snap_m1abc2def345' },
+        sessionId: { type: 'string' },
+        kind: { type: 'string', enum: schemas.SNAPSHOT_KINDS },
+        trigger: { type: 'string', enum: schemas.SNAPSHOT_TRIGGERS },
+        file: { type: 'string' },
+        mimeType: { type: 'string', example: 'image/jpeg' },
+        size: { type: 'integer', description: 'Bytes' },
+        detections: { type: 'array', items: ref('Detection') },
+        classes: { type: 'array', items: { type: 'string' } },
+        durationMs: { type: ['integer', 'null'] },
+        clientTimestamp: { type: ['string', 'null'] },
+        createdAt: timestamp
+      }
+    },
+
+    Annotation: {
+      type: 'object',
+      properties: {
+        class: { type: 'string', example: 'person' },
+        bbox: {
+          type: 'array',
+          items: { type: 'number' },
+          minItems: 4,
+          maxItems: 4,
+          description: '[x, y, ancho, alto] en píxeles, recortada a la imagen'
+        },
+        source: { type: 'string', enum: schemas.ANNOTATION_SOURCES, description: 'model si viene de la detección sin cambios; manual si se ha añadido o corregido a mano' },
+        score: { type: 'number', minimum: 0, maximum: 1, description: 'Solo en las de source model' }
+      }
+    },
+
+    DatasetFrameUploadRequest: {
+      type: 'object',
+      required: ['sessionId', 'file'],
+      properties: {
+        ...schemas.datasetFrameUpload.properties,
+        file: { type: 'string', format: 'binary', description: 'Fotograma limpio, sin overlay ni filtros (JPEG o PNG)' },
+        annotations: { type: 'string', description: 'Array JSON de cajas ({ class, bbox, source, score })' }
+      }
+    },
+
+    DatasetAnnotationsRequest: schemas.datasetAnnotations,
+
+    DatasetFrame: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', example: 'frame_m1abc2def345' },
+        sessionId: { type: 'string' },
+        file: { type: 'string', example: 'frame_m1abc2def345.jpg' },
+        mimeType: { type: 'string', enum: ['image/jpeg', 'image/png'] },
+        size: { type: 'integer', description: 'Bytes' },
+        width: { type: 'integer' },
+        height: { type: 'integer' },
+        model: { type: ['string', 'null'], description: 'Modelo que generó las etiquetas previas' },
+        annotations: { type: 'array', items: ref('Annotation') },
+        classes: { type: 'array', items: { type: 'string' } },
+        reviewed: { type: 'boolean', description: 'true tras corregir las anotaciones con PUT' },
+        clientTimestamp: { type: ['string', 'null'] },
+        createdAt: timestamp,
+        updatedAt: timestamp
+      }
+    },
+
+    ModelEntry: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', example: 'coco-ssd' },
+        name: { type: 'string' },
+        task: { type: 'string', enum: ['detection', 'segmentation', 'pose', 'face', 'classification'] },
+        variant: { type: 'string', example: 'lite_mobilenet_v2' },
+        version: { type: 'string', description: 'Versión de la librería con la que se usan los pesos' },
+        available: { type: 'boolean', description: 'Están model.json y todos sus pesos' },
+        url: { type: 'string', example: '/models/coco-ssd/lite_mobilenet_v2/model.json' },
+        files: { type: 'array', items: { type: 'string' }, description: 'URLs de model.json y los pesos (vacío si no está disponible)' },
+        bytes: { type: 'integer' },
+        source: { type: 'string', description: 'Origen de la copia (npm run vendor:fetch)' }
+      }
+    },
+
+    LibraryEntry: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', example: 'tfjs' },
+        name: { type: 'string' },
+        version: { type: 'string', example: '4.22.0' },
+        available: { type: 'boolean' },
+        url: { type: 'string', example: '/vendor/tfjs/4.22.0/tf.min.js' },
+        files: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'URLs del fichero y sus assets, p. ej. los .wasm (vacío si no está disponible)'
+        },
+        bytes: { type: 'integer' },
+        source: { type: 'string', description: 'URL de la CDN de la que se copia y a la que recurre el navegador si falta' }
+      }
+    },
+
+    ZoneDefinition: schemas.zoneDefinition,
+
+    Zone: {
+      allOf: [
+        ref('ZoneDefinition'),
+        {
+          type: 'object',
+          properties: {
+            id: { type: 'string', example: 'zone_m1abc2def345' },
+            createdAt: timestamp,
+            updatedAt: timestamp
+          }
+        }
+      ]
+    },
+
+    ZoneSummary: {
+      type: 'object',
+      properties: {
+        id: { type: 'string' },
+        name: { type: 'string' },
+        type: { type: 'string', enum: schemas.ZONE_TYPES },
+        entries: { type: 'integer' },
+        exits: { type: 'integer' },
+        net: { type: 'integer', description: 'Entradas - salidas (ocupación estimada)' },
+        byClass: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            properties: { entries: { type: 'integer' }, exits: { type: 'integer' } }
+          }
+        }
+      }
+    },
+
+    AlertRuleDefinition: schemas.alertRule,
+
+    AlertRule: {
+      allOf: [
+        ref('AlertRuleDefinition'),
+        {
+          type: 'object',
+          properties: {
+            id: { type: 'string', example: 'rule_m1abc2def345' },
+            createdAt: timestamp,
+            updatedAt: timestamp
+          }
+        }
+      ]
+    },
+
+    Alert: {
+      type: 'object',
+      description: 'Alerta disparada. Es también el campo alert del cuerpo que reciben los webhooks ({ event: \'alert.fired\', alert })',
+      properties: {
+        alertId: { type: 'string' },
+        ruleId: { type: 'string' },
+        ruleName: { type: 'string' },
+        sessionId: { type: 'string' },
+        metric: { type: 'string', enum: schemas.ALERT_METRICS },
+        class: { type: ['string', 'null'] },
+        operator: { type: 'string', enum: schemas.ALERT_OPERATORS },
+        threshold: { type: 'number' },
+        value: { type: 'number', description: 'Valor del frame que disparó la regla' },
+        durationSeconds: { type: 'integer' },
+        frameTime: timestamp,
+        firedAt: timestamp,
+        deliveries: {
+          type: 'array',
+          description: 'Solo en el historial',
+          items: {
+            type: 'object',
+            properties: {
+              url: { type: 'string' },
+              result: { type: 'string', enum: ['pending', 'delivered', 'failed'] },
+              attempts: { type: 'integer' },
+              status: { type: ['integer', 'null'], description: 'Código HTTP del último intento' },
+              error: { type: ['string', 'null'] },
+              completedAt: timestamp
+            }
+          }
+        }
+      }
+    },
+
+    AlertSummary: {
+      type: 'object',
+      properties: {
+        rules: { type: 'integer' },
+        enabled: { type: 'integer' },
+        fired: { type: 'integer', description: 'Alertas disparadas en total' },
+        lastFiredAt: { ...timestamp, type: ['string', 'null'] },
+        webhooks: { type: 'integer', description: 'URLs globales (ALERT_WEBHOOK_URLS)' },
+        signed: { type: 'boolean', description: 'Si los webhooks se firman con ALERT_WEBHOOK_SECRET' },
+        pendingDeliveries: { type: 'integer', description: 'Entregas de webhook en cola esperando su siguiente intento' }
+      }
+    },
+
+    LatencyPercentiles: {
+      type: 'object',
+      description: 'Milisegundos. Sin muestras solo incluye count: 0',
+      properties: {
+        count: { type: 'integer' },
+        avg: { type: 'number' },
+        p50: { type: 'number' },
+        p90: { type: 'number' },
+        p95: { type: 'number' },
+        p99: { type: 'number' },
+        max: { type: 'number' }
+      }
+    },
+
+    LatencySummary: {
+      type: 'object',
+      description: 'Tiempos por etapa que envía el navegador (timings) en los últimos frames',
+      properties: {
+        window: { type: 'integer', description: 'Frames que se guardan por serie (LATENCY_WINDOW)' },
+        samples: { type: 'integer', description: 'Frames con tiempos recibidos desde el arranque' },
+        stages: {
+          type: 'object',
+          properties: Object.fromEntries([...schemas.PIPELINE_STAGES, 'total']
+            .map(stage => [stage, ref('LatencyPercentiles')]))
+        },
+        backends: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              backend: { type: 'string', example: 'webgl' },
+              inference: ref('LatencyPercentiles')
+            }
+          }
+        },
+        models: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              model: { type: 'string', example: 'coco-ssd' },
+              inference: ref('LatencyPercentiles')
+            }
+          }
+        }
+      }
+    },
+
+    Detection: {
+      type: 'object',
+      properties: {
+        class: { type: 'string', example: 'person' },
+        score: { type: 'number', minimum: 0, maximum: 1 },
+        bbox: {
+          type: 'array',
+          items: { type: 'number' },
+          minItems: 4,
+          maxItems: 4,
+          description: '[x, y, ancho, alto] en píxeles de la imagen'
+        }
+      }
+    },
+
+    SessionSummary: {
+      type: 'object',
+      properties: {
+        sessionId: { type: 'string' },
+        state: { type: 'string', enum: ['active', 'ended'] },
+        startTime: timestamp,
+        endTime: { type: ['string', 'null'], format: 'date-time' },
+        endReason: { type: ['string', 'null'], description: 'client, idle_timeout' },
+        lastActivity: { type: ['string', 'null'], format: 'date-time' },
+        duration: { type: 'integer', description: 'Segundos' },
+        userAgent: { type: 'string', description: 'Con PRIVACY_USER_AGENT=family, solo navegador y sistema' },
+        faceDetections: { type: 'integer' },
+        objectDetections: { type: 'integer' },
+        totalDetections: { type: 'integer' },
+        interactions: { type: 'integer' }
+      }
+    },
+
+    // Registros borrados por colección (retención y borrado de sesiones)
+    RecordCounts: {
+      type: 'object',
+      properties: {
+        detections: { type: 'integer' },
+        interactions: { type: 'integer' },
+        zoneEvents: { type: 'integer' },
+        alerts: { type: 'integer' },
+        alertDeliveries: { type: 'integer' }
+      }
+    },
+
+    SessionDetail: {
+      allOf: [
+        ref('SessionSummary'),
+        {
+          type: 'object',
+          properties: {
+            classCounts: { type: 'object', additionalProperties: { type: 'integer' } },
+            filters: { type: 'array', items: { type: 'string' } },
+            filterHistory: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  widgetName: { type: 'string', enum: schemas.FILTER_WIDGETS },
+                  value: {},
+                  action: { type: 'string' },
+                  timestamp
+                }
+              }
+            },
+            idleSeconds: { type: 'integer' }
+          }
+        }
+      ]
+    },
+
+    ClassSummary: {
+      type: 'object',
+      properties: {
+        class: { type: 'string' },
+        count: { type: 'integer' },
+        share: { type: 'number' },
+        avgConfidence: { type: 'number' },
+        histogram: { type: 'array', items: { type: 'integer' } }
+      }
+    },
+
+    LogFile: {
+      type: 'object',
+      properties: {
+        file: { type: 'string', example: 'vision-ai-pro-2025-01-01.ndjson' },
+        size: { type: 'string', example: '12.3 KB' },
+        bytes: { type: 'integer' },
+        lastModified: timestamp
+      }
+    },
+
+    LogEntry: {
+      type: 'object',
+      properties: {
+        ts: timestamp,
+        event: { type: 'string' },
+        data: { type: 'object' }
+      }
+    },
+
+    StreamTotals: {
+      type: 'object',
+      properties: {
+        totalSessions: { type: 'integer' },
+        activeSessions: { type: 'integer' },
+        totalDetections: { type: 'integer' },
+        totalFaceDetections: { type: 'integer' },
+        totalInteractions: { type: 'integer' },
+        rejectedRequests: { type: 'integer' }
+      }
+    }
+  },
+
+  responses: {
+    ValidationError: errorResponse('Datos de entrada no válidos', [ERROR_CODES.VALIDATION_ERROR, ERROR_CODES.INVALID_JSON]),
+    Unauthorized: errorResponse('Se requiere una API key válida', [ERROR_CODES.UNAUTHORIZED]),
+    Forbidden: errorResponse('La API key no tiene el rol necesario', [ERROR_CODES.FORBIDDEN]),
+    InvalidSessionToken: errorResponse('Token de sesión ausente, no válido o caducado', [ERROR_CODES.INVALID_SESSION_TOKEN]),
+    SessionNotFound: errorResponse('Sesión no encontrada', [ERROR_CODES.SESSION_NOT_FOUND]),
+    NotFound: errorResponse('Recurso no encontrado', [ERROR_CODES.NOT_FOUND]),
+    SessionEnded: errorResponse('La sesión ya está cerrada', [ERROR_CODES.SESSION_ENDED]),
+    PayloadTooLarge: errorResponse('El cuerpo supera el tamaño máximo', [ERROR_CODES.PAYLOAD_TOO_LARGE]),
+    UnsupportedMediaType: errorResponse('Content-Type no soportado', [ERROR_CODES.UNSUPPORTED_MEDIA_TYPE]),
+    RateLimited: errorResponse('Demasiadas peticiones', [ERROR_CODES.RATE_LIMITED, ERROR_CODES.TOO_MANY_SESSIONS], {
+      'Retry-After': { description: 'Segundos hasta poder reintentar', schema: { type: 'integer' } }
+    }),
+    InternalError: errorResponse('Error interno del servidor', [ERROR_CODES.INTERNAL_ERROR]),
+    DetectorUnavailable: errorResponse('Modelo no disponible o detector ocupado', [ERROR_CODES.MODEL_UNAVAILABLE, ERROR_CODES.DETECTOR_BUSY], {
+      'Retry-After': { description: 'Solo en DETECTOR_BUSY', schema: { type: 'integer' } }
+    }),
+    TooManyStreams: errorResponse('Demasiadas conexiones de streaming', [ERROR_CODES.TOO_MANY_STREAMS])
+  }
+};
+
+const htmlPage = description => ({
+  200: { description, content: { 'text/html': { schema: { type: 'string' } } } }
+});
+
+const paths = {
+  // ---------- Páginas ----------
+  '/': {
+    get: {
+      tags: ['Páginas'],
+      summary: 'Aplicación de detección (o dashboard de la API si no existe public/index.html)',
+      responses: htmlPage('Página HTML')
+    }
+  },
+  '/logs.html': {
+    get: {
+      tags: ['Páginas'],
+      summary: 'Panel de logs, estadísticas y exportación (requiere API key en el navegador)',
+      responses: htmlPage('Página HTML')
+    }
+  },
+  '/docs': {
+    get: {
+      tags: ['Páginas'],
+      summary: 'Documentación interactiva generada desde esta especificación',
+      responses: htmlPage('Página HTML')
+    }
+  },
+  '/sw.js': {
+    get: {
+      tags: ['Páginas'],
+      summary: 'Service worker que guarda la aplicación, las librerías y los modelos para funcionar sin conexión',
+      responses: {
+        200: { description: 'Script', content: { 'text/javascript': { schema: { type: 'string' } } } }
+      }
+    }
+  },
+  '/inference-worker.js': {
+    get: {
+      tags: ['Páginas'],
+      summary: 'Web Worker que carga los modelos y hace la inferencia fuera del hilo principal',
+      responses: {
+        200: { description: 'Script', content: { 'text/javascript': { schema: { type: 'string' } } } }
+      }
+    }
+  },
+
+  // ---------- Sistema ----------
+  '/api/health': {
+    get: {
+      tags: ['Sistema'],
+      summary: 'Estado del servidor',
+      description: 'Público. Con una API key incluye uptime, memoria, entorno y versión de Node.',
+      responses: {
+        200: {
+          description: 'Servidor operativo',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  status: { type: 'string', const: 'healthy' },
+                  timestamp,
+                  server: { type: 'string' },
+                  uptime: { type: 'integer' },
+                  memory: { type: 'object' },
+                  environment: { type: 'string' },
+                  nodeVersion: { type: 'string' },
+                  models: {
+                    type: 'object',
+                    properties: {
+                      models: { type: 'integer' },
+                      libraries: { type: 'integer' },
+                      missing: { type: 'integer', description: 'Modelos y librerías sin copia local' },
+                      bytes: { type: 'integer' }
+                    }
+                  },
+                  retention: {
+                    type: 'object',
+                    properties: {
+                      retentionDays: { type: 'integer' },
+                      purgeIntervalMinutes: { type: 'integer' },
+                      lastPurge: {
+                        type: ['object', 'null'],
+                        properties: {
+                          at: timestamp,
+                          cutoff: timestamp,
+                          sessions: { type: 'integer' },
+                          records: ref('RecordCounts')
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+  '/api/openapi.json': {
+    get: {
+      tags: ['Sistema'],
+      summary: 'Esta especificación OpenAPI',
+      responses: {
+        200: { description: 'Documento OpenAPI 3.1', content: { 'application/json': { schema: { type: 'object' } } } }
+      }
+    }
+  },
+  '/api/models': {
+    get: {
+      tags: ['Sistema'],
+      summary: 'Modelos y librerías servidos por el propio servidor',
+      description: 'Público. Indica qué copias locales están disponibles (npm run vendor:fetch), con su versión y tamaño; ' +
+        'lo que falta, el navegador lo pide a la CDN.',
+      responses: {
+        200: envelope({
+          models: { type: 'array', items: ref('ModelEntry') },
+          libraries: { type: 'array', items: ref('LibraryEntry') }
+        }, 'Registro de modelos y librerías'),
+        500: response('InternalError')
+      }
+    }
+  },
+  '/api/privacy': {
+    get: {
+      tags: ['Sistema'],
+      summary: 'Política de privacidad del despliegue',
+      description: 'Público. Cómo se guardan IPs (hash, truncate o none) y user agents (family o full), ' +
+        'si el modo privacidad del navegador es opcional, viene activado u obligatorio, ' +
+        'y cuántos días se conservan sesiones y registros (0 = sin límite). Se configuran con PRIVACY_IP_MODE, ' +
+        'PRIVACY_USER_AGENT, PRIVACY_CLIENT_MODE y DATA_RETENTION_DAYS.',
+      responses: {
+        200: envelope({
+          ipMode: { type: 'string', enum: ['hash', 'truncate', 'none'] },
+          userAgentMode: { type: 'string', enum: ['family', 'full'] },
+          clientMode: { type: 'string', enum: ['optional', 'default', 'enforced'] },
+          retentionDays: { type: 'integer' }
+        }, 'Política de privacidad'),
+        500: response('InternalError')
+      }
+    }
+  },
+  '/metrics': {
+    get: {
+      tags: ['Sistema'],
+      summary: 'Métricas en formato de exposición de Prometheus',
+      security: adminSecurity,
+      responses: {
+        200: { description: 'Métricas', content: { 'text/plain': { schema: { type: 'string' } } } },
+        ...adminErrors
+      }
+    }
+  },
+
+  // ---------- Telemetría ----------
+  '/api/session/start': {
+    post: {
+      tags: ['Telemetría'],
+      summary: 'Iniciar sesión',
+      description: 'Devuelve el sessionId y el token firmado que exigen las rutas de escritura.',
+      requestBody: { required: false, content: { 'application/json': { schema: ref('SessionStartRequest') } } },
+      responses: {
+        200: envelope({
+          sessionId: { type: 'string', example: 'session_1735732800000_abc123xyz' },
+          sessionToken: { type: 'string' },
+          message: { type: 'string' }
+        }, 'Sesión creada'),
+        400: response('ValidationError'),
+        415: response('UnsupportedMediaType'),
+        429: response('RateLimited'),
+        500: response('InternalError')
+      }
+    }
+  },
+  '/api/detection/record': {
+    post: {
+      tags: ['Telemetría'],
+      summary: 'Registrar un frame de detecciones',
+      security: [{ sessionToken: [] }],
+      requestBody: jsonBody('DetectionRecordRequest'),
+      responses: {
+        200: envelope({
+          message: { type: 'string' },
+          sessionStats: {
+            type: 'object',
+            properties: {
+              faceDetections: { type: 'integer' },
+              objectDetections: { type: 'integer' },
+              totalDetections: { type: 'integer' },
+              classCounts: { type: 'object', additionalProperties: { type: 'integer' } }
+            }
+          },
+          globalStats: {
+            type: 'object',
+            properties: {
+              totalFaceDetections: { type: 'integer' },
+              totalDetections: { type: 'integer' }
+            }
+          }
+        }, 'Detección registrada'),
+        ...sessionWriteErrors()
+      }
+    }
+  },
+  '/api/interaction/record': {
+    post: {
+      tags: ['Telemetría'],
+      summary: 'Registrar una interacción con la interfaz',
+      security: [{ sessionToken: [] }],
+      requestBody: jsonBody('InteractionRecordRequest'),
+      responses: {
+        200: envelope({
+          message: { type: 'string' },
+          totalInteractionsInSession: { type: 'integer' },
+          filters: { type: 'array', items: { type: 'string' } }
+        }, 'Interacción registrada'),
+        ...sessionWriteErrors()
+      }
+    }
+  },
+  '/api/session/end': {
+    post: {
+      tags: ['Telemetría'],
+      summary: 'Finalizar sesión (idempotente)',
+      security: [{ sessionToken: [] }],
+      requestBody: jsonBody('SessionEndRequest'),
+      responses: {
+        200: envelope({
+          message: { type: 'string' },
+          sessionStats: {
+            type: 'object',
+            properties: {
+              faceDetections: { type: 'integer' },
+              objectDetections: { type: 'integer' },
+              interactions: { type: 'integer' },
+              duration: { type: 'integer' },
+              filters: { type: 'array', items: { type: 'string' } }
+            }
+          }
+        }, 'Sesión finalizada'),
+        ...sessionWriteErrors({ ended: false })
+      }
+    }
+  },
+  '/api/telemetry/batch': {
+    post: {
+      tags: ['Telemetría'],
+      summary: 'Registrar un lote de detecciones, interacciones y cruces de zona',
+      description: 'Acepta application/json y text/plain (navigator.sendBeacon). Con endSession: true cierra la sesión tras procesar el lote. ' +
+        'Los eventos de zona ({ type: \'zone\' }) de zonas que ya no existen se ignoran.',
+      security: [{ sessionToken: [] }],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': { schema: ref('TelemetryBatchRequest') },
+          'text/plain': { schema: ref('TelemetryBatchRequest') }
+        }
+      },
+      responses: {
+        200: envelope({
+          accepted: { type: 'integer' },
+          sessionEnded: { type: 'boolean' },
+          sessionStats: {
+            type: 'object',
+            properties: {
+              faceDetections: { type: 'integer' },
+              objectDetections: { type: 'integer' },
+              interactions: { type: 'integer' }
+            }
+          }
+        }, 'Lote registrado'),
+        ...sessionWriteErrors(),
+        413: response('PayloadTooLarge')
+      }
+    }
+  },
+
+  '/api/detect': {
+    post: {
+      tags: ['Telemetría'],
+      summary: 'Detectar objetos en una imagen en el servidor (COCO-SSD)',
+      description: 'Para clientes sin navegador. La imagen llega como fichero multipart (campo image) o en base64 en JSON. ' +
+        'Las detecciones tienen la forma de coco-ssd y se registran en la sesión como un frame de /api/detection/record.',
+      security: [{ sessionToken: [] }],
+      requestBody: {
+        required: true,
+        content: {
+          'multipart/form-data': { schema: ref('DetectMultipartRequest') },
+          'application/json': { schema: ref('DetectRequest') }
+        }
+      },
+      responses: {
+        200: envelope({
+          model: { type: 'string', example: 'coco-ssd/lite_mobilenet_v2' },
+          detections: { type: 'array', items: ref('Detection') },
+          imageSize: {
+            type: 'object',
+            properties: { width: { type: 'integer' }, height: { type: 'integer' } }
+          },
+          inferenceMs: { type: 'integer' },
+          sessionStats: {
+            type: 'object',
+            properties: {
+              faceDetections: { type: 'integer' },
+              objectDetections: { type: 'integer' },
+              totalDetections: { type: 'integer' },
+              classCounts: { type: 'object', additionalProperties: { type: 'integer' } }
+            }
+          }
+        }, 'Detecciones de la imagen'),
+        ...sessionWriteErrors(),
+        400: errorResponse('Datos de entrada o imagen no válidos (VALIDATION_ERROR, INVALID_IMAGE)', [ERROR_CODES.INVALID_IMAGE, ERROR_CODES.VALIDATION_ERROR]),
+        413: response('PayloadTooLarge'),
+        503: response('DetectorUnavailable')
+      }
+    }
+  },
+
+  // ---------- Zonas ----------
+  '/api/zones': {
+    get: {
+      tags: ['Zonas'],
+      summary: 'Listar zonas y líneas de conteo',
+      description: 'Público: el navegador las necesita para dibujarlas y contar los cruces.',
+      responses: {
+        200: envelope({ zones: { type: 'array', items: ref('Zone') } }, 'Zonas definidas'),
+        500: response('InternalError')
+      }
+    },
+    post: {
+      tags: ['Zonas'],
+      summary: 'Crear una zona (polígono) o línea de conteo',
+      description: 'Requiere rol admin. Un polígono necesita al menos 3 puntos y una línea exactamente 2.',
+      security: adminSecurity,
+      requestBody: jsonBody('ZoneDefinition'),
+      responses: {
+        201: envelope({ zone: ref('Zone') }, 'Zona creada'),
+        400: response('ValidationError'),
+        415: response('UnsupportedMediaType'),
+        ...adminErrors
+      }
+    }
+  },
+  '/api/zones/{id}': {
+    parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+    put: {
+      tags: ['Zonas'],
+      summary: 'Sustituir la definición de una zona',
+      description: 'Requiere rol admin. Conserva el id y los conteos.',
+      security: adminSecurity,
+      requestBody: jsonBody('ZoneDefinition'),
+      responses: {
+        200: envelope({ zone: ref('Zone') }, 'Zona modificada'),
+        400: response('ValidationError'),
+        404: response('NotFound'),
+        415: response('UnsupportedMediaType'),
+        ...adminErrors
+      }
+    },
+    delete: {
+      tags: ['Zonas'],
+      summary: 'Eliminar una zona',
+      description: 'Requiere rol admin. Los eventos ya registrados se conservan.',
+      security: adminSecurity,
+      responses: {
+        200: envelope({ message: { type: 'string' } }, 'Zona eliminada'),
+        404: response('NotFound'),
+        ...adminErrors
+      }
+    }
+  },
+
+  // ---------- Capturas ----------
+  '/api/snapshots': {
+    post: {
+      tags: ['Capturas'],
+      summary: 'Subir una captura o un clip anotado',
+      description: 'El navegador compone el vídeo con las anotaciones. Tras guardar se aplican los límites de retención ' +
+        '(SNAPSHOT_RETENTION_DAYS, SNAPSHOT_MAX_ITEMS, SNAPSHOT_MAX_TOTAL_MB), borrando primero las más antiguas.',
+      security: [{ sessionToken: [] }],
+      requestBody: {
+        required: true,
+        content: { 'multipart/form-data': { schema: ref('SnapshotUploadRequest') } }
+      },
+      responses: {
+        201: envelope({ snapshot: ref('Snapshot') }, 'Captura guardada'),
+        ...sessionWriteErrors(),
+        400: errorResponse('Datos de entrada o fichero no válidos (VALIDATION_ERROR, INVALID_MEDIA)', [ERROR_CODES.INVALID_MEDIA, ERROR_CODES.VALIDATION_ERROR]),
+        413: response('PayloadTooLarge')
+      }
+    },
+    get: {
+      tags: ['Capturas'],
+      summary: 'Galería de capturas y clips',
+      description: 'Las más recientes primero.',
+      security: adminSecurity,
+      parameters: [
+        queryParam('kind', { type: 'string', enum: schemas.SNAPSHOT_KINDS }, 'Solo capturas o solo clips'),
+        queryParam('sessionId', { type: 'string' }, 'Solo las de esta sesión'),
+        queryParam('class', { type: 'string' }, 'Solo las que contienen esta clase'),
+        queryParam('page', { type: 'integer', minimum: 1, default: 1 }),
+        queryParam('limit', { type: 'integer', minimum: 1, maximum: 100, default: 24 })
+      ],
+      responses: {
+        200: envelope({
+          total: { type: 'integer' },
+          page: { type: 'integer' },
+          limit: { type: 'integer' },
+          totalPages: { type: 'integer' },
+          snapshots: { type: 'array', items: ref('Snapshot') }
+        }, 'Página de capturas'),
+        400: response('ValidationError'),
+        ...adminErrors
+      }
+    }
+  },
+  '/api/snapshots/{id}/file': {
+    get: {
+      tags: ['Capturas'],
+      summary: 'Descargar el fichero de una captura',
+      security: adminSecurity,
+      parameters: [
+        { name: 'id', in: 'path', required: true, schema: { type: 'string' } },
+        queryParam('download', { type: 'boolean' }, 'Con true se sirve como adjunto')
+      ],
+      responses: {
+        200: {
+          description: 'Imagen o vídeo',
+          content: {
+            'image/jpeg': { schema: { type: 'string', format: 'binary' } },
+            'image/png': { schema: { type: 'string', format: 'binary' } },
+            'image/webp': { schema: { type: 'string', format: 'binary' } },
+            'video/webm': { schema: { type: 'string', format: 'binary' } },
+            'video/mp4': { schema: { type: 'string', format: 'binary' } }
+          }
+        },
+        404: response('NotFound'),
+        ...adminErrors
+      }
+    }
+  },
+  '/api/snapshots/{id}': {
+    delete: {
+      tags: ['Capturas'],
+      summary: 'Eliminar una captura',
+      description: 'Requiere rol admin.',
+      security: adminSecurity,
+      parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+      responses: {
+        200: envelope({ message: { type: 'string' } }, 'Captura eliminada'),
+        404: response('NotFound'),
+        ...adminErrors
+      }
+    }
+  },
+
+  // ---------- Dataset ----------
+  '/api/dataset/frames': {
+    post: {
+      tags: ['Dataset'],
+      summary: 'Guardar un frame para el dataset de anotación',
+      description: 'Las cajas se recortan a la imagen y se descartan las de menos de 1 px. ' +
+        'Los frames no caducan: al llegar a DATASET_MAX_FRAMES se rechazan los nuevos.',
+      security: [{ sessionToken: [] }],
+      requestBody: {
+        required: true,
+        content: { 'multipart/form-data': { schema: ref('DatasetFrameUploadRequest') } }
+      },
+      responses: {
+        201: envelope({ frame: ref('DatasetFrame') }, 'Frame guardado'),
+        ...sessionWriteErrors(),
+        400: errorResponse('Datos de entrada o imagen no válidos (VALIDATION_ERROR, INVALID_IMAGE)', [ERROR_CODES.INVALID_IMAGE, ERROR_CODES.VALIDATION_ERROR]),
+        409: errorResponse('Sesión cerrada o dataset lleno (SESSION_ENDED, DATASET_FULL)', [ERROR_CODES.DATASET_FULL, ERROR_CODES.SESSION_ENDED]),
+        413: response('PayloadTooLarge')
+      }
+    },
+    get: {
+      tags: ['Dataset'],
+      summary: 'Listar frames del dataset',
+      description: 'Los más antiguos primero, en el orden de captura.',
+      security: adminSecurity,
+      parameters: [
+        queryParam('reviewed', { type: 'boolean' }, 'Solo los revisados o solo los pendientes'),
+        queryParam('sessionId', { type: 'string' }, 'Solo los de esta sesión'),
+        queryParam('class', { type: 'string' }, 'Solo los que contienen esta clase'),
+        queryParam('page', { type: 'integer', minimum: 1, default: 1 }),
+        queryParam('limit', { type: 'integer', minimum: 1, maximum: 200, default: 50 })
+      ],
+      responses: {
+        200: envelope({
+          total: { type: 'integer' },
+          page: { type: 'integer' },
+          limit: { type: 'integer' },
+          totalPages: { type: 'integer' },
+          classes: { type: 'array', items: { type: 'string' }, description: 'Clases de todos los frames filtrados' },
+          frames: { type: 'array', items: ref('DatasetFrame') }
+        }, 'Página de frames'),
+        400: response('ValidationError'),
+        ...adminErrors
+      }
+    }
+  },
+  '/api/dataset/frames/{id}/file': {
+    get: {
+      tags: ['Dataset'],
+      summary: 'Descargar la imagen de un frame',
+      security: adminSecurity,
+      parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+      responses: {
+        200: {
+          description: 'Imagen',
+          content: {
+            'image/jpeg': { schema: { type: 'string', format: 'binary' } },
+            'image/png': { schema: { type: 'string', format: 'binary' } }
+          }
+        },
+        404: response('NotFound'),
+        ...adminErrors
+      }
+    }
+  },
+  '/api/dataset/frames/{id}': {
+    put: {
+      tags: ['Dataset'],
+      summary: 'Corregir las anotaciones de un frame',
+      description: 'Sustituye todas las cajas y marca el frame como revisado. ' +
+        'Con el token de la sesión que lo capturó o con rol admin.',
+      security: [{ sessionToken: [] }, ...adminSecurity],
+      parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+      requestBody: jsonBody('DatasetAnnotationsRequest'),
+      responses: {
+        200: envelope({ frame: ref('DatasetFrame') }, 'Anotaciones guardadas'),
+        400: response('ValidationError'),
+        404: response('NotFound'),
+        415: response('UnsupportedMediaType'),
+        ...adminErrors
+      }
+    },
+    delete: {
+      tags: ['Dataset'],
+      summary: 'Eliminar un frame del dataset',
+      description: 'Con el token de la sesión que lo capturó o con rol admin.',
+      security: [{ sessionToken: [] }, ...adminSecurity],
+      parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+      responses: {
+        200: envelope({ message: { type: 'string' } }, 'Frame eliminado'),
+        404: response('NotFound'),
+        ...adminErrors
+      }
+    }
+  },
+  '/api/dataset/export': {
+    get: {
+      tags: ['Dataset'],
+      summary: 'Exportar el dataset en COCO, Pascal VOC o YOLO',
+      description: 'ZIP generado en streaming. coco: images/ y annotations.json. ' +
+        'voc: JPEGImages/, Annotations/*.xml e ImageSets/Main/default.txt. ' +
+        'yolo: images/, labels/*.txt, classes.txt y data.yaml. ' +
+        'Las clases se numeran por orden alfabético; los frames sin cajas se incluyen como negativos.',
+      security: adminSecurity,
+      parameters: [
+        queryParam('format', { type: 'string', enum: schemas.DATASET_FORMATS, default: 'coco' }),
+        queryParam('reviewed', { type: 'boolean' }, 'Solo los revisados o solo los pendientes'),
+        queryParam('sessionId', { type: 'string' }, 'Solo los de esta sesión'),
+        queryParam('class', { type: 'string' }, 'Solo los que contienen esta clase')
+      ],
+      responses: {
+        200: {
+          description: 'Archivo ZIP',
+          content: { 'application/zip': { schema: { type: 'string', format: 'binary' } } }
+        },
+        400: response('ValidationError'),
+        ...adminErrors
+      }
+    }
+  },
+
+  // ---------- Alertas ----------
+  '/api/alerts/rules': {
+    get: {
+      tags: ['Alertas'],
+      summary: 'Listar reglas de alerta',
+      security: adminSecurity,
+      responses: {
+        200: envelope({ rules: { type: 'array', items: ref('AlertRule') } }, 'Reglas definidas'),
+        ...adminErrors
+      }
+    },
+    post: {
+      tags: ['Alertas'],
+      summary: 'Crear una regla de alerta',
+      description: 'Requiere rol admin. Ejemplos: más de 5 personas durante 30 s ' +
+        '({ metric: \'count\', class: \'person\', operator: \'>\', threshold: 5, durationSeconds: 30 }), ' +
+        'aparece un perro ({ metric: \'count\', class: \'dog\', operator: \'>=\', threshold: 1 }) o ' +
+        'la confianza media baja de 0.4 ({ metric: \'confidence\', operator: \'<\', threshold: 0.4 }).',
+      security: adminSecurity,
+      requestBody: jsonBody('AlertRuleDefinition'),
+      responses: {
+        201: envelope({ rule: ref('AlertRule') }, 'Regla creada'),
+        400: response('ValidationError'),
+        415: response('UnsupportedMediaType'),
+        ...adminErrors
+      }
+    }
+  },
+  '/api/alerts/rules/{id}': {
+    parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+    put: {
+      tags: ['Alertas'],
+      summary: 'Sustituir la definición de una regla',
+      description: 'Requiere rol admin. Reinicia la duración acumulada y el cooldown de la regla.',
+      security: adminSecurity,
+      requestBody: jsonBody('AlertRuleDefinition'),
+      responses: {
+        200: envelope({ rule: ref('AlertRule') }, 'Regla modificada'),
+        400: response('ValidationError'),
+        404: response('NotFound'),
+        415: response('UnsupportedMediaType'),
+        ...adminErrors
+      }
+    },
+    delete: {
+      tags: ['Alertas'],
+      summary: 'Eliminar una regla de alerta',
+      description: 'Requiere rol admin. Su historial se conserva.',
+      security: adminSecurity,
+      responses: {
+        200: envelope({ message: { type: 'string' } }, 'Regla eliminada'),
+        404: response('NotFound'),
+        ...adminErrors
+      }
+    }
+  },
+  '/api/alerts': {
+    get: {
+      tags: ['Alertas'],
+      summary: 'Historial de alertas disparadas',
+      description: 'Las más recientes primero, con el resultado de la entrega a cada webhook.',
+      security: adminSecurity,
+      parameters: [
+        queryParam('limit', { type: 'integer', minimum: 1, default: 50 }, 'Número máximo de alertas'),
+        queryParam('ruleId', { type: 'string' }, 'Solo las de esta regla')
+      ],
+      responses: {
+        200: envelope({
+          alerts: { type: 'array', items: ref('Alert') },
+          summary: ref('AlertSummary')
+        }, 'Historial'),
+        ...adminErrors
+      }
+    }
+  },
+
+  // ---------- Sesiones ----------
+  '/api/sessions': {
+    get: {
+      tags: ['Sesiones'],
+      summary: 'Listar sesiones con filtros y paginación',
+      security: adminSecurity,
+      parameters: [
+        queryParam('state', { type: 'string', enum: SESSION_STATES, default: 'all' }),
+        ...timeRangeParams,
+        queryParam('userAgent', { type: 'string' }, 'Subcadena del user agent (sin distinguir mayúsculas)'),
+        queryParam('sort', { type: 'string', enum: Object.keys(SORT_FIELDS), default: 'startTime' }),
+        queryParam('order', { type: 'string', enum: ['asc', 'desc'], default: 'desc' }),
+        queryParam('page', { type: 'integer', minimum: 1, default: 1 }),
+        queryParam('limit', { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, default: DEFAULT_PAGE_SIZE })
+      ],
+      responses: {
+        200: envelope({
+          total: { type: 'integer' },
+          page: { type: 'integer' },
+          limit: { type: 'integer' },
+          totalPages: { type: 'integer' },
+          sessions: { type: 'array', items: ref('SessionSummary') }
+        }, 'Página de sesiones'),
+        400: response('ValidationError'),
+        ...adminErrors
+      }
+    }
+  },
+  '/api/sessions/{id}': {
+    get: {
+      tags: ['Sesiones'],
+      summary: 'Detalle de una sesión',
+      security: adminSecurity,
+      parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+      responses: {
+        200: envelope({ session: ref('SessionDetail') }, 'Sesión'),
+        404: response('SessionNotFound'),
+        ...adminErrors
+      }
+    },
+    delete: {
+      tags: ['Sesiones'],
+      summary: 'Borrar una sesión y todos sus datos',
+      description: 'Requiere rol admin. Para solicitudes de supresión: borra la sesión, sus detecciones, interacciones, ' +
+        'cruces de zona, alertas (con sus entregas), capturas, frames del dataset y sus entradas en los logs. ' +
+        'La sesión deja de contar en los totales globales.',
+      security: adminSecurity,
+      parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+      responses: {
+        200: envelope({
+          message: { type: 'string' },
+          sessionId: { type: 'string' },
+          records: ref('RecordCounts'),
+          snapshots: { type: 'integer', description: 'Capturas y clips borrados' },
+          datasetFrames: { type: 'integer', description: 'Frames del dataset borrados' },
+          logEntries: { type: 'integer', description: 'Entradas de los logs quitadas' }
+        }, 'Sesión borrada'),
+        404: response('SessionNotFound'),
+        ...adminErrors
+      }
+    }
+  },
+
+  // ---------- Estadísticas ----------
+  '/api/stats': {
+    get: {
+      tags: ['Estadísticas'],
+      summary: 'Estadísticas globales',
+      security: adminSecurity,
+      responses: {
+        200: envelope({
+          status: { type: 'string' },
+          serverStartTime: timestamp,
+          lastUpdated: timestamp,
+          uptime: { type: 'integer' },
+          statistics: {
+            type: 'object',
+            properties: {
+              totalSessions: { type: 'integer' },
+              activeSessions: { type: 'integer' },
+              totalDetections: { type: 'integer' },
+              totalFaceDetections: { type: 'integer' },
+              totalInteractions: { type: 'integer' },
+              avgDetectionsPerSession: { type: 'integer' }
+            }
+          },
+          storage: { type: 'object', properties: { backend: { type: 'string' } } },
+          rateLimit: {
+            type: 'object',
+            description: 'Límites configurados y peticiones rechazadas con 429 desde el arranque'
+          },
+          detector: {
+            type: 'object',
+            description: 'Estado del modelo de /api/detect',
+            properties: {
+              model: { type: 'string' },
+              state: { type: 'string', enum: ['not_loaded', 'loading', 'ready', 'unavailable'] },
+              pending: { type: 'integer' },
+              inferences: { type: 'integer' }
+            }
+          },
+          zones: { type: 'array', items: ref('ZoneSummary') },
+          alerts: ref('AlertSummary'),
+          snapshots: {
+            type: 'object',
+            properties: {
+              snapshots: { type: 'integer' },
+              clips: { type: 'integer' },
+              bytes: { type: 'integer' },
+              limits: {
+                type: 'object',
+                properties: {
+                  maxItems: { type: 'integer' },
+                  maxTotalBytes: { type: 'integer' },
+                  retentionDays: { type: 'integer' }
+                }
+              }
+            }
+          },
+          latency: ref('LatencySummary'),
+          system: { type: 'object' }
+        }, 'Estadísticas'),
+        ...adminErrors
+      }
+    }
+  },
+  '/api/stats/classes': {
+    get: {
+      tags: ['Estadísticas'],
+      summary: 'Detecciones por clase, histograma de confianza y desglose por modelo',
+      security: adminSecurity,
+      parameters: [queryParam('model', { type: 'string', enum: schemas.DETECTION_TYPES }, 'Limita el resumen a un modelo')],
+      responses: {
+        200: envelope({
+          model: { type: 'string' },
+          frames: { type: 'integer' },
+          totalDetections: { type: 'integer' },
+          avgConfidence: { type: 'number' },
+          histogramBins: { type: 'array', items: { type: 'number' } },
+          histogram: { type: 'array', items: { type: 'integer' } },
+          classes: { type: 'array', items: ref('ClassSummary') },
+          models: { type: 'array', items: { type: 'object' } }
+        }, 'Resumen por clase'),
+        ...adminErrors
+      }
+    }
+  },
+  '/api/stats/timeseries': {
+    get: {
+      tags: ['Estadísticas'],
+      summary: 'Actividad agrupada por minuto, hora o día',
+      security: adminSecurity,
+      parameters: [
+        queryParam('metric', { type: 'string' }, `Lista separada por comas de: ${METRICS.join(', ')}`),
+        queryParam('bucket', { type: 'string', enum: Object.keys(BUCKETS), default: '1h' }),
+        ...timeRangeParams
+      ],
+      responses: {
+        200: envelope({
+          bucket: { type: 'string' },
+          metrics: { type: 'array', items: { type: 'string' } },
+          from: timestamp,
+          to: timestamp,
+          points: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                t: timestamp,
+                ...Object.fromEntries(METRICS.map(metric => [metric, { type: 'integer' }]))
+              }
+            }
+          }
+        }, 'Serie temporal'),
+        400: response('ValidationError'),
+        ...adminErrors
+      }
+    }
+  },
+
+  // ---------- Datos ----------
+  '/api/export': {
+    get: {
+      tags: ['Datos'],
+      summary: 'Exportar sesiones, detecciones o interacciones',
+      description: 'Respuesta en streaming como archivo adjunto. JSON es un array plano, sin el sobre de la API.',
+      security: adminSecurity,
+      parameters: [
+        { name: 'type', in: 'query', required: true, schema: { type: 'string', enum: EXPORT_TYPES } },
+        queryParam('format', { type: 'string', enum: Object.keys(FORMATS), default: 'csv' }),
+        ...timeRangeParams
+      ],
+      responses: {
+        200: {
+          description: 'Archivo de exportación',
+          content: Object.fromEntries(Object.values(FORMATS).map(format => [
+            format.contentType.split(';')[0],
+            { schema: { type: 'string' } }
+          ]))
+        },
+        400: response('ValidationError'),
+        ...adminErrors
+      }
+    }
+  },
+  '/api/stream': {
+    get: {
+      tags: ['Datos'],
+      summary: 'Eventos en vivo (Server-Sent Events)',
+      description: 'Eventos: snapshot y stats ({ totals, deltas, uptime }), session ({ type: start|end|evicted|erased, ... }) y log (cada entrada nueva).',
+      security: adminSecurity,
+      responses: {
+        200: { description: 'Stream SSE', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+        ...adminErrors,
+        503: response('TooManyStreams')
+      }
+    }
+  },
+  '/api/logs': {
+    get: {
+      tags: ['Datos'],
+      summary: 'Listar archivos de log',
+      security: adminSecurity,
+      responses: {
+        200: envelope({
+          logs: { type: 'array', items: ref('LogFile') },
+          totalFiles: { type: 'integer' },
+          retentionDays: { type: 'integer' }
+        }, 'Archivos de log, más recientes primero'),
+        ...adminErrors
+      }
+    }
+  },
+  '/api/logs/{file}': {
+    get: {
+      tags: ['Datos'],
+      summary: 'Leer o descargar un archivo de log (NDJSON)',
+      security: adminSecurity,
+      parameters: [
+        { name: 'file', in: 'path', required: true, schema: { type: 'string', pattern: '^vision-ai-pro-\\d{4}-\\d{2}-\\d{2}\\.ndjson$' } },
+        queryParam('tail', { type: 'integer', minimum: 1 }, 'Devuelve solo las últimas N líneas'),
+        queryParam('download', { type: 'string' }, 'Cualquier valor fuerza la descarga como adjunto')
+      ],
+      responses: {
+        200: {
+          description: 'Una entrada de log por línea',
+          content: { 'application/x-ndjson': { schema: ref('LogEntry') } }
+        },
+        400: response('ValidationError'),
+        404: response('NotFound'),
+        ...adminErrors
+      }
+    }
+  }
+};
+
+function buildOpenApiSpec() {
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Vision AI Pro API',
+      version,
+      description: 'Telemetría de detección de objetos en el navegador: sesiones, detecciones, interacciones, estadísticas y logs.\n\n' +
+        'Las rutas de escritura exigen el token de la sesión; las de lectura, una API key. ' +
+        'Todos los errores usan el esquema Error.'
+    },
+    servers: [{ url: '/' }],
+    tags: [
+      { name: 'Páginas' },
+      { name: 'Sistema' },
+      { name: 'Telemetría' },
+      { name: 'Zonas' },
+      { name: 'Capturas' },
+      { name: 'Dataset' },
+      { name: 'Alertas' },
+      { name: 'Sesiones' },
+      { name: 'Estadísticas' },
+      { name: 'Datos' }
+    ],
+    paths,
+    components
+  };
+}
+
+// Rutas registradas en Express que no aparecen en la especificación, como
+// 'GET /api/foo'. Las rutas '/x/:id' se comparan como '/x/{id}'
+function undocumentedRoutes(app, spec) {
+  const missing = [];
+
+  app._router.stack
+    .filter(layer => layer.route && !IGNORED_ROUTES.includes(layer.route.path))
+    .forEach(layer => {
+      const specPath = layer.route.path.replace(/:(\w+)/g, '{$1}');
+      Object.keys(layer.route.methods).forEach(method => {
+        if (!spec.paths[specPath] || !spec.paths[specPath][method]) {
+          missing.push(`${method.toUpperCase()} ${layer.route.path}`);
+        }
+      });
+    });
+
+  return missing;
+}
+
+// Operaciones de la especificación en orden ({ method, path, summary }),
+// para listarlas en el dashboard de la raíz
+function listOperations(spec) {
+  const operations = [];
+  Object.entries(spec.paths).forEach(([specPath, methods]) => {
+    Object.entries(methods).forEach(([method, operation]) => {
+      operations.push({ method: method.toUpperCase(), path: specPath, summary: operation.summary });
+    });
+  });
+  return operations;
+}
+
+module.exports = {
+  buildOpenApiSpec,
+  undocumentedRoutes,
+  listOperations
+};
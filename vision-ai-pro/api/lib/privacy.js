@@ -0,0 +1,146 @@
+// ==========================================
+// VISION AI PRO - PRIVACIDAD
+// ==========================================
+// Datos identificables que llegan al abrir una sesión y cómo se guardan:
+//
+// - IP (ipMode):
+//     hash      HMAC-SHA256 con ipSecret (16 caracteres hex); la misma IP da
+//               siempre el mismo valor, así que el límite de sesiones
+//               abiertas por IP sigue funcionando. Sin ipSecret se usa
+//               truncate: con un secreto aleatorio el valor cambiaría en
+//               cada proceso
+//     truncate  red /24 en IPv4 y /48 en IPv6 (1.2.3.0, 2001:db8:1::)
+//     none      tal cual
+// - User agent (userAgentMode):
+//     family    solo navegador, versión principal y sistema ("Chrome 126 (Windows)")
+//     full      la cadena completa
+//
+// Las dos transformaciones son idempotentes: anonymizeSession() se puede
+// aplicar a sesiones guardadas antes de activarlas.
+//
+// clientMode indica al navegador si el modo privacidad (pixelar personas en
+// el propio fotograma, antes de dibujarlo o capturarlo) es opcional
+// ('optional'), viene activado ('default') u obligatorio ('enforced').
+
+const crypto = require('crypto');
+const net = require('net');
+
+const IP_MODES = ['hash', 'truncate', 'none'];
+const USER_AGENT_MODES = ['family', 'full'];
+const CLIENT_MODES = ['optional', 'default', 'enforced'];
+
+// El orden importa: Edge y Opera también dicen Chrome, y Chrome dice Safari
+const BROWSERS = [
+  ['Edge', /Edg(?:e|A|iOS)?\/(\d+)/],
+  ['Opera', /OPR\/(\d+)/],
+  ['Samsung Internet', /SamsungBrowser\/(\d+)/],
+  ['Firefox', /(?:Firefox|FxiOS)\/(\d+)/],
+  ['Chrome', /(?:Chrome|CriOS)\/(\d+)/],
+  ['Safari', /Version\/(\d+).*Safari/]
+];
+
+// Android también dice Linux y el iPad también dice Mac OS X
+const SYSTEMS = [
+  ['Android', /Android/],
+  ['iOS', /iPhone|iPad|iPod/],
+  ['ChromeOS', /CrOS/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/]
+];
+
+// 8 grupos de una IPv6 (sin abreviar con ::)
+function ipv6Groups(ip) {
+  const [head, tail] = ip.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const missing = tail === undefined ? 0 : 8 - headGroups.length - tailGroups.length;
+  return [...headGroups, ...new Array(missing).fill('0'), ...tailGroups];
+}
+
+function truncateIp(ip) {
+  if (net.isIPv4(ip)) {
+    return ip.split('.').slice(0, 3).concat('0').join('.');
+  }
+  return `${ipv6Groups(ip).slice(0, 3).join(':')}::`;
+}
+
+function userAgentFamily(userAgent) {
+  const browser = BROWSERS
+    .map(([name, pattern]) => {
+      const match = userAgent.match(pattern);
+      return match ? `${name} ${match[1]}` : null;
+    })
+    .find(Boolean);
+  const system = SYSTEMS.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) return 'Unknown';
+  return `${browser || 'Otro'} (${system ? system[0] : 'Otro'})`;
+}
+
+function createPrivacy({ ipMode: requestedIpMode = 'hash', ipSecret = null, userAgentMode = 'family', clientMode = 'optional' }) {
+  if (!IP_MODES.includes(requestedIpMode)) {
+    throw new Error(`PRIVACY_IP_MODE desconocido: ${requestedIpMode} (${IP_MODES.join(', ')})`);
+  }
+  if (!USER_AGENT_MODES.includes(userAgentMode)) {
+    throw new Error(`PRIVACY_USER_AGENT desconocido: ${userAgentMode} (${USER_AGENT_MODES.join(', ')})`);
+  }
+  if (!CLIENT_MODES.includes(clientMode)) {
+    throw new Error(`PRIVACY_CLIENT_MODE desconocido: ${clientMode} (${CLIENT_MODES.join(', ')})`);
+  }
+
+  let ipMode = requestedIpMode;
+  if (ipMode === 'hash' && !ipSecret) {
+    ipMode = 'truncate';
+    console.warn('⚠️ PRIVACY_IP_SECRET no configurado: las IPs se truncan en lugar de guardar su hash');
+  }
+
+  // Lo que no es una IP (p. ej. un hash ya calculado) se devuelve igual
+  function anonymizeIp(ip) {
+    if (!ip || ipMode === 'none') return ip || null;
+
+    // IPv4 dentro de IPv6 (::ffff:1.2.3.4) y zona (fe80::1%eth0)
+    const address = String(ip).replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '').replace(/%.*$/, '');
+    if (!net.isIP(address)) return ip;
+
+    if (ipMode === 'truncate') return truncateIp(address);
+    return crypto.createHmac('sha256', ipSecret).update(address).digest('hex').slice(0, 16);
+  }
+
+  // Los user agents reales siempre llevan '/'; los ya reducidos, no
+  function reduceUserAgent(userAgent) {
+    if (!userAgent || userAgentMode === 'full') return userAgent || 'Unknown';
+    if (!userAgent.includes('/')) return userAgent;
+    return userAgentFamily(userAgent);
+  }
+
+  // Anonimiza una sesión guardada. Devuelve true si ha cambiado algo
+  function anonymizeSession(session) {
+    const ip = anonymizeIp(session.ip);
+    const userAgent = reduceUserAgent(session.userAgent);
+    if (ip === session.ip && userAgent === session.userAgent) return false;
+
+    session.ip = ip;
+    session.userAgent = userAgent;
+    return true;
+  }
+
+  function policy() {
+    return { ipMode, userAgentMode, clientMode };
+  }
+
+  return {
+    anonymizeIp,
+    reduceUserAgent,
+    anonymizeSession,
+    policy
+  };
+}
+
+module.exports = {
+  IP_MODES,
+  USER_AGENT_MODES,
+  CLIENT_MODES,
+  userAgentFamily,
+  createPrivacy
+};
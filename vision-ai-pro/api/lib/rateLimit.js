@@ -0,0 +1,135 @@
+// ==========================================
+// VISION AI PRO - LÍMITES DE PETICIONES
+// ==========================================
+// Token bucket por IP y por sesión, con un presupuesto distinto para cada
+// ruta. Cada cubo se llena a razón de 'perMinute' tokens por minuto hasta
+// un máximo de 'perMinute' (ráfaga de un minuto); cada petición consume uno.
+// Sin tokens se responde 429 con Retry-After.
+//
+// Los cubos viven en memoria: en Vercel cada instancia tiene los suyos, lo
+// que basta para frenar a un cliente que abusa desde una pestaña o script.
+
+const { errors, sendError } = require('./errors');
+
+// Cada cuánto se eliminan los cubos llenos (clientes que ya no envían nada)
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+function createRateLimiter({ enabled = true, budgets, maxSessionsPerIp }) {
+  const buckets = new Map();
+  let lastSweep = Date.now();
+
+  const rejected = {
+    total: 0,
+    byRoute: {},
+    byScope: { ip: 0, session: 0, sessionCap: 0 }
+  };
+
+  function countRejection(route, scope) {
+    rejected.total++;
+    rejected.byRoute[route] = (rejected.byRoute[route] || 0) + 1;
+    rejected.byScope[scope]++;
+  }
+
+  function sweep(now) {
+    if (now - lastSweep < SWEEP_INTERVAL_MS) return;
+    lastSweep = now;
+
+    buckets.forEach((bucket, key) => {
+      const refilled = bucket.tokens + ((now - bucket.updatedAt) / 60000) * bucket.perMinute;
+      if (refilled >= bucket.perMinute) buckets.delete(key);
+    });
+  }
+
+  // Consume un token. Devuelve 0 si se permite la petición o los segundos
+  // que faltan para el siguiente token
+  function take(key, perMinute, now = Date.now()) {
+    sweep(now);
+
+    let bucket = buckets.get(key);
+    if (!bucket) {
+      bucket = { tokens: perMinute, perMinute, updatedAt: now };
+      buckets.set(key, bucket);
+    }
+
+    const elapsedMinutes = (now - bucket.updatedAt) / 60000;
+    bucket.tokens = Math.min(perMinute, bucket.tokens + elapsedMinutes * perMinute);
+    bucket.updatedAt = now;
+
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return 0;
+    }
+    return Math.ceil(((1 - bucket.tokens) / perMinute) * 60);
+  }
+
+  function reject(res, route, scope, retryAfter) {
+    countRejection(route, scope);
+    res.set('Retry-After', String(retryAfter));
+    return sendError(res, errors.rateLimited(retryAfter));
+  }
+
+  // Middleware por IP. Va antes de la validación para frenar también las
+  // peticiones mal formadas
+  function byIp(route) {
+    const perMinute = budgets[route] && budgets[route].ip;
+    return (req, res, next) => {
+      if (!enabled || !perMinute) return next();
+
+      const retryAfter = take(`${route}:ip:${req.ip}`, perMinute);
+      if (retryAfter > 0) return reject(res, route, 'ip', retryAfter);
+      next();
+    };
+  }
+
+  // Middleware por sesión. Debe ir después de requireSessionToken para que
+  // el sessionId del cuerpo esté verificado
+  function bySession(route) {
+    const perMinute = budgets[route] && budgets[route].session;
+    return (req, res, next) => {
+      if (!enabled || !perMinute) return next();
+
+      const retryAfter = take(`${route}:session:${req.body.sessionId}`, perMinute);
+      if (retryAfter > 0) return reject(res, route, 'session', retryAfter);
+      next();
+    };
+  }
+
+  // Límite de sesiones abiertas a la vez desde una IP. Se liberan al
+  // cerrarse (por el cliente o por inactividad), así que Retry-After indica
+  // cuándo volver a intentarlo
+  function checkSessionCap(res, activeSessionsForIp, retryAfter) {
+    if (!enabled || !maxSessionsPerIp || activeSessionsForIp < maxSessionsPerIp) {
+      return true;
+    }
+
+    countRejection('sessionStart', 'sessionCap');
+    res.set('Retry-After', String(retryAfter));
+    sendError(res, errors.tooManySessions(maxSessionsPerIp, retryAfter));
+    return false;
+  }
+
+  function summary() {
+    return {
+      enabled,
+      maxSessionsPerIp,
+      budgets,
+      trackedBuckets: buckets.size,
+      rejected: {
+        total: rejected.total,
+        byRoute: { ...rejected.byRoute },
+        byScope: { ...rejected.byScope }
+      }
+    };
+  }
+
+  return {
+    byIp,
+    bySession,
+    checkSessionCap,
+    summary
+  };
+}
+
+module.exports = {
+  createRateLimiter
+};
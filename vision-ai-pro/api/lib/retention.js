@@ -0,0 +1,187 @@
+// ==========================================
+// VISION AI PRO - RETENCIÓN Y BORRADO DE DATOS
+// ==========================================
+// - purge(): borra las sesiones cerradas hace más de retentionDays y los
+//   registros (detecciones, interacciones, cruces de zona, alertas y sus
+//   entregas) anteriores a ese plazo. Los totales de las sesiones borradas
+//   se archivan como con el límite de almacenamiento, así que los totales
+//   globales (sesiones, detecciones, interacciones) no cambian. Lo que se
+//   calcula a partir de los registros sí refleja la purga: los conteos por
+//   clase, la actividad por intervalo, los tiempos por etapa, los conteos
+//   por zona y el historial de alertas se recalculan con lo que queda. retentionDays = 0 la
+//   desactiva.
+// - erase(sessionId): borrado a petición (DELETE /api/sessions/:id) de una
+//   sesión, todos sus registros, sus capturas, sus frames del dataset de
+//   anotación y sus entradas en los logs, sin esperar a la retención. La
+//   sesión no se archiva: sale también de los totales globales, y el log
+//   del borrado no lleva su sessionId.
+//
+// Después se compacta sessions.jsonl para que no queden copias antiguas de
+// las sesiones borradas. Las capturas tienen su propia retención (ver
+// snapshots.js) y los logs la suya (LOG_RETENTION_DAYS). El dataset de
+// anotación no caduca: se conserva para entrenar aunque la sesión se purgue.
+//
+// Como el barrido de sesiones, purge() se ejecuta con un intervalo y
+// también, como mucho una vez por intervalo, al recibir peticiones.
+
+const { EVENTS } = require('./logger');
+const { createTrackCounter } = require('./telemetry');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Colección -> campo con la fecha (ISO) en que se guardó cada registro
+const RECORD_TIMES = {
+  detections: 'receivedAt',
+  interactions: 'receivedAt',
+  zoneEvents: 'receivedAt',
+  alerts: 'firedAt',
+  alertDeliveries: 'completedAt'
+};
+
+function totalRecords(records) {
+  return Object.values(records).reduce((acc, count) => acc + count, 0);
+}
+
+function createRetention({
+  store,
+  sessionManager,
+  snapshots,
+  dataset,
+  zones,
+  alerts,
+  tracks,
+  stats,
+  recountRecords,
+  logger,
+  retentionDays = 30,
+  purgeIntervalMs = 60 * 60 * 1000
+}) {
+  let lastPurge = 0;
+  let lastResult = null;
+  let timer = null;
+
+  // Recalcula lo que se deriva de los registros borrados y olvida el estado
+  // en memoria de las sesiones borradas, sin tocar el de las demás. Los
+  // conteos por clase se recalculan con un contador de tracks nuevo para no
+  // alterar el de las sesiones abiertas
+  function afterRemoval(sessionIds) {
+    store.compact();
+    sessionIds.forEach(sessionId => {
+      alerts.forgetSession(sessionId);
+      tracks.forgetSession(sessionId);
+    });
+    recountRecords(createTrackCounter());
+    zones.rebuild();
+    alerts.rebuild();
+  }
+
+  // Devuelve { cutoff, sessions, records } o null si está desactivada
+  function purge(now = Date.now()) {
+    lastPurge = now;
+    if (retentionDays <= 0) return null;
+
+    const cutoff = new Date(now - retentionDays * DAY_MS).toISOString();
+    const expired = store.listSessions()
+      .filter(session => session.endTime && new Date(session.endTime).toISOString() < cutoff);
+    if (expired.length > 0) sessionManager.archive(expired);
+
+    const records = {};
+    Object.entries(RECORD_TIMES).forEach(([collection, field]) => {
+      records[collection] = store.removeWhere(collection, record => !record[field] || record[field] < cutoff);
+    });
+
+    lastResult = { at: new Date(now).toISOString(), cutoff, sessions: expired.length, records };
+
+    if (expired.length > 0 || totalRecords(records) > 0) {
+      afterRemoval(expired.map(session => session.sessionId));
+      logger.log(EVENTS.DATA_PURGED, { cutoff, sessions: expired.length, records });
+      console.log(`🧹 Retención de ${retentionDays} días: ${expired.length} sesiones y ${totalRecords(records)} registros eliminados`);
+    }
+    return lastResult;
+  }
+
+  // Purga perezosa: como mucho una vez por intervalo
+  function maybePurge(now = Date.now()) {
+    if (now - lastPurge >= purgeIntervalMs) purge(now);
+  }
+
+  // Devuelve null si la sesión no existe o { records, snapshots,
+  // datasetFrames, logEntries } con lo borrado
+  function erase(sessionId) {
+    const session = store.getSession(sessionId);
+    if (!session) return null;
+
+    store.deleteSession(sessionId);
+    stats.totalSessions--;
+    stats.totalFaceDetections -= session.faceDetections;
+    stats.totalDetections -= session.faceDetections + session.objectDetections;
+    stats.totalInteractions -= session.interactions;
+
+    // Las entregas de webhook no llevan sessionId, sino el de su alerta
+    const alertIds = new Set(store.readAll('alerts')
+      .filter(alert => alert.sessionId === sessionId)
+      .map(alert => alert.alertId));
+
+    const records = {};
+    Object.keys(RECORD_TIMES).forEach(collection => {
+      records[collection] = store.removeWhere(collection, collection === 'alertDeliveries'
+        ? record => alertIds.has(record.alertId)
+        : record => record.sessionId === sessionId);
+    });
+    const removedSnapshots = snapshots.removeSession(sessionId);
+    const removedFrames = dataset.removeSession(sessionId);
+
+    afterRemoval([sessionId]);
+    const removedLogEntries = logger.removeSession(sessionId);
+    logger.log(EVENTS.SESSION_ERASED, {
+      records,
+      snapshots: removedSnapshots,
+      datasetFrames: removedFrames,
+      logEntries: removedLogEntries
+    });
+    console.log(`🗑️ Sesión borrada a petición: ${totalRecords(records)} registros, ${removedSnapshots} capturas, ${removedFrames} frames del dataset y ${removedLogEntries} entradas de log`);
+
+    return { records, snapshots: removedSnapshots, datasetFrames: removedFrames, logEntries: removedLogEntries };
+  }
+
+  function summary() {
+    return {
+      retentionDays,
+      purgeIntervalMinutes: Math.round(purgeIntervalMs / 60000),
+      lastPurge: lastResult
+    };
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(() => {
+      try {
+        purge();
+      } catch (error) {
+        console.error('❌ Error en la purga por retención:', error);
+        logger.error('retention/purge', error);
+      }
+    }, purgeIntervalMs);
+    // No mantener vivo el proceso solo por el temporizador
+    if (timer.unref) timer.unref();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    purge,
+    maybePurge,
+    erase,
+    summary,
+    start,
+    stop
+  };
+}
+
+module.exports = {
+  RECORD_TIMES,
+  createRetention
+};
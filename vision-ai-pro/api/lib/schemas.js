@@ -0,0 +1,527 @@
+// ==========================================
+// VISION AI PRO - ESQUEMAS DE PETICIÓN
+// ==========================================
+// Esquemas (subconjunto de JSON Schema, ver validation.js) de los cuerpos
+// que aceptan las rutas POST de la API.
+
+// Plugins de modelo del navegador (ver MODEL_PLUGINS en index.html)
+const DETECTION_TYPES = ['coco-ssd', 'bodypix', 'combined', 'movenet', 'blazeface', 'mobilenet'];
+
+// Backends de TensorFlow.js que se pueden elegir en el navegador y etapas
+// del procesado de cada frame analizado (tiempos en ms)
+const INFERENCE_BACKENDS = ['webgl', 'wasm', 'cpu'];
+const PIPELINE_STAGES = ['capture', 'inference', 'draw', 'filter'];
+const MAX_STAGE_MS = 60 * 1000;
+
+// Controles de la interfaz que generan interacciones
+const WIDGETS = [
+  'startCamera',
+  'stopCamera',
+  'cameraSelect',
+  'videoFile',
+  'imageFiles',
+  'playback',
+  'timeline',
+  'modelSelect',
+  'filterSelect',
+  'filterChain',
+  'filterParams',
+  'filterPreset',
+  'confidenceThreshold',
+  'showStats',
+  'zoneEditor',
+  'snapshot',
+  'clipRecorder',
+  'autoCapture',
+  'datasetCapture',
+  'datasetEditor',
+  'datasetExport',
+  'privacyMode',
+  'inferenceBackend',
+  'targetFps',
+  'adaptiveResolution'
+];
+
+const INTERACTION_ACTIONS = ['click', 'change', 'input', 'toggle'];
+
+// Controles de la cadena de filtros OpenCV: forman el historial de filtros
+// de cada sesión. filterSelect lleva el filtro añadido a la cadena
+const FILTER_WIDGETS = ['filterSelect', 'filterChain', 'filterParams', 'filterPreset'];
+
+// Zonas de conteo: polígonos (ocupación) y líneas (tripwires)
+const ZONE_TYPES = ['polygon', 'line'];
+const ZONE_EVENTS = ['enter', 'exit'];
+const MAX_ZONE_POINTS = 32;
+const MAX_ZONE_CLASSES = 80;
+
+// Capturas de pantalla y clips subidos a /api/snapshots
+const SNAPSHOT_KINDS = ['snapshot', 'clip'];
+const SNAPSHOT_TRIGGERS = ['manual', 'newClass', 'zone'];
+const MAX_CLIP_DURATION_MS = 60 * 1000;
+
+// Dataset de anotación (/api/dataset): de dónde viene cada caja y formatos
+// de exportación
+const ANNOTATION_SOURCES = ['model', 'manual'];
+const DATASET_FORMATS = ['coco', 'voc', 'yolo'];
+
+// Reglas de alerta evaluadas con cada frame de detecciones
+const ALERT_METRICS = ['count', 'confidence'];
+const ALERT_OPERATORS = ['>', '>=', '<', '<='];
+const MAX_ALERT_WEBHOOKS = 5;
+
+const MAX_COUNT_PER_FRAME = 1000;
+const MAX_DETECTIONS_PER_FRAME = 100;
+const MAX_POSES_PER_FRAME = 6;            // MoveNet MultiPose
+const MAX_KEYPOINTS_PER_POSE = 33;        // 17 en MoveNet, 33 en BlazePose
+const MAX_FACE_LANDMARKS = 6;             // BlazeFace: ojos, nariz, boca y orejas
+const MAX_CLASSIFICATIONS = 10;
+const MAX_BATCH_EVENTS = 500;
+const DEFAULT_CONFIDENCE_THRESHOLD = 0.5;
+const DEFAULT_MAX_DETECTIONS = 20;
+
+const sessionId = {
+  type: 'string',
+  minLength: 1,
+  maxLength: 64,
+  pattern: '^session_\\d+_[a-z0-9]+$',
+  description: 'Identificador devuelto por /api/session/start'
+};
+
+// Token firmado devuelto junto al sessionId. Puede ir en la cabecera
+// X-Session-Token o aquí (sendBeacon no permite cabeceras)
+const sessionToken = {
+  type: 'string',
+  minLength: 1,
+  maxLength: 512,
+  description: 'Token de sesión devuelto por /api/session/start'
+};
+
+const timestamp = {
+  type: 'string',
+  format: 'date-time',
+  maxLength: 40,
+  description: 'Momento del evento en el cliente (ISO 8601)'
+};
+
+const detection = {
+  type: 'object',
+  required: ['class', 'score'],
+  additionalProperties: false,
+  properties: {
+    class: { type: 'string', minLength: 1, maxLength: 64 },
+    score: { type: 'number', minimum: 0, maximum: 1 },
+    bbox: {
+      type: 'array',
+      minItems: 4,
+      maxItems: 4,
+      items: { type: 'number' },
+      description: '[x, y, ancho, alto] en píxeles'
+    },
+    trackId: {
+      type: 'integer',
+      minimum: 1,
+      description: 'ID persistente del objeto asignado por el tracker del cliente (único dentro de su trackerId)'
+    },
+    dwellMs: { type: 'integer', minimum: 0, description: 'Tiempo que lleva el objeto en escena' }
+  }
+};
+
+// Pose de MoveNet: keypoints con nombre, posición en píxeles y confianza
+const pose = {
+  type: 'object',
+  required: ['score', 'keypoints'],
+  additionalProperties: false,
+  properties: {
+    score: { type: 'number', minimum: 0, maximum: 1 },
+    keypoints: {
+      type: 'array',
+      maxItems: MAX_KEYPOINTS_PER_POSE,
+      items: {
+        type: 'object',
+        required: ['name', 'x', 'y'],
+        additionalProperties: false,
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: 32 },
+          x: { type: 'number' },
+          y: { type: 'number' },
+          score: { type: 'number', minimum: 0, maximum: 1 }
+        }
+      }
+    }
+  }
+};
+
+// Cara de BlazeFace con sus puntos de referencia
+const face = {
+  type: 'object',
+  required: ['score', 'bbox'],
+  additionalProperties: false,
+  properties: {
+    score: { type: 'number', minimum: 0, maximum: 1 },
+    bbox: detection.properties.bbox,
+    landmarks: {
+      type: 'array',
+      maxItems: MAX_FACE_LANDMARKS,
+      items: { type: 'array', minItems: 2, maxItems: 2, items: { type: 'number' } },
+      description: '[x, y] en píxeles'
+    }
+  }
+};
+
+// Clase de MobileNet para el frame completo
+const classification = {
+  type: 'object',
+  required: ['label', 'probability'],
+  additionalProperties: false,
+  properties: {
+    label: { type: 'string', minLength: 1, maxLength: 128 },
+    probability: { type: 'number', minimum: 0, maximum: 1 }
+  }
+};
+
+// Tiempos de un frame analizado en el navegador: captura del fotograma,
+// inferencia (ida y vuelta al worker), dibujo del resultado y filtros
+const timings = {
+  type: 'object',
+  additionalProperties: false,
+  properties: Object.fromEntries(PIPELINE_STAGES.map(stage => [
+    stage,
+    { type: 'number', minimum: 0, maximum: MAX_STAGE_MS }
+  ]))
+};
+
+// Campos de un frame de detecciones (sin sessionId). Además de las
+// detecciones comunes, cada modelo puede enviar los suyos
+const detectionFields = {
+  faceCount: { type: 'integer', minimum: 0, maximum: MAX_COUNT_PER_FRAME, default: 0 },
+  objectCount: { type: 'integer', minimum: 0, maximum: MAX_COUNT_PER_FRAME, default: 0 },
+  confidenceLevel: { type: 'number', minimum: 0, maximum: 1 },
+  detectionType: { type: 'string', enum: DETECTION_TYPES },
+  detections: { type: 'array', maxItems: MAX_DETECTIONS_PER_FRAME, items: detection },
+  trackerId: {
+    type: 'string',
+    pattern: '^[A-Za-z0-9_-]{1,64}$',
+    description: 'Instancia del tracker que asignó los trackId (una por página)'
+  },
+  personCoverage: {
+    type: 'number',
+    minimum: 0,
+    maximum: 1,
+    description: 'BodyPix: fracción del frame ocupada por personas'
+  },
+  poses: { type: 'array', maxItems: MAX_POSES_PER_FRAME, items: pose, description: 'MoveNet' },
+  faces: { type: 'array', maxItems: MAX_DETECTIONS_PER_FRAME, items: face, description: 'BlazeFace' },
+  classifications: {
+    type: 'array',
+    maxItems: MAX_CLASSIFICATIONS,
+    items: classification,
+    description: 'MobileNet: clases más probables del frame completo'
+  },
+  backend: { type: 'string', enum: INFERENCE_BACKENDS, description: 'Backend de TensorFlow.js que hizo la inferencia' },
+  inputScale: {
+    type: 'number',
+    minimum: 0.1,
+    maximum: 1,
+    description: 'Escala de la imagen de entrada del modelo (resolución adaptativa)'
+  },
+  timings,
+  timestamp
+};
+
+// Campos de detectionFields que solo envía un modelo concreto
+const MODEL_FIELDS = ['personCoverage', 'poses', 'faces', 'classifications'];
+
+// Campos de rendimiento del navegador; los clientes antiguos no los envían
+const PERFORMANCE_FIELDS = ['backend', 'inputScale', 'timings'];
+
+// Cruce de un objeto seguido por una zona (sin sessionId). En un polígono,
+// 'enter'/'exit' es entrar o salir; en una línea, cruzarla en un sentido u otro
+const zoneEventFields = {
+  zoneId: { type: 'string', minLength: 1, maxLength: 64, pattern: '^zone_[a-z0-9_]+$' },
+  event: { type: 'string', enum: ZONE_EVENTS },
+  class: { type: 'string', minLength: 1, maxLength: 64 },
+  trackId: { type: 'integer', minimum: 1 },
+  timestamp
+};
+
+// Campos de una interacción (sin sessionId)
+const interactionFields = {
+  widgetName: { type: 'string', enum: WIDGETS },
+  action: { type: 'string', enum: INTERACTION_ACTIONS },
+  value: { type: ['string', 'number', 'boolean', 'null'], maxLength: 200 },
+  timestamp
+};
+
+const sessionStart = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {}
+};
+
+const detectionRecord = {
+  type: 'object',
+  required: ['sessionId'],
+  additionalProperties: false,
+  properties: {
+    sessionId,
+    sessionToken,
+    ...detectionFields
+  }
+};
+
+const interactionRecord = {
+  type: 'object',
+  required: ['sessionId', 'widgetName', 'action'],
+  additionalProperties: false,
+  properties: {
+    sessionId,
+    sessionToken,
+    ...interactionFields
+  }
+};
+
+const sessionEnd = {
+  type: 'object',
+  required: ['sessionId'],
+  additionalProperties: false,
+  properties: {
+    sessionId,
+    sessionToken
+  }
+};
+
+const telemetryBatch = {
+  type: 'object',
+  required: ['sessionId', 'events'],
+  additionalProperties: false,
+  properties: {
+    sessionId,
+    sessionToken,
+    endSession: { type: 'boolean', default: false },
+    events: {
+      type: 'array',
+      maxItems: MAX_BATCH_EVENTS,
+      items: {
+        oneOf: [
+          {
+            type: 'object',
+            required: ['type'],
+            additionalProperties: false,
+            properties: { type: { type: 'string', enum: ['detection'] }, ...detectionFields }
+          },
+          {
+            type: 'object',
+            required: ['type', 'widgetName', 'action'],
+            additionalProperties: false,
+            properties: { type: { type: 'string', enum: ['interaction'] }, ...interactionFields }
+          },
+          {
+            type: 'object',
+            required: ['type', 'zoneId', 'event', 'class'],
+            additionalProperties: false,
+            properties: { type: { type: 'string', enum: ['zone'] }, ...zoneEventFields }
+          }
+        ],
+        discriminator: { propertyName: 'type' }
+      }
+    }
+  }
+};
+
+// POST /api/detect. Con multipart/form-data la imagen llega como fichero en
+// el campo 'image' y el resto como campos de texto; en JSON, 'image' es el
+// contenido en base64 (con o sin prefijo data:image/...;base64,)
+const detectRequest = {
+  type: 'object',
+  required: ['sessionId'],
+  additionalProperties: false,
+  properties: {
+    sessionId,
+    sessionToken,
+    image: { type: 'string', minLength: 1, description: 'Imagen JPEG o PNG en base64 (solo en JSON)' },
+    confidenceThreshold: {
+      type: 'number',
+      minimum: 0,
+      maximum: 1,
+      default: DEFAULT_CONFIDENCE_THRESHOLD,
+      description: 'Puntuación mínima de las detecciones, como el umbral de la interfaz'
+    },
+    maxDetections: { type: 'integer', minimum: 1, maximum: MAX_DETECTIONS_PER_FRAME, default: DEFAULT_MAX_DETECTIONS },
+    timestamp
+  }
+};
+
+// Definición de una zona (POST /api/zones y PUT /api/zones/:id). Los puntos
+// están normalizados (0-1) respecto al tamaño del vídeo para no depender de
+// la resolución de cada cámara
+const zoneDefinition = {
+  type: 'object',
+  required: ['name', 'type', 'points'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 64 },
+    type: { type: 'string', enum: ZONE_TYPES },
+    points: {
+      type: 'array',
+      minItems: 2,
+      maxItems: MAX_ZONE_POINTS,
+      items: { type: 'array', minItems: 2, maxItems: 2, items: { type: 'number', minimum: 0, maximum: 1 } },
+      description: 'Vértices [x, y] normalizados; una línea tiene exactamente 2'
+    },
+    classes: {
+      type: 'array',
+      maxItems: MAX_ZONE_CLASSES,
+      items: { type: 'string', minLength: 1, maxLength: 64 },
+      default: [],
+      description: 'Clases COCO que cuenta la zona; vacío = todas'
+    },
+    color: { type: 'string', pattern: '^#[0-9a-fA-F]{6}$' }
+  }
+};
+
+// POST /api/snapshots (multipart/form-data): el fichero llega en el campo
+// 'file' y 'detections' como JSON en un campo de texto
+const snapshotUpload = {
+  type: 'object',
+  required: ['sessionId', 'kind'],
+  additionalProperties: false,
+  properties: {
+    sessionId,
+    sessionToken,
+    kind: { type: 'string', enum: SNAPSHOT_KINDS, description: 'snapshot: JPEG, PNG o WebP; clip: WebM o MP4' },
+    trigger: { type: 'string', enum: SNAPSHOT_TRIGGERS, default: 'manual', description: 'Qué provocó la captura' },
+    detections: {
+      type: 'array',
+      maxItems: MAX_DETECTIONS_PER_FRAME,
+      items: detection,
+      default: [],
+      description: 'Detecciones visibles al capturar (o al terminar el clip)'
+    },
+    durationMs: { type: 'integer', minimum: 0, maximum: MAX_CLIP_DURATION_MS, description: 'Duración del clip' },
+    timestamp
+  }
+};
+
+// Caja de un frame del dataset. Las del modelo llevan su confianza; las
+// añadidas o corregidas a mano pasan a 'manual' y no tienen. Al subir el
+// frame todas son 'model'; en el PUT el servidor decide cuáles siguen
+// siéndolo (ver dataset.js)
+const annotation = {
+  type: 'object',
+  required: ['class', 'bbox'],
+  additionalProperties: false,
+  properties: {
+    class: { type: 'string', minLength: 1, maxLength: 64, pattern: '^[^\\x00-\\x1f]+$' },
+    bbox: detection.properties.bbox,
+    source: { type: 'string', enum: ANNOTATION_SOURCES, default: 'manual' },
+    score: { type: 'number', minimum: 0, maximum: 1 }
+  }
+};
+
+const annotations = {
+  type: 'array',
+  maxItems: MAX_DETECTIONS_PER_FRAME,
+  items: annotation,
+  description: 'Cajas del frame; se recortan a los bordes de la imagen'
+};
+
+// POST /api/dataset/frames (multipart/form-data): la imagen llega en el
+// campo 'file' y 'annotations' como JSON en un campo de texto
+const datasetFrameUpload = {
+  type: 'object',
+  required: ['sessionId'],
+  additionalProperties: false,
+  properties: {
+    sessionId,
+    sessionToken,
+    model: { type: 'string', enum: DETECTION_TYPES, description: 'Modelo que generó las etiquetas previas' },
+    annotations: { ...annotations, default: [] },
+    timestamp
+  }
+};
+
+// PUT /api/dataset/frames/:id: sustituye las cajas y marca el frame como revisado
+const datasetAnnotations = {
+  type: 'object',
+  required: ['annotations'],
+  additionalProperties: false,
+  properties: {
+    annotations
+  }
+};
+
+// Definición de una regla de alerta (POST /api/alerts/rules y PUT
+// /api/alerts/rules/:id). 'count' es el número de objetos de 'class' (o de
+// todas las clases) en el frame; 'confidence', la confianza media del frame
+const alertRule = {
+  type: 'object',
+  required: ['name', 'metric', 'operator', 'threshold'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 64 },
+    enabled: { type: 'boolean', default: true },
+    metric: { type: 'string', enum: ALERT_METRICS },
+    class: { type: 'string', minLength: 1, maxLength: 64, description: "Solo con metric 'count'; sin ella se cuentan todas las clases" },
+    operator: { type: 'string', enum: ALERT_OPERATORS },
+    threshold: { type: 'number', minimum: 0, maximum: MAX_COUNT_PER_FRAME },
+    durationSeconds: {
+      type: 'integer',
+      minimum: 0,
+      maximum: 3600,
+      default: 0,
+      description: 'Tiempo que la condición debe cumplirse sin interrupción antes de disparar'
+    },
+    cooldownSeconds: {
+      type: 'integer',
+      minimum: 0,
+      maximum: 86400,
+      default: 60,
+      description: 'Tiempo mínimo entre dos disparos de la regla en la misma sesión'
+    },
+    hysteresis: {
+      type: 'number',
+      minimum: 0,
+      maximum: MAX_COUNT_PER_FRAME,
+      default: 0,
+      description: 'Margen que el valor debe superar al volver del umbral para rearmar la regla'
+    },
+    webhooks: {
+      type: 'array',
+      maxItems: MAX_ALERT_WEBHOOKS,
+      items: { type: 'string', maxLength: 2048, pattern: '^https?://' },
+      default: [],
+      description: 'URLs que reciben la alerta además de ALERT_WEBHOOK_URLS. Requieren ALERT_WEBHOOK_SECRET (se envían firmadas) y, si está configurado, un host de ALERT_WEBHOOK_ALLOWED_HOSTS. No se admiten destinos internos (localhost, loopback, redes privadas, link-local) salvo que su host esté en ALERT_WEBHOOK_ALLOWED_HOSTS'
+    }
+  }
+};
+
+module.exports = {
+  DETECTION_TYPES,
+  INFERENCE_BACKENDS,
+  PIPELINE_STAGES,
+  MODEL_FIELDS,
+  PERFORMANCE_FIELDS,
+  WIDGETS,
+  INTERACTION_ACTIONS,
+  FILTER_WIDGETS,
+  ZONE_TYPES,
+  ZONE_EVENTS,
+  SNAPSHOT_KINDS,
+  SNAPSHOT_TRIGGERS,
+  ANNOTATION_SOURCES,
+  DATASET_FORMATS,
+  ALERT_METRICS,
+  ALERT_OPERATORS,
+  MAX_BATCH_EVENTS,
+  sessionStart,
+  detectionRecord,
+  interactionRecord,
+  sessionEnd,
+  telemetryBatch,
+  detectRequest,
+  zoneDefinition,
+  snapshotUpload,
+  datasetFrameUpload,
+  datasetAnnotations,
+  alertRule
+};
@@ -0,0 +1,259 @@
+// ==========================================
+// VISION AI PRO - CICLO DE VIDA DE SESIONES
+// ==========================================
+// - Cierra automáticamente las sesiones sin actividad durante idleTimeoutMs
+//   (motivo 'idle_timeout'), tomando la última actividad como hora de fin.
+// - Mantiene como máximo maxStored sesiones: cuando se supera, se eliminan
+//   las sesiones cerradas más antiguas y sus totales se acumulan en el
+//   contador de sesiones archivadas (meta.archived) para no perderlos.
+// - Listado con filtros/paginación y detalle de una sesión.
+//
+// El barrido se ejecuta con un intervalo y también, como mucho una vez por
+// intervalo, al recibir peticiones: en Vercel los temporizadores no corren
+// mientras la función está congelada.
+
+const { EVENTS } = require('./logger');
+const { parseTime } = require('./timeseries');
+const { invalidParam } = require('./validation');
+
+const SORT_FIELDS = {
+  startTime: s => new Date(s.startTime).getTime(),
+  lastActivity: s => new Date(s.lastActivity || s.startTime).getTime(),
+  duration: s => sessionDuration(s),
+  detections: s => s.faceDetections + s.objectDetections,
+  interactions: s => s.interactions
+};
+
+const SESSION_STATES = ['active', 'ended', 'all'];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Duración en segundos; para sesiones abiertas, hasta ahora
+function sessionDuration(session, now = Date.now()) {
+  if (session.endTime) return session.duration;
+  return Math.round((now - new Date(session.startTime).getTime()) / 1000);
+}
+
+function emptyArchive() {
+  return { sessions: 0, faceDetections: 0, objectDetections: 0, interactions: 0 };
+}
+
+function createSessionManager({ store, telemetry, logger, idleTimeoutMs, maxStored, reapIntervalMs }) {
+  let lastReap = 0;
+  let timer = null;
+
+  function archivedTotals() {
+    return { ...emptyArchive(), ...(store.readMeta().archived || {}) };
+  }
+
+  function isIdle(session, now) {
+    const lastSeen = new Date(session.lastActivity || session.startTime).getTime();
+    return !session.endTime && now - lastSeen > idleTimeoutMs;
+  }
+
+  // Cierra las sesiones inactivas. Devuelve cuántas se cerraron
+  function reapIdle(now = Date.now()) {
+    let closed = 0;
+
+    store.listSessions()
+      .filter(session => isIdle(session, now))
+      .forEach(session => {
+        const endedAt = new Date(session.lastActivity || session.startTime);
+        if (telemetry.endSession(session, { reason: 'idle_timeout', endedAt })) {
+          store.saveSession(session);
+          closed++;
+        }
+      });
+
+    if (closed > 0) console.log(`⏱️ ${closed} sesiones cerradas por inactividad`);
+    return closed;
+  }
+
+  // Elimina las sesiones y acumula sus totales en meta.archived, para que
+  // las estadísticas globales no cambien (límite de almacenamiento,
+  // retención y borrado a petición)
+  function archive(sessions) {
+    const meta = store.readMeta();
+    const archived = { ...emptyArchive(), ...(meta.archived || {}) };
+
+    sessions.forEach(session => {
+      archived.sessions++;
+      archived.faceDetections += session.faceDetections;
+      archived.objectDetections += session.objectDetections;
+      archived.interactions += session.interactions;
+      store.deleteSession(session.sessionId);
+    });
+
+    store.writeMeta({ ...meta, archived });
+  }
+
+  // Elimina las sesiones cerradas más antiguas por encima del máximo
+  function enforceCap() {
+    const sessions = store.listSessions();
+    const excess = sessions.length - maxStored;
+    if (excess <= 0) return 0;
+
+    const evictable = sessions
+      .filter(session => session.endTime)
+      .sort((a, b) => new Date(a.endTime) - new Date(b.endTime))
+      .slice(0, excess);
+    if (evictable.length === 0) return 0;
+
+    archive(evictable);
+
+    logger.log(EVENTS.SESSION_EVICTED, {
+      count: evictable.length,
+      maxStored,
+      sessionIds: evictable.map(s => s.sessionId)
+    });
+    console.log(`🗄️ ${evictable.length} sesiones antiguas archivadas (máximo ${maxStored})`);
+
+    return evictable.length;
+  }
+
+  function reap(now = Date.now()) {
+    lastReap = now;
+    return {
+      closed: reapIdle(now),
+      evicted: enforceCap()
+    };
+  }
+
+  // Barrido perezoso: como mucho una vez por intervalo
+  function maybeReap(now = Date.now()) {
+    if (now - lastReap >= reapIntervalMs) reap(now);
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(() => {
+      try {
+        reap();
+      } catch (error) {
+        console.error('❌ Error en el barrido de sesiones:', error);
+        logger.error('sessions/reap', error);
+      }
+    }, reapIntervalMs);
+    // No mantener vivo el proceso solo por el temporizador
+    if (timer.unref) timer.unref();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  // Valida los parámetros de GET /api/sessions. Devuelve { error } o la consulta
+  function parseListQuery(query) {
+    const state = query.state || 'all';
+    if (!SESSION_STATES.includes(state)) {
+      return invalidParam('state', `Debe ser uno de: ${SESSION_STATES.join(', ')}`);
+    }
+
+    const sort = query.sort || 'startTime';
+    if (!SORT_FIELDS[sort]) {
+      return invalidParam('sort', `Debe ser uno de: ${Object.keys(SORT_FIELDS).join(', ')}`);
+    }
+
+    const order = query.order || 'desc';
+    if (!['asc', 'desc'].includes(order)) {
+      return invalidParam('order', 'Debe ser asc o desc');
+    }
+
+    const from = parseTime(query.from);
+    const to = parseTime(query.to);
+    if (from === null) return invalidParam('from', 'Debe ser una fecha ISO 8601 o milisegundos');
+    if (to === null) return invalidParam('to', 'Debe ser una fecha ISO 8601 o milisegundos');
+
+    const page = Math.max(1, parseInt(query.page, 10) || 1);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE));
+    const userAgent = typeof query.userAgent === 'string' ? query.userAgent.toLowerCase() : '';
+
+    return { state, sort, order, from, to, page, limit, userAgent };
+  }
+
+  // Resumen de una sesión para listados
+  function summarize(session, now = Date.now()) {
+    return {
+      sessionId: session.sessionId,
+      state: session.endTime ? 'ended' : 'active',
+      startTime: session.startTime,
+      endTime: session.endTime || null,
+      endReason: session.endReason || null,
+      lastActivity: session.lastActivity || null,
+      duration: sessionDuration(session, now),
+      userAgent: session.userAgent,
+      faceDetections: session.faceDetections,
+      objectDetections: session.objectDetections,
+      totalDetections: session.faceDetections + session.objectDetections,
+      interactions: session.interactions
+    };
+  }
+
+  function list({ state, sort, order, from, to, page, limit, userAgent }) {
+    const now = Date.now();
+    const key = SORT_FIELDS[sort];
+    const direction = order === 'asc' ? 1 : -1;
+
+    const matches = store.listSessions()
+      .filter(session => {
+        const started = new Date(session.startTime).getTime();
+        if (state === 'active' && session.endTime) return false;
+        if (state === 'ended' && !session.endTime) return false;
+        if (from !== undefined && started < from) return false;
+        if (to !== undefined && started > to) return false;
+        if (userAgent && !String(session.userAgent || '').toLowerCase().includes(userAgent)) return false;
+        return true;
+      })
+      .sort((a, b) => (key(a) - key(b)) * direction);
+
+    return {
+      total: matches.length,
+      page,
+      limit,
+      totalPages: Math.ceil(matches.length / limit),
+      sessions: matches.slice((page - 1) * limit, page * limit).map(s => summarize(s, now))
+    };
+  }
+
+  // Registro completo de una sesión, con el historial de cambios en la
+  // cadena de filtros
+  function detail(session) {
+    const now = Date.now();
+    const lastSeen = new Date(session.lastActivity || session.startTime).getTime();
+
+    // La IP no se expone en la API
+    const { ip, ...record } = session;
+
+    return {
+      ...record,
+      ...summarize(session, now),
+      classCounts: session.classCounts || {},
+      filters: session.filters,
+      filterHistory: session.filterHistory || [],
+      idleSeconds: session.endTime ? 0 : Math.round((now - lastSeen) / 1000)
+    };
+  }
+
+  return {
+    reap,
+    maybeReap,
+    archive,
+    summarize,
+    start,
+    stop,
+    archivedTotals,
+    parseListQuery,
+    list,
+    detail
+  };
+}
+
+module.exports = {
+  SESSION_STATES,
+  SORT_FIELDS,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  createSessionManager,
+  sessionDuration
+};
@@ -0,0 +1,304 @@
+// ==========================================
+// VISION AI PRO - CAPTURAS Y CLIPS
+// ==========================================
+// El navegador compone el vídeo con las anotaciones (outputCanvas +
+// overlayCanvas) y sube capturas (JPEG/PNG/WebP) o clips de MediaRecorder
+// (WebM/MP4) a /api/snapshots junto con las detecciones de ese momento.
+//
+// Cada captura se guarda en dir como dos ficheros:
+//
+//   snap_<id>.<ext>   el fichero tal cual llega
+//   snap_<id>.json    metadatos (sesión, detecciones, disparador, tamaño...)
+//
+// Los metadatos se cargan en memoria al arrancar. Tras cada subida se
+// aplican los límites de retención (antigüedad, número de capturas y
+// espacio total), borrando primero las más antiguas. Para que caduquen
+// aunque no lleguen capturas nuevas, maybeEnforceRetention() los vuelve a
+// aplicar, como mucho una vez por RETENTION_CHECK_INTERVAL_MS, al atender
+// peticiones de la API.
+
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const { EVENTS } = require('./logger');
+const { errors, sendError } = require('./errors');
+const { normalizeDetections } = require('./classStats');
+const { invalidParam } = require('./validation');
+const { SNAPSHOT_KINDS } = require('./schemas');
+
+const DEFAULT_PAGE_SIZE = 24;
+const MAX_PAGE_SIZE = 100;
+const RETENTION_CHECK_INTERVAL_MS = 60 * 1000;
+
+// Se identifican por su contenido, no por el Content-Type del cliente
+const FORMATS = [
+  { kind: 'snapshot', ext: 'jpg', mimeType: 'image/jpeg', test: b => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { kind: 'snapshot', ext: 'png', mimeType: 'image/png', test: b => b.toString('latin1', 1, 4) === 'PNG' },
+  { kind: 'snapshot', ext: 'webp', mimeType: 'image/webp', test: b => b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WEBP' },
+  { kind: 'clip', ext: 'webm', mimeType: 'video/webm', test: b => b.readUInt32BE(0) === 0x1a45dfa3 },
+  { kind: 'clip', ext: 'mp4', mimeType: 'video/mp4', test: b => b.toString('latin1', 4, 8) === 'ftyp' }
+];
+
+const KIND_MESSAGES = {
+  snapshot: 'La captura debe ser JPEG, PNG o WebP',
+  clip: 'El clip debe ser WebM o MP4'
+};
+
+const MULTER_MESSAGES = {
+  LIMIT_UNEXPECTED_FILE: "Solo se admite un fichero, en el campo 'file'",
+  LIMIT_FILE_COUNT: "Solo se admite un fichero, en el campo 'file'",
+  LIMIT_FIELD_VALUE: 'Valor de campo demasiado largo',
+  LIMIT_FIELD_COUNT: 'Demasiados campos en el formulario'
+};
+
+function detectFormat(buffer) {
+  if (buffer.length < 12) return null;
+  return FORMATS.find(format => format.test(buffer)) || null;
+}
+
+function snapshotId() {
+  return `snap_${Date.now().toString(36)}${Math.random().toString(36).substr(2, 6)}`;
+}
+
+function createSnapshots({
+  dir,
+  maxImageBytes,
+  maxClipBytes,
+  maxItems = 500,
+  maxTotalBytes = 500 * 1024 * 1024,
+  retentionDays = 7,
+  logger,
+  metrics
+}) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  // id -> metadatos
+  const index = new Map();
+  let lastRetention = 0;
+
+  fs.readdirSync(dir)
+    .filter(file => /^snap_[a-z0-9]+\.json$/.test(file))
+    .forEach(file => {
+      try {
+        const meta = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+        if (fs.existsSync(path.join(dir, meta.file))) index.set(meta.id, meta);
+      } catch (error) {
+        console.warn('⚠️ Metadatos de captura corruptos ignorados:', file);
+      }
+    });
+
+  function filePath(meta) {
+    return path.join(dir, meta.file);
+  }
+
+  function deleteFiles(meta) {
+    [meta.file, `${meta.id}.json`].forEach(file => {
+      try {
+        fs.unlinkSync(path.join(dir, file));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    });
+    index.delete(meta.id);
+  }
+
+  // Borra las capturas caducadas y, si aún se superan maxItems o
+  // maxTotalBytes, las más antiguas. Devuelve cuántas se han borrado
+  function enforceRetention(now = Date.now()) {
+    lastRetention = now;
+    const cutoff = new Date(now - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    const ordered = Array.from(index.values()).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    let totalBytes = ordered.reduce((acc, meta) => acc + meta.size, 0);
+    let count = ordered.length;
+    let removed = 0;
+
+    for (const meta of ordered) {
+      if (meta.createdAt >= cutoff && count <= maxItems && totalBytes <= maxTotalBytes) break;
+      deleteFiles(meta);
+      totalBytes -= meta.size;
+      count--;
+      removed++;
+    }
+
+    if (removed > 0) {
+      console.log(`🗑️ ${removed} capturas eliminadas por retención`);
+      logger.log(EVENTS.SNAPSHOTS_PURGED, { removed, remaining: count, bytes: totalBytes });
+    }
+    return removed;
+  }
+
+  // Retención perezosa: como mucho una vez por intervalo
+  function maybeEnforceRetention(now = Date.now()) {
+    if (now - lastRetention >= RETENTION_CHECK_INTERVAL_MS) enforceRetention(now);
+  }
+
+  // Middleware para multipart/form-data: deja el fichero en req.file,
+  // convierte durationMs a número y 'detections' de JSON. Los errores se
+  // responden directamente, como en validateBody
+  const multipart = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: Math.max(maxImageBytes, maxClipBytes), files: 1, fields: 10, fieldSize: 64 * 1024 }
+  }).single('file');
+
+  function upload(req, res, next) {
+    if (!req.is('multipart/form-data')) return next();
+
+    multipart(req, res, error => {
+      if (error && error.code === 'LIMIT_FILE_SIZE') {
+        return sendError(res, errors.payloadTooLarge(Math.max(maxImageBytes, maxClipBytes)));
+      }
+      if (error) {
+        return sendError(res, errors.validation([{
+          field: error.field || '(body)',
+          code: 'multipart',
+          message: MULTER_MESSAGES[error.code] || 'Cuerpo multipart/form-data no válido'
+        }]));
+      }
+
+      const { durationMs, detections } = req.body;
+      if (typeof durationMs === 'string' && durationMs.trim() !== '' && Number.isFinite(Number(durationMs))) {
+        req.body.durationMs = Number(durationMs);
+      }
+      if (typeof detections === 'string') {
+        try {
+          req.body.detections = JSON.parse(detections);
+        } catch (parseError) {
+          return sendError(res, errors.validation([{
+            field: 'detections',
+            code: 'type',
+            message: 'Debe ser un array JSON de detecciones'
+          }]));
+        }
+      }
+      next();
+    });
+  }
+
+  function save(session, { file, kind, trigger, detections, durationMs, timestamp }) {
+    if (!file) {
+      throw errors.validation([{ field: 'file', code: 'required', message: 'Falta el fichero en el campo file' }]);
+    }
+
+    const format = detectFormat(file.buffer);
+    if (!format || format.kind !== kind) {
+      throw errors.invalidMedia(KIND_MESSAGES[kind]);
+    }
+
+    const maxBytes = kind === 'clip' ? maxClipBytes : maxImageBytes;
+    if (file.size > maxBytes) throw errors.payloadTooLarge(maxBytes);
+
+    const id = snapshotId();
+    const normalized = normalizeDetections(detections);
+    const meta = {
+      id,
+      sessionId: session.sessionId,
+      kind,
+      trigger,
+      file: `${id}.${format.ext}`,
+      mimeType: format.mimeType,
+      size: file.size,
+      detections: normalized,
+      classes: Array.from(new Set(normalized.map(d => d.class))),
+      durationMs: kind === 'clip' && durationMs !== undefined ? durationMs : null,
+      clientTimestamp: timestamp || null,
+      createdAt: new Date().toISOString()
+    };
+
+    // Los metadatos se escriben al final: sin ellos el fichero no se lista
+    fs.writeFileSync(filePath(meta), file.buffer);
+    fs.writeFileSync(path.join(dir, `${id}.json`), JSON.stringify(meta));
+    index.set(id, meta);
+
+    metrics.snapshots.inc({ kind, trigger });
+    logger.log(EVENTS.SNAPSHOT_SAVED, {
+      snapshotId: id,
+      sessionId: session.sessionId,
+      kind,
+      trigger,
+      size: file.size,
+      classes: meta.classes
+    });
+
+    enforceRetention();
+    return meta;
+  }
+
+  // Valida los parámetros de GET /api/snapshots. Devuelve { error } o la consulta
+  function parseListQuery(query) {
+    const kind = query.kind || null;
+    if (kind && !SNAPSHOT_KINDS.includes(kind)) {
+      return invalidParam('kind', `Debe ser uno de: ${SNAPSHOT_KINDS.join(', ')}`);
+    }
+
+    const page = Math.max(1, parseInt(query.page, 10) || 1);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE));
+    const sessionId = typeof query.sessionId === 'string' ? query.sessionId : null;
+    const className = typeof query.class === 'string' ? query.class : null;
+
+    return { kind, page, limit, sessionId, className };
+  }
+
+  // Las más recientes primero
+  function list({ kind = null, sessionId = null, className = null, page = 1, limit = DEFAULT_PAGE_SIZE } = {}) {
+    const matching = Array.from(index.values())
+      .filter(meta => (!kind || meta.kind === kind) &&
+        (!sessionId || meta.sessionId === sessionId) &&
+        (!className || meta.classes.includes(className)))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    return {
+      total: matching.length,
+      page,
+      limit,
+      totalPages: Math.ceil(matching.length / limit),
+      snapshots: matching.slice((page - 1) * limit, page * limit)
+    };
+  }
+
+  function get(id) {
+    return index.get(id) || null;
+  }
+
+  function remove(id) {
+    const meta = index.get(id);
+    if (!meta) return false;
+    deleteFiles(meta);
+    return true;
+  }
+
+  // Borrado de una sesión a petición. Devuelve cuántas capturas se han borrado
+  function removeSession(sessionId) {
+    const matching = Array.from(index.values()).filter(meta => meta.sessionId === sessionId);
+    matching.forEach(deleteFiles);
+    return matching.length;
+  }
+
+  function summary() {
+    const all = Array.from(index.values());
+    return {
+      snapshots: all.filter(meta => meta.kind === 'snapshot').length,
+      clips: all.filter(meta => meta.kind === 'clip').length,
+      bytes: all.reduce((acc, meta) => acc + meta.size, 0),
+      limits: { maxItems, maxTotalBytes, retentionDays }
+    };
+  }
+
+  enforceRetention();
+
+  return {
+    upload,
+    save,
+    parseListQuery,
+    list,
+    get,
+    filePath,
+    remove,
+    removeSession,
+    maybeEnforceRetention,
+    summary
+  };
+}
+
+module.exports = {
+  createSnapshots
+};
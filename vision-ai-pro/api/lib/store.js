@@ -0,0 +1,376 @@
+// ==========================================
+// VISION AI PRO - ALMACENAMIENTO
+// ==========================================
+// Abstracción de almacenamiento para sesiones y registros de telemetría.
+// Todos los backends exponen la misma interfaz:
+//
+//   saveSession(session)        -> guarda/actualiza una sesión
+//   getSession(sessionId)       -> sesión o null
+//   listSessions()              -> array con todas las sesiones
+//   deleteSession(sessionId)    -> elimina una sesión (true si existía)
+//   append(collection, record)  -> añade un registro ('detections', 'interactions',
+//                                  'zoneEvents', 'alerts', 'alertDeliveries')
+//   readAll(collection)         -> array con todos los registros de la colección
+//   removeWhere(collection, fn) -> borra los registros para los que fn devuelve
+//                                  true y devuelve cuántos (retención y borrado)
+//   iterate(collection)         -> iterador asíncrono de los registros, sin
+//                                  cargarlos todos en memoria (exportaciones)
+//   readMeta() / writeMeta(obj) -> documento pequeño con metadatos (contadores
+//                                  de sesiones archivadas, zonas, reglas de
+//                                  alerta, etc.)
+//   compact()                   -> elimina las copias antiguas de las sesiones
+//                                  para que no quede rastro de las borradas
+//                                  (en segundo plano; devuelve una promesa)
+//
+// - memory: todo en memoria, se pierde al reiniciar (útil para pruebas)
+// - file:   append-only en ficheros JSON-lines dentro de dataDir
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const COLLECTIONS = ['detections', 'interactions', 'zoneEvents', 'alerts', 'alertDeliveries'];
+const SESSION_DATE_FIELDS = ['startTime', 'endTime', 'lastActivity'];
+
+// Las sesiones modificadas se escriben juntas como mucho una vez cada
+// SESSION_FLUSH_MS, no en cada detección o interacción
+const SESSION_FLUSH_MS = 1000;
+
+// sessions.jsonl se compacta cuando tiene más del doble de líneas que
+// sesiones, y nunca por debajo de este mínimo (para no reescribirlo
+// entero cada pocas escrituras con pocas sesiones)
+const COMPACT_MIN_LINES = 1000;
+
+function assertCollection(collection) {
+  if (!COLLECTIONS.includes(collection)) {
+    throw new Error(`Colección desconocida: ${collection}`);
+  }
+}
+
+// Las fechas se serializan como ISO strings; al leerlas se vuelven a convertir
+function reviveSession(session) {
+  SESSION_DATE_FIELDS.forEach(field => {
+    if (session[field]) session[field] = new Date(session[field]);
+  });
+  return session;
+}
+
+// Lee un fichero JSON-lines ignorando líneas vacías o corruptas
+function readJsonLines(file) {
+  if (!fs.existsSync(file)) return [];
+
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .reduce((records, line) => {
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        console.warn('⚠️ Línea corrupta ignorada en', path.basename(file));
+      }
+      return records;
+    }, []);
+}
+
+// Versión en streaming de readJsonLines: lee el fichero línea a línea
+async function* iterateJsonLines(file) {
+  if (!fs.existsSync(file)) return;
+
+  const lines = readline.createInterface({
+    input: fs.createReadStream(file, { encoding: 'utf8' }),
+    crlfDelay: Infinity
+  });
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      yield JSON.parse(line);
+    } catch (error) {
+      console.warn('⚠️ Línea corrupta ignorada en', path.basename(file));
+    }
+  }
+}
+
+// ==========================================
+// BACKEND EN MEMORIA
+// ==========================================
+function createMemoryStore() {
+  const sessions = new Map();
+  const collections = { detections: [], interactions: [], zoneEvents: [], alerts: [], alertDeliveries: [] };
+  let meta = {};
+
+  return {
+    backend: 'memory',
+
+    saveSession(session) {
+      sessions.set(session.sessionId, session);
+    },
+
+    getSession(sessionId) {
+      return sessions.get(sessionId) || null;
+    },
+
+    listSessions() {
+      return Array.from(sessions.values());
+    },
+
+    deleteSession(sessionId) {
+      return sessions.delete(sessionId);
+    },
+
+    append(collection, record) {
+      assertCollection(collection);
+      collections[collection].push(record);
+    },
+
+    readAll(collection) {
+      assertCollection(collection);
+      return collections[collection].slice();
+    },
+
+    async* iterate(collection) {
+      assertCollection(collection);
+      yield* collections[collection].slice();
+    },
+
+    removeWhere(collection, predicate) {
+      assertCollection(collection);
+      const before = collections[collection].length;
+      collections[collection] = collections[collection].filter(record => !predicate(record));
+      return before - collections[collection].length;
+    },
+
+    compact() {
+      return Promise.resolve();
+    },
+
+    readMeta() {
+      return JSON.parse(JSON.stringify(meta));
+    },
+
+    writeMeta(value) {
+      meta = JSON.parse(JSON.stringify(value));
+    }
+  };
+}
+
+// ==========================================
+// BACKEND EN FICHEROS (JSON-LINES)
+// ==========================================
+// sessions.jsonl guarda instantáneas de las sesiones; al cargar gana la
+// última de cada una. Las sesiones eliminadas se marcan con una línea
+// { sessionId, deleted: true }. saveSession() no escribe en el acto: las
+// sesiones modificadas se acumulan y se añade una línea por sesión como
+// mucho cada SESSION_FLUSH_MS, de modo que el fichero crece con las
+// escrituras y no con cada evento. Las sesiones cerradas (endTime) y las
+// eliminadas se escriben de inmediato, y las pendientes al terminar el
+// proceso.
+//
+// Cuando el fichero acumula demasiadas líneas antiguas se compacta de forma
+// asíncrona: se escribe un temporal con la última de cada sesión y se
+// renombra. Mientras tanto las escrituras pendientes esperan.
+function createFileStore({ dataDir }) {
+  fs.mkdirSync(dataDir, { recursive: true });
+
+  const sessionsFile = path.join(dataDir, 'sessions.jsonl');
+  const metaFile = path.join(dataDir, 'meta.json');
+  const collectionFile = collection => path.join(dataDir, `${collection}.jsonl`);
+
+  const sessions = new Map();
+  const snapshots = readJsonLines(sessionsFile);
+  snapshots.forEach(snapshot => {
+    if (snapshot.deleted) {
+      sessions.delete(snapshot.sessionId);
+    } else {
+      sessions.set(snapshot.sessionId, reviveSession(snapshot));
+    }
+  });
+
+  const pending = new Map();                  // sessionId -> línea por escribir
+  let lines = snapshots.length;               // líneas de sessions.jsonl
+  let flushTimer = null;
+  let compacting = null;                      // promesa de la compactación en curso
+  let queued = null;                          // compactación pedida durante otra
+
+  function serialize(entries) {
+    return entries.map(entry => JSON.stringify(entry) + '\n').join('');
+  }
+
+  function needsCompaction() {
+    return lines > Math.max(COMPACT_MIN_LINES, sessions.size * 2);
+  }
+
+  // Añade las líneas pendientes. Durante una compactación esperan a que
+  // termine, salvo al salir del proceso (force)
+  function flush({ force = false } = {}) {
+    if (flushTimer) clearTimeout(flushTimer);
+    flushTimer = null;
+    if (pending.size === 0 || (compacting && !force)) return;
+
+    const chunk = serialize(Array.from(pending.values()));
+    lines += pending.size;
+    pending.clear();
+    fs.appendFileSync(sessionsFile, chunk);
+
+    if (!force && needsCompaction()) compact();
+  }
+
+  function schedule(line, { immediate = false } = {}) {
+    pending.set(line.sessionId, line);
+    if (immediate) {
+      flush();
+    } else if (!flushTimer) {
+      flushTimer = setTimeout(flush, SESSION_FLUSH_MS);
+      // No mantener vivo el proceso solo por el temporizador
+      if (flushTimer.unref) flushTimer.unref();
+    }
+  }
+
+  // Reescribe un fichero JSON-lines completo, como writeMeta
+  function rewrite(file, lines) {
+    const tmpFile = `${file}.tmp`;
+    fs.writeFileSync(tmpFile, serialize(lines));
+    fs.renameSync(tmpFile, file);
+  }
+
+  // Devuelve una promesa que se resuelve al terminar. Si ya hay una
+  // compactación en curso se hace otra después: la actual puede haber
+  // leído sesiones que se acaban de borrar
+  function compact() {
+    if (compacting) {
+      if (!queued) {
+        queued = compacting.then(() => {
+          queued = null;
+          return compact();
+        });
+      }
+      return queued;
+    }
+
+    // La instantánea incluye lo pendiente; si falla se vuelve a encolar
+    const written = new Map(pending);
+    pending.clear();
+    const current = Array.from(sessions.values());
+    const tmpFile = `${sessionsFile}.tmp`;
+
+    compacting = fs.promises.writeFile(tmpFile, serialize(current))
+      .then(() => fs.promises.rename(tmpFile, sessionsFile))
+      .then(() => {
+        lines = current.length;
+      })
+      .catch(error => {
+        console.error('❌ Error compactando sessions.jsonl:', error.message);
+        written.forEach((line, sessionId) => {
+          if (!pending.has(sessionId)) pending.set(sessionId, line);
+        });
+      })
+      .finally(() => {
+        compacting = null;
+        flush();
+      });
+    return compacting;
+  }
+
+  // Al terminar se escribe lo pendiente. Con SIGINT/SIGTERM 'exit' no se
+  // emite: se escribe y se vuelve a enviar la señal para salir como siempre
+  process.on('exit', () => flush({ force: true }));
+  ['SIGINT', 'SIGTERM'].forEach(signal => {
+    process.once(signal, () => {
+      flush({ force: true });
+      process.kill(process.pid, signal);
+    });
+  });
+
+  if (snapshots.length > sessions.size * 2) {
+    compact().then(() => {
+      console.log(`🗜️ sessions.jsonl compactado: ${snapshots.length} → ${sessions.size} líneas`);
+    });
+  }
+
+  return {
+    backend: 'file',
+    dataDir,
+
+    saveSession(session) {
+      sessions.set(session.sessionId, session);
+      schedule(session, { immediate: Boolean(session.endTime) });
+    },
+
+    getSession(sessionId) {
+      return sessions.get(sessionId) || null;
+    },
+
+    listSessions() {
+      return Array.from(sessions.values());
+    },
+
+    deleteSession(sessionId) {
+      if (!sessions.delete(sessionId)) return false;
+      schedule({ sessionId, deleted: true }, { immediate: true });
+      return true;
+    },
+
+    append(collection, record) {
+      assertCollection(collection);
+      fs.appendFileSync(collectionFile(collection), JSON.stringify(record) + '\n');
+    },
+
+    readAll(collection) {
+      assertCollection(collection);
+      return readJsonLines(collectionFile(collection));
+    },
+
+    iterate(collection) {
+      assertCollection(collection);
+      return iterateJsonLines(collectionFile(collection));
+    },
+
+    // Reescribe el fichero solo si hay algo que borrar
+    removeWhere(collection, predicate) {
+      assertCollection(collection);
+      const records = readJsonLines(collectionFile(collection));
+      const kept = records.filter(record => !predicate(record));
+      if (kept.length !== records.length) rewrite(collectionFile(collection), kept);
+      return records.length - kept.length;
+    },
+
+    compact,
+
+    readMeta() {
+      if (!fs.existsSync(metaFile)) return {};
+      try {
+        return JSON.parse(fs.readFileSync(metaFile, 'utf8'));
+      } catch (error) {
+        console.warn('⚠️ meta.json corrupto, se ignora');
+        return {};
+      }
+    },
+
+    // Se escribe a un temporal y se renombra para no dejar el fichero a medias
+    writeMeta(value) {
+      const tmpFile = `${metaFile}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify(value, null, 2));
+      fs.renameSync(tmpFile, metaFile);
+    }
+  };
+}
+
+// ==========================================
+// FACTORÍA
+// ==========================================
+function createStore({ backend = 'file', dataDir } = {}) {
+  switch (backend) {
+    case 'memory':
+      return createMemoryStore();
+    case 'file':
+      return createFileStore({ dataDir });
+    default:
+      throw new Error(`Backend de almacenamiento desconocido: ${backend}`);
+  }
+}
+
+module.exports = {
+  createStore,
+  createMemoryStore,
+  createFileStore
+};
@@ -0,0 +1,142 @@
+// ==========================================
+// VISION AI PRO - STREAMING DE EVENTOS (SSE)
+// ==========================================
+// /api/stream mantiene abiertas conexiones Server-Sent Events y empuja:
+//
+//   event: snapshot  totales al conectar
+//   event: stats     { totals, deltas, uptime } cuando cambian los contadores
+//   event: session   { type: 'start'|'end'|'evicted'|'erased', ...datos del log }
+//   event: log       cada entrada nueva del log ({ ts, event, data })
+//
+// Los contadores se comparan cada tickMs y solo se envían si algo cambió.
+// Un comentario periódico (heartbeat) evita que los proxies corten la
+// conexión por inactividad.
+//
+// En Vercel las funciones tienen duración máxima y cada instancia solo ve
+// sus propios eventos: los clientes se reconectan y, si no pueden, vuelven
+// al sondeo periódico.
+
+const { errors, sendError } = require('./errors');
+const { EVENTS } = require('./logger');
+
+// Si un cliente no consume lo que se le envía, se le desconecta
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+
+const SESSION_EVENTS = {
+  [EVENTS.SESSION_START]: 'start',
+  [EVENTS.SESSION_END]: 'end',
+  [EVENTS.SESSION_EVICTED]: 'evicted',
+  [EVENTS.SESSION_ERASED]: 'erased'
+};
+
+function createStreamHub({ logger, readTotals, tickMs = 1000, heartbeatMs = 25000, maxClients = 50 }) {
+  const clients = new Set();
+  let nextEventId = 1;
+  let lastTotals = null;
+  let tickTimer = null;
+  let heartbeatTimer = null;
+  let unsubscribe = null;
+
+  function format(event, data) {
+    return `id: ${nextEventId++}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+  }
+
+  function write(client, chunk) {
+    if (client.writableLength > MAX_BUFFERED_BYTES) {
+      client.end();
+      return;
+    }
+    client.write(chunk);
+  }
+
+  function broadcast(event, data) {
+    if (clients.size === 0) return;
+    const chunk = format(event, data);
+    clients.forEach(client => write(client, chunk));
+  }
+
+  function uptime() {
+    return Math.round(process.uptime());
+  }
+
+  function tick() {
+    const totals = readTotals();
+    const deltas = {};
+
+    Object.keys(totals).forEach(key => {
+      const delta = totals[key] - (lastTotals ? lastTotals[key] || 0 : 0);
+      if (delta !== 0) deltas[key] = delta;
+    });
+    lastTotals = totals;
+
+    if (Object.keys(deltas).length > 0) {
+      broadcast('stats', { totals, deltas, uptime: uptime() });
+    }
+  }
+
+  function onLogEntry(entry) {
+    const sessionEvent = SESSION_EVENTS[entry.event];
+    if (sessionEvent) {
+      broadcast('session', { type: sessionEvent, ts: entry.ts, ...entry.data });
+    }
+    broadcast('log', entry);
+  }
+
+  // Los temporizadores y la suscripción al log solo existen mientras hay
+  // clientes conectados
+  function start() {
+    lastTotals = readTotals();
+    unsubscribe = logger.subscribe(onLogEntry);
+    tickTimer = setInterval(tick, tickMs);
+    heartbeatTimer = setInterval(() => {
+      clients.forEach(client => write(client, ': heartbeat\n\n'));
+    }, heartbeatMs);
+    tickTimer.unref();
+    heartbeatTimer.unref();
+  }
+
+  function stop() {
+    clearInterval(tickTimer);
+    clearInterval(heartbeatTimer);
+    unsubscribe();
+    tickTimer = null;
+    heartbeatTimer = null;
+    unsubscribe = null;
+  }
+
+  // Handler de Express para GET /api/stream
+  function handler(req, res) {
+    if (clients.size >= maxClients) {
+      return sendError(res, errors.tooManyStreams(maxClients));
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    if (clients.size === 0) start();
+    clients.add(res);
+
+    // Reintento sugerido al navegador y estado inicial
+    res.write(`retry: ${tickMs * 3}\n\n`);
+    res.write(format('snapshot', { totals: readTotals(), uptime: uptime() }));
+
+    req.on('close', () => {
+      clients.delete(res);
+      if (clients.size === 0 && tickTimer) stop();
+    });
+  }
+
+  return {
+    handler,
+    clientCount: () => clients.size
+  };
+}
+
+module.exports = {
+  createStreamHub
+};
@@ -0,0 +1,235 @@
+// ==========================================
+// VISION AI PRO - REGISTRO DE TELEMETRÍA
+// ==========================================
+// Lógica común para registrar detecciones, interacciones y cierres de
+// sesión. La usan tanto las rutas individuales (/api/detection/record...)
+// como el endpoint por lotes (/api/telemetry/batch). Cada frame de
+// detecciones se evalúa además contra las reglas de alerta.
+//
+// Las funciones modifican la sesión en memoria pero NO la guardan: quien
+// las llama hace store.saveSession(session) una sola vez al terminar, para
+// no escribir una instantánea por cada evento de un lote.
+
+const { EVENTS } = require('./logger');
+const { normalizeDetections } = require('./classStats');
+const { MODEL_FIELDS, PERFORMANCE_FIELDS, PIPELINE_STAGES, FILTER_WIDGETS } = require('./schemas');
+
+// Clases que cuentan como personas en faceCount: 'face' es la de BlazeFace
+const PERSON_CLASSES = ['person', 'face'];
+
+// Cambios de filtro que se guardan en la propia sesión (los más recientes)
+const MAX_FILTER_HISTORY = 200;
+
+// Con seguimiento en el cliente (detecciones con trackId) cada objeto cuenta
+// una sola vez por sesión, no una vez por frame. Los trackId solo son únicos
+// dentro de su tracker (trackerId, uno por página), así que se recuerdan los
+// pares (trackerId, trackId) ya contados de cada sesión. Las detecciones sin
+// trackId (clientes antiguos, /api/detect, objetos aún sin confirmar) se
+// cuentan siempre
+function createTrackCounter() {
+  const seen = new Map();                     // sessionId -> Set('trackerId:trackId')
+
+  function count(sessionId, detections, trackerId) {
+    if (!seen.has(sessionId)) seen.set(sessionId, new Set());
+    const tracks = seen.get(sessionId);
+
+    return detections.filter(d => {
+      if (!d.trackId) return true;
+      const key = `${trackerId || ''}:${d.trackId}`;
+      if (tracks.has(key)) return false;
+      tracks.add(key);
+      return true;
+    });
+  }
+
+  function forgetSession(sessionId) {
+    seen.delete(sessionId);
+  }
+
+  return {
+    count,
+    forgetSession
+  };
+}
+
+function createTelemetry({ store, stats, classStats, activity, latencyStats, alerts, tracks, logger, metrics }) {
+  // Registra un frame de detecciones. Si llegan las detecciones
+  // individuales, los conteos se derivan de ellas; si no, se usan
+  // faceCount/objectCount (clientes antiguos)
+  function recordDetection(session, payload, { receivedAt = new Date(), log = true } = {}) {
+    const {
+      faceCount = 0,
+      objectCount = 0,
+      confidenceLevel,
+      detectionType,
+      detections: rawDetections,
+      trackerId,
+      timestamp
+    } = payload;
+
+    const detections = normalizeDetections(rawDetections);
+    const hasDetections = Array.isArray(rawDetections);
+    const counted = tracks.count(session.sessionId, detections, trackerId);
+
+    const faces = hasDetections
+      ? counted.filter(d => PERSON_CLASSES.includes(d.class)).length
+      : parseInt(faceCount) || 0;
+    const objects = hasDetections
+      ? counted.length - faces
+      : parseInt(objectCount) || 0;
+
+    session.faceDetections += faces;
+    session.objectDetections += objects;
+    session.classCounts = session.classCounts || {};
+    counted.forEach(d => {
+      session.classCounts[d.class] = (session.classCounts[d.class] || 0) + 1;
+    });
+    session.lastActivity = receivedAt;
+
+    const record = {
+      sessionId: session.sessionId,
+      faceCount: faces,
+      objectCount: objects,
+      confidenceLevel: parseFloat(confidenceLevel) || 0,
+      detectionType: detectionType || null,
+      detections,
+      trackerId: trackerId || null,
+      clientTimestamp: timestamp || null,
+      receivedAt: receivedAt.toISOString()
+    };
+    // Poses, caras, clasificaciones... solo si el modelo las envía; backend,
+    // escala de entrada y tiempos por etapa solo si el navegador los mide
+    [...MODEL_FIELDS, ...PERFORMANCE_FIELDS].forEach(field => {
+      if (payload[field] !== undefined) record[field] = payload[field];
+    });
+    store.append('detections', record);
+
+    classStats.record({ detections: counted, detectionType });
+    activity.recordDetection(record);
+    latencyStats.record(record);
+
+    // Las reglas miran el frame completo, no solo los objetos nuevos
+    alerts.evaluate(session, {
+      detections: hasDetections ? detections : null,
+      faceCount,
+      objectCount,
+      confidenceLevel
+    }, { receivedAt, clientTimestamp: timestamp });
+
+    stats.totalFaceDetections += faces;
+    stats.totalDetections += faces + objects;
+    stats.lastUpdated = receivedAt;
+
+    // Sin detecciones individuales (clientes antiguos) solo se conoce la
+    // clase de las personas
+    const model = detectionType || 'unknown';
+    metrics.detectionFrames.inc({ model });
+    if (hasDetections) {
+      counted.forEach(d => metrics.detections.inc({ class: d.class, model }));
+    } else {
+      if (faces > 0) metrics.detections.inc({ class: 'person', model }, faces);
+      if (objects > 0) metrics.detections.inc({ class: 'unknown', model }, objects);
+    }
+    if (record.timings) {
+      const backend = record.backend || 'unknown';
+      PIPELINE_STAGES
+        .filter(stage => Number.isFinite(record.timings[stage]))
+        .forEach(stage => metrics.clientStageDuration.observe({ stage, backend }, record.timings[stage] / 1000));
+    }
+
+    if (log) {
+      logger.log(EVENTS.DETECTION_RECORDED, {
+        sessionId: session.sessionId,
+        faceCount: faces,
+        objectCount: objects,
+        classes: Array.from(new Set(detections.map(d => d.class))),
+        detectionType: detectionType || null
+      });
+    }
+
+    return { faces, objects, detections: counted };
+  }
+
+  function recordInteraction(session, payload, { receivedAt = new Date() } = {}) {
+    const { widgetName, action, value, timestamp } = payload;
+
+    session.interactions++;
+    session.lastActivity = receivedAt;
+
+    if (widgetName === 'filterSelect' && value && !session.filters.includes(value)) {
+      session.filters.push(value);
+    }
+
+    // El historial de filtros va en la sesión para que el detalle no tenga
+    // que recorrer todas las interacciones
+    if (FILTER_WIDGETS.includes(widgetName)) {
+      session.filterHistory = session.filterHistory || [];
+      session.filterHistory.push({
+        widgetName,
+        value: value === undefined ? null : value,
+        action: action || null,
+        timestamp: timestamp || receivedAt.toISOString()
+      });
+      if (session.filterHistory.length > MAX_FILTER_HISTORY) session.filterHistory.shift();
+    }
+
+    const record = {
+      sessionId: session.sessionId,
+      widgetName: widgetName || null,
+      action: action || null,
+      value: value === undefined ? null : value,
+      clientTimestamp: timestamp || null,
+      receivedAt: receivedAt.toISOString()
+    };
+    store.append('interactions', record);
+    activity.recordInteraction(record);
+
+    stats.totalInteractions++;
+    stats.lastUpdated = receivedAt;
+    metrics.interactions.inc({ widget: widgetName, action });
+
+    logger.log(EVENTS.INTERACTION_RECORDED, {
+      sessionId: session.sessionId,
+      widgetName: widgetName || null,
+      action: action || null,
+      value: value === undefined ? null : value
+    });
+  }
+
+  // Cierra la sesión. Es idempotente: si ya estaba cerrada no hace nada y
+  // devuelve false (sendBeacon y el cierre explícito pueden llegar ambos)
+  function endSession(session, { reason = 'client', endedAt = new Date() } = {}) {
+    if (session.endTime) return false;
+
+    session.endTime = endedAt;
+    session.endReason = reason;
+    session.duration = Math.round((session.endTime - session.startTime) / 1000);
+    session.lastActivity = endedAt;
+    stats.lastUpdated = endedAt;
+    metrics.sessionsEnded.inc({ reason });
+    alerts.forgetSession(session.sessionId);
+    tracks.forgetSession(session.sessionId);
+
+    logger.log(EVENTS.SESSION_END, {
+      sessionId: session.sessionId,
+      reason,
+      duration: session.duration,
+      faceDetections: session.faceDetections,
+      objectDetections: session.objectDetections,
+      interactions: session.interactions
+    });
+
+    return true;
+  }
+
+  return {
+    recordDetection,
+    recordInteraction,
+    endSession
+  };
+}
+
+module.exports = {
+  createTelemetry,
+  createTrackCounter
+};
@@ -0,0 +1,188 @@
+// ==========================================
+// VISION AI PRO - SERIES TEMPORALES
+// ==========================================
+// Agrupa detecciones, personas, interacciones y sesiones activas en
+// intervalos de tiempo fijos (1m, 1h, 1d) alineados a UTC.
+//
+// Cada registro se coloca según el timestamp que envía el cliente; si no
+// existe, no es válido o se aleja demasiado de la hora de recepción, se
+// usa la hora a la que llegó al servidor.
+//
+// Detecciones, personas e interacciones se acumulan al registrarse en
+// contadores por minuto (createActivityCounters), de modo que una consulta
+// no relee el almacenamiento; los intervalos de 1h y 1d suman minutos.
+
+const { invalidParam } = require('./validation');
+
+const BUCKETS = {
+  '1m': 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+// Ventana por defecto cuando no se indica 'from'
+const DEFAULT_WINDOW_BUCKETS = {
+  '1m': 60,
+  '1h': 24,
+  '1d': 30
+};
+
+const METRICS = ['detections', 'people', 'interactions', 'activeSessions'];
+const COUNTER_MS = BUCKETS['1m'];
+const MAX_POINTS = 1500;
+const MAX_CLOCK_SKEW_MS = 24 * 60 * 60 * 1000;
+
+// Momento al que pertenece un registro de telemetría
+function recordTime(record) {
+  const received = new Date(record.receivedAt).getTime();
+  const client = new Date(record.clientTimestamp).getTime();
+
+  if (Number.isFinite(client) && (!Number.isFinite(received) || Math.abs(client - received) <= MAX_CLOCK_SKEW_MS)) {
+    return client;
+  }
+  return received;
+}
+
+// Acepta ISO 8601 o milisegundos desde epoch
+function parseTime(value) {
+  if (value === undefined || value === '') return undefined;
+  const time = /^\d+$/.test(String(value)) ? Number(value) : new Date(value).getTime();
+  return Number.isFinite(time) ? time : null;
+}
+
+// Valida y normaliza los parámetros de la query. Devuelve { error } o la
+// consulta lista para buildTimeseries
+function parseQuery(query, now = Date.now()) {
+  const bucket = query.bucket || '1h';
+  if (!BUCKETS[bucket]) {
+    return invalidParam('bucket', `Debe ser uno de: ${Object.keys(BUCKETS).join(', ')}`);
+  }
+
+  const metrics = query.metric
+    ? String(query.metric).split(',').map(m => m.trim()).filter(Boolean)
+    : METRICS;
+  const unknown = metrics.filter(m => !METRICS.includes(m));
+  if (unknown.length > 0) {
+    return invalidParam('metric', `Métrica desconocida: ${unknown.join(', ')}. Válidas: ${METRICS.join(', ')}`);
+  }
+
+  const bucketMs = BUCKETS[bucket];
+  const to = parseTime(query.to);
+  const from = parseTime(query.from);
+  if (from === null) return invalidParam('from', 'Debe ser una fecha ISO 8601 o milisegundos');
+  if (to === null) return invalidParam('to', 'Debe ser una fecha ISO 8601 o milisegundos');
+
+  const end = to === undefined ? now : to;
+  const start = from === undefined ? end - bucketMs * DEFAULT_WINDOW_BUCKETS[bucket] : from;
+  if (start >= end) {
+    return invalidParam('from', 'Debe ser anterior a to');
+  }
+
+  if ((end - start) / bucketMs > MAX_POINTS) {
+    return invalidParam('bucket', `El rango pedido supera ${MAX_POINTS} intervalos; usa un bucket mayor`);
+  }
+
+  return { bucket, metrics, from: start, to: end };
+}
+
+// Contadores por minuto UTC: minuto -> { detections, people, interactions }
+function createActivityCounters() {
+  const minutes = new Map();
+
+  function counterFor(record) {
+    const time = recordTime(record);
+    if (!Number.isFinite(time)) return null;
+
+    const minute = Math.floor(time / COUNTER_MS) * COUNTER_MS;
+    if (!minutes.has(minute)) minutes.set(minute, { detections: 0, people: 0, interactions: 0 });
+    return minutes.get(minute);
+  }
+
+  function recordDetection(record) {
+    const counter = counterFor(record);
+    if (!counter) return;
+    counter.detections += (record.faceCount || 0) + (record.objectCount || 0);
+    counter.people += record.faceCount || 0;
+  }
+
+  function recordInteraction(record) {
+    const counter = counterFor(record);
+    if (counter) counter.interactions++;
+  }
+
+  // Vacía los contadores para recalcularlos (tras borrar registros)
+  function reset() {
+    minutes.clear();
+  }
+
+  // Minutos que solapan [from, to)
+  function* range(from, to) {
+    for (const [minute, counter] of minutes) {
+      if (minute + COUNTER_MS > from && minute < to) yield [minute, counter];
+    }
+  }
+
+  return {
+    recordDetection,
+    recordInteraction,
+    reset,
+    range
+  };
+}
+
+function buildTimeseries({ bucket, metrics, from, to }, { counters, sessions = [] }) {
+  const bucketMs = BUCKETS[bucket];
+  const firstBucket = Math.floor(from / bucketMs) * bucketMs;
+  const points = [];
+  const index = new Map();
+
+  for (let t = firstBucket; t < to; t += bucketMs) {
+    const point = { t: new Date(t).toISOString() };
+    metrics.forEach(metric => { point[metric] = 0; });
+    index.set(t, point);
+    points.push(point);
+  }
+
+  for (const [minute, counter] of counters.range(from, to)) {
+    const point = index.get(Math.floor(minute / bucketMs) * bucketMs);
+    if (!point) continue;
+
+    if ('detections' in point) point.detections += counter.detections;
+    if ('people' in point) point.people += counter.people;
+    if ('interactions' in point) point.interactions += counter.interactions;
+  }
+
+  // Una sesión cuenta como activa en todos los intervalos que solapa, desde
+  // su inicio hasta su fin (o su última actividad si sigue abierta)
+  if (metrics.includes('activeSessions')) {
+    sessions.forEach(session => {
+      const start = new Date(session.startTime).getTime();
+      const end = new Date(session.endTime || session.lastActivity || session.startTime).getTime();
+      if (!Number.isFinite(start) || !Number.isFinite(end)) return;
+
+      const first = Math.max(firstBucket, Math.floor(start / bucketMs) * bucketMs);
+      for (let t = first; t <= end && t < to; t += bucketMs) {
+        const point = index.get(t);
+        if (point) point.activeSessions++;
+      }
+    });
+  }
+
+  return {
+    bucket,
+    metrics,
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    points
+  };
+}
+
+module.exports = {
+  BUCKETS,
+  METRICS,
+  recordTime,
+  parseTime,
+  parseQuery,
+  createActivityCounters,
+  buildTimeseries
+};
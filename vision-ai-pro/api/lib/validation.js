@@ -0,0 +1,176 @@
+// ==========================================
+// VISION AI PRO - VALIDACIÓN DE ESQUEMAS
+// ==========================================
+// Validador mínimo para un subconjunto de JSON Schema, suficiente para los
+// cuerpos de la API y reutilizable tal cual en la especificación OpenAPI:
+//
+//   type (string, number, integer, boolean, array, object, null o lista),
+//   properties, required, additionalProperties: false, default, enum,
+//   minimum, maximum, minLength, maxLength, pattern, format: 'date-time',
+//   items, minItems, maxItems, oneOf + discriminator.propertyName
+//
+// Cada error indica el campo con su ruta (p. ej. 'events[3].detections[0].score')
+// y un código estable igual al nombre de la regla que falló.
+
+const { errors, sendError } = require('./errors');
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function fieldPath(parent, key) {
+  if (typeof key === 'number') return `${parent}[${key}]`;
+  return parent ? `${parent}.${key}` : key;
+}
+
+function validateValue(schema, value, field, errorList) {
+  const fail = (code, message) => {
+    errorList.push({ field: field || '(body)', code, message });
+    return value;
+  };
+
+  // oneOf con discriminador: se elige el esquema según el valor del campo
+  if (schema.oneOf && schema.discriminator) {
+    const property = schema.discriminator.propertyName;
+    if (typeOf(value) !== 'object') return fail('type', 'Debe ser un objeto');
+
+    const selected = schema.oneOf.find(option =>
+      option.properties[property].enum.includes(value[property]));
+    if (!selected) {
+      const allowed = schema.oneOf.map(option => option.properties[property].enum[0]);
+      errorList.push({
+        field: fieldPath(field, property),
+        code: 'enum',
+        message: `Debe ser uno de: ${allowed.join(', ')}`
+      });
+      return value;
+    }
+    return validateValue(selected, value, field, errorList);
+  }
+
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  if (schema.type && !types.some(type => matchesType(value, type))) {
+    return fail('type', `Debe ser de tipo ${types.join(' o ')}`);
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return fail('enum', `Debe ser uno de: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      return fail('minimum', `Debe ser mayor o igual que ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      return fail('maximum', `Debe ser menor o igual que ${schema.maximum}`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      return fail('minLength', `Debe tener al menos ${schema.minLength} caracteres`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      return fail('maxLength', `Debe tener como máximo ${schema.maxLength} caracteres`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      return fail('pattern', 'Formato no válido');
+    }
+    if (schema.format === 'date-time' && !Number.isFinite(Date.parse(value))) {
+      return fail('format', 'Debe ser una fecha ISO 8601');
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      return fail('minItems', `Debe tener al menos ${schema.minItems} elementos`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      return fail('maxItems', `Debe tener como máximo ${schema.maxItems} elementos`);
+    }
+    if (schema.items) {
+      return value.map((item, i) => validateValue(schema.items, item, fieldPath(field, i), errorList));
+    }
+  }
+
+  if (typeOf(value) === 'object' && schema.properties) {
+    const result = {};
+
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errorList.push({ field: fieldPath(field, key), code: 'required', message: 'Campo requerido' });
+      }
+    });
+
+    Object.keys(value).forEach(key => {
+      if (!schema.properties[key]) {
+        if (schema.additionalProperties === false) {
+          errorList.push({ field: fieldPath(field, key), code: 'additionalProperties', message: 'Campo no permitido' });
+        } else {
+          result[key] = value[key];
+        }
+      }
+    });
+
+    Object.entries(schema.properties).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) {
+        result[key] = validateValue(propertySchema, value[key], fieldPath(field, key), errorList);
+      } else if (propertySchema.default !== undefined) {
+        result[key] = JSON.parse(JSON.stringify(propertySchema.default));
+      }
+    });
+
+    return result;
+  }
+
+  return value;
+}
+
+// Detalle de error para parámetros de query validados a mano; las funciones
+// parseQuery lo devuelven como { error } y la ruta lo pasa a errors.validation()
+function invalidParam(field, message) {
+  return { error: { field, code: 'invalid', message } };
+}
+
+// Devuelve { value, errors }: value lleva aplicados los valores por defecto
+// y sin campos desconocidos
+function validate(schema, value) {
+  const errorList = [];
+  const result = validateValue(schema, value, '', errorList);
+  return { value: result, errors: errorList };
+}
+
+// Middleware: valida req.body contra el esquema y lo sustituye por el valor
+// normalizado. Solo acepta los Content-Type indicados (JSON por defecto); sin
+// cuerpo se valida como objeto vacío.
+function validateBody(schema, { contentTypes = ['application/json'] } = {}) {
+  return (req, res, next) => {
+    if (req.is(contentTypes) === false) {
+      return sendError(res, errors.unsupportedMediaType(contentTypes));
+    }
+
+    const body = req.body === undefined ? {} : req.body;
+    const { value, errors: errorList } = validate(schema, body);
+    if (errorList.length > 0) {
+      return sendError(res, errors.validation(errorList));
+    }
+
+    req.body = value;
+    next();
+  };
+}
+
+module.exports = {
+  validate,
+  validateBody,
+  invalidParam
+};
@@ -0,0 +1,131 @@
+// ==========================================
+// VISION AI PRO - ARCHIVOS ZIP
+// ==========================================
+// Escritor mínimo de ZIP (APPNOTE de PKWARE) para exportar el dataset sin
+// dependencias. Cada entrada se escribe en cuanto se añade, así que el
+// archivo nunca está entero en memoria; el directorio central se escribe
+// al terminar.
+//
+// - Los nombres van en UTF-8 (bit 11 de los flags)
+// - compress: true usa deflate si ocupa menos que el original; las
+//   imágenes ya vienen comprimidas y se guardan tal cual
+// - Sin ZIP64: hasta 65535 entradas y 4 GB en total
+
+const zlib = require('zlib');
+
+const MAX_ENTRIES = 0xffff;
+const MAX_BYTES = 0xffffffff;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Fecha y hora en formato MS-DOS (hora local, resolución de 2 segundos)
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+// send(chunk) escribe en el destino y devuelve una promesa que se resuelve
+// cuando se puede seguir escribiendo (ver datasetFormats.js)
+function createZipWriter(send) {
+  const entries = [];
+  let offset = 0;
+
+  async function write(chunk) {
+    offset += chunk.length;
+    await send(chunk);
+  }
+
+  async function add(name, data, { compress = false, date = new Date() } = {}) {
+    const content = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
+    const deflated = compress ? zlib.deflateRawSync(content) : null;
+    const useDeflate = deflated !== null && deflated.length < content.length;
+    const stored = useDeflate ? deflated : content;
+
+    if (entries.length >= MAX_ENTRIES || offset + stored.length > MAX_BYTES) {
+      throw new Error('El ZIP supera el máximo sin ZIP64 (65535 ficheros o 4 GB)');
+    }
+
+    const entry = {
+      name: Buffer.from(name, 'utf8'),
+      method: useDeflate ? 8 : 0,
+      crc: crc32(content),
+      compressedSize: stored.length,
+      size: content.length,
+      offset,
+      ...dosDateTime(date)
+    };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4);               // versión necesaria (2.0)
+    header.writeUInt16LE(0x0800, 6);           // nombres en UTF-8
+    header.writeUInt16LE(entry.method, 8);
+    header.writeUInt16LE(entry.time, 10);
+    header.writeUInt16LE(entry.date, 12);
+    header.writeUInt32LE(entry.crc, 14);
+    header.writeUInt32LE(entry.compressedSize, 18);
+    header.writeUInt32LE(entry.size, 22);
+    header.writeUInt16LE(entry.name.length, 26);
+    header.writeUInt16LE(0, 28);               // sin campo extra
+
+    entries.push(entry);
+    await write(Buffer.concat([header, entry.name]));
+    await write(stored);
+  }
+
+  async function finish() {
+    const start = offset;
+
+    for (const entry of entries) {
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(0x02014b50, 0);
+      header.writeUInt16LE(20, 4);             // creado con la versión 2.0
+      header.writeUInt16LE(20, 6);
+      header.writeUInt16LE(0x0800, 8);
+      header.writeUInt16LE(entry.method, 10);
+      header.writeUInt16LE(entry.time, 12);
+      header.writeUInt16LE(entry.date, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.compressedSize, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.name.length, 28);
+      // Campo extra, comentario, disco y atributos internos/externos a 0
+      header.writeUInt32LE(entry.offset, 42);
+      await write(Buffer.concat([header, entry.name]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(offset - start, 12);
+    end.writeUInt32LE(start, 16);
+    await write(end);
+
+    return entries.length;
+  }
+
+  return {
+    add,
+    finish
+  };
+}
+
+module.exports = {
+  crc32,
+  createZipWriter
+};
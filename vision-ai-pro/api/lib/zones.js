@@ -0,0 +1,192 @@
+// ==========================================
+// VISION AI PRO - ZONAS Y LÍNEAS DE CONTEO
+// ==========================================
+// Las zonas se definen una vez por despliegue (/api/zones) y se guardan en
+// meta.zones. El navegador las dibuja sobre el vídeo, sigue los objetos y
+// envía por /api/telemetry/batch un evento { type: 'zone', zoneId, event,
+// class, trackId } cada vez que un objeto entra o sale:
+//
+// - polygon: 'enter' al entrar en el polígono, 'exit' al salir
+// - line:    'enter' al cruzar de izquierda a derecha yendo del primer punto
+//            al segundo, 'exit' en sentido contrario
+//
+// Los eventos se guardan en la colección 'zoneEvents' y los conteos por zona
+// y clase se mantienen en memoria (se reconstruyen al arrancar).
+
+const { EVENTS } = require('./logger');
+const { errors } = require('./errors');
+
+const ZONE_COLORS = ['#f59e0b', '#10b981', '#ef4444', '#a855f7', '#ec4899', '#14b8a6'];
+
+function zoneId() {
+  return `zone_${Date.now().toString(36)}${Math.random().toString(36).substr(2, 6)}`;
+}
+
+// Comprobaciones que dependen del tipo y no caben en el esquema. Devuelve
+// los errores en el formato de validateBody
+function shapeErrors({ type, points }) {
+  if (type === 'line' && points.length !== 2) {
+    return [{ field: 'points', code: 'minItems', message: 'Una línea tiene exactamente 2 puntos' }];
+  }
+  if (type === 'polygon' && points.length < 3) {
+    return [{ field: 'points', code: 'minItems', message: 'Un polígono necesita al menos 3 puntos' }];
+  }
+  return [];
+}
+
+function emptyCounts() {
+  return { entries: 0, exits: 0, byClass: {} };
+}
+
+function createZones({ store, logger, metrics, maxZones = 50 }) {
+  // zoneId -> { entries, exits, byClass: { clase: { entries, exits } } }
+  const counts = new Map();
+
+  // Copia en memoria de meta.zones: get() se consulta con cada cruce y no
+  // debe leer meta.json. Solo este módulo escribe las zonas
+  let cached = null;
+
+  function cachedZones() {
+    if (!cached) cached = store.readMeta().zones || [];
+    return cached;
+  }
+
+  function list() {
+    return cachedZones().slice();
+  }
+
+  function get(id) {
+    return cachedZones().find(zone => zone.id === id) || null;
+  }
+
+  function save(next) {
+    store.writeMeta({ ...store.readMeta(), zones: next });
+    cached = next;
+  }
+
+  function create(definition) {
+    const zones = list();
+    if (zones.length >= maxZones) {
+      throw errors.validation([{ field: '(body)', code: 'maxItems', message: `Máximo de ${maxZones} zonas` }]);
+    }
+
+    const now = new Date().toISOString();
+    const zone = {
+      id: zoneId(),
+      ...definition,
+      color: definition.color || ZONE_COLORS[zones.length % ZONE_COLORS.length],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    save([...zones, zone]);
+    logger.log(EVENTS.ZONE_CHANGED, { action: 'create', zoneId: zone.id, name: zone.name, type: zone.type });
+    return zone;
+  }
+
+  // Sustituye la definición; el id, la fecha de creación y los conteos se
+  // conservan
+  function update(id, definition) {
+    const zones = list();
+    const index = zones.findIndex(zone => zone.id === id);
+    if (index === -1) return null;
+
+    const zone = {
+      id,
+      ...definition,
+      color: definition.color || zones[index].color,
+      createdAt: zones[index].createdAt,
+      updatedAt: new Date().toISOString()
+    };
+    zones[index] = zone;
+
+    save(zones);
+    logger.log(EVENTS.ZONE_CHANGED, { action: 'update', zoneId: id, name: zone.name, type: zone.type });
+    return zone;
+  }
+
+  // Los eventos ya registrados se conservan en 'zoneEvents'
+  function remove(id) {
+    const zones = list();
+    const zone = zones.find(z => z.id === id);
+    if (!zone) return false;
+
+    save(zones.filter(z => z.id !== id));
+    counts.delete(id);
+    logger.log(EVENTS.ZONE_CHANGED, { action: 'delete', zoneId: id, name: zone.name });
+    return true;
+  }
+
+  function count(record) {
+    if (!counts.has(record.zoneId)) counts.set(record.zoneId, emptyCounts());
+
+    const zoneCounts = counts.get(record.zoneId);
+    const classCounts = zoneCounts.byClass[record.class] || { entries: 0, exits: 0 };
+    const field = record.event === 'enter' ? 'entries' : 'exits';
+
+    zoneCounts[field]++;
+    classCounts[field]++;
+    zoneCounts.byClass[record.class] = classCounts;
+  }
+
+  // Registra un evento de cruce. Los de zonas que ya no existen se ignoran
+  // (el navegador puede tener una definición antigua). Como el resto de
+  // telemetry, no guarda la sesión
+  function recordEvent(session, payload, { receivedAt = new Date() } = {}) {
+    if (!get(payload.zoneId)) return false;
+
+    const record = {
+      sessionId: session.sessionId,
+      zoneId: payload.zoneId,
+      event: payload.event,
+      class: payload.class,
+      trackId: payload.trackId || null,
+      clientTimestamp: payload.timestamp || null,
+      receivedAt: receivedAt.toISOString()
+    };
+
+    store.append('zoneEvents', record);
+    count(record);
+    session.lastActivity = receivedAt;
+    metrics.zoneEvents.inc({ zone: payload.zoneId, class: payload.class, event: payload.event });
+    return true;
+  }
+
+  // Conteos por zona para /api/stats. 'net' (entradas - salidas) es la
+  // ocupación estimada si la zona empezó vacía
+  function summary() {
+    return list().map(zone => {
+      const zoneCounts = counts.get(zone.id) || emptyCounts();
+      return {
+        id: zone.id,
+        name: zone.name,
+        type: zone.type,
+        entries: zoneCounts.entries,
+        exits: zoneCounts.exits,
+        net: zoneCounts.entries - zoneCounts.exits,
+        byClass: zoneCounts.byClass
+      };
+    });
+  }
+
+  function rebuild() {
+    counts.clear();
+    store.readAll('zoneEvents').forEach(count);
+  }
+
+  return {
+    list,
+    get,
+    create,
+    update,
+    remove,
+    recordEvent,
+    summary,
+    rebuild
+  };
+}
+
+module.exports = {
+  shapeErrors,
+  createZones
+};
@@ -0,0 +1,345 @@
+// ==========================================
+// VISION AI PRO - WORKER DE INFERENCIA
+// ==========================================
+// Carga TensorFlow.js y los modelos y hace la inferencia fuera del hilo
+// principal, para que el vídeo, los controles y los filtros de la página no
+// se bloqueen mientras el modelo trabaja. La página envía cada frame como
+// ImageBitmap, ya reducido a la resolución de entrada, y recibe el
+// resultado en coordenadas del fotograma completo.
+//
+// Mensajes (cada uno con un id; la respuesta es { id, value } o { id, error }):
+//
+//   init     { registry, backend }      carga TensorFlow.js → backend en uso
+//   backend  { backend }                cambia de backend → backend en uso
+//   load     { model }                  carga un modelo → { skeleton } en MoveNet
+//   infer    { model, image, options }  → { result, inferenceMs, backend }
+//
+// Si el backend pedido no funciona en este navegador se prueba el siguiente
+// de INFERENCE_BACKENDS. Sin Worker u OffscreenCanvas la página carga este
+// mismo fichero con un <script> y usa createInferenceRunners en el hilo
+// principal.
+
+const INFERENCE_BACKENDS = ['webgl', 'wasm', 'cpu'];
+
+// Colores de las partes del cuerpo de BodyPix, en tonos azulados
+const PART_COLORS = [
+    [59, 130, 246, 150],   // Cara - azul
+    [96, 165, 250, 150],   // Torso - azul claro
+    [37, 99, 235, 150],    // Brazos - azul medio
+    [30, 64, 175, 150]     // Piernas - azul oscuro
+];
+
+function createCanvas() {
+    if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(1, 1);
+    return document.createElement('canvas');
+}
+
+function scaleBox([x, y, width, height], { sx, sy }) {
+    return [x * sx, y * sy, width * sx, height * sy];
+}
+
+// Caja [x, y, ancho, alto] que envuelve los keypoints
+function keypointsBox(keypoints) {
+    const xs = keypoints.map(k => k.x);
+    const ys = keypoints.map(k => k.y);
+    const x = Math.min(...xs);
+    const y = Math.min(...ys);
+    return [x, y, Math.max(...xs) - x, Math.max(...ys) - y];
+}
+
+// La máscara y los datos de la segmentación se transfieren, no se copian
+function transferables(value) {
+    const result = value && value.result;
+    if (!result) return [];
+    return [
+        result.mask,
+        result.segmentation && result.segmentation.data.buffer
+    ].filter(Boolean);
+}
+
+// loadLibrary(id) carga una librería del registro (/api/models) y devuelve
+// la URL usada; modelUrl(id) es la de los pesos locales o undefined para
+// usar la de la librería
+function createInferenceRunners({ loadLibrary, modelUrl }) {
+    const loads = new Map();                  // id -> promesa de la carga
+    const models = {};                        // id -> modelo ya cargado
+    const maskCanvas = createCanvas();        // se reutiliza en cada frame
+    const maskCtx = maskCanvas.getContext('2d');
+    let maskImage = null;
+    let wasmReady = null;
+
+    const LOADERS = {
+        'coco-ssd': async () => {
+            await loadLibrary('coco-ssd');
+            return cocoSsd.load({ base: 'lite_mobilenet_v2', modelUrl: modelUrl('coco-ssd') });
+        },
+        bodypix: async () => {
+            await loadLibrary('body-pix');
+            return bodyPix.load({
+                architecture: 'MobileNetV1',
+                outputStride: 16,
+                multiplier: 0.75,
+                quantBytes: 2,
+                modelUrl: modelUrl('body-pix')
+            });
+        },
+        movenet: async () => {
+            await loadLibrary('pose-detection');
+            return poseDetection.createDetector(poseDetection.SupportedModels.MoveNet, {
+                modelType: poseDetection.movenet.modelType.MULTIPOSE_LIGHTNING,
+                modelUrl: modelUrl('movenet')
+            });
+        },
+        blazeface: async () => {
+            await loadLibrary('blazeface');
+            return blazeface.load({ modelUrl: modelUrl('blazeface') });
+        },
+        mobilenet: async () => {
+            await loadLibrary('mobilenet');
+            return mobilenet.load({ version: 2, alpha: 1.0, modelUrl: modelUrl('mobilenet') });
+        }
+    };
+
+    // El backend WebAssembly busca sus .wasm junto al script
+    async function useBackend(name) {
+        if (name === 'wasm') {
+            if (!wasmReady) {
+                wasmReady = loadLibrary('tfjs-backend-wasm')
+                    .then(url => tf.wasm.setWasmPaths(new URL('.', new URL(url, self.location.href)).href))
+                    .catch(error => {
+                        wasmReady = null;
+                        throw error;
+                    });
+            }
+            await wasmReady;
+        }
+        return tf.setBackend(name);
+    }
+
+    async function setBackend(preferred) {
+        const candidates = [preferred, ...INFERENCE_BACKENDS.filter(name => name !== preferred)];
+        for (const name of candidates) {
+            try {
+                if (await useBackend(name)) {
+                    await tf.ready();
+                    return tf.getBackend();
+                }
+            } catch (error) {
+                console.warn(`⚠️ Backend ${name} no disponible:`, error);
+            }
+        }
+        throw new Error('Ningún backend de TensorFlow.js funciona en este navegador');
+    }
+
+    // Cada modelo se carga una sola vez; si falla se puede reintentar
+    function loadModel(id) {
+        if (!loads.has(id)) {
+            loads.set(id, LOADERS[id]()
+                .then(model => {
+                    models[id] = model;
+                })
+                .catch(error => {
+                    loads.delete(id);
+                    throw error;
+                }));
+        }
+        return loads.get(id);
+    }
+
+    async function load(id) {
+        if (id === 'combined') {
+            await Promise.all([loadModel('coco-ssd'), loadModel('bodypix')]);
+            return {};
+        }
+        await loadModel(id);
+
+        // Pares de índices de pose.keypoints que forman el esqueleto
+        if (id === 'movenet') {
+            return { skeleton: poseDetection.util.getAdjacentPairs(poseDetection.SupportedModels.MoveNet) };
+        }
+        return {};
+    }
+
+    // Pinta las partes del cuerpo en el lienzo reutilizado y cuenta los
+    // píxeles de persona en la misma pasada
+    async function paintMask({ width, height, data }) {
+        if (maskCanvas.width !== width || maskCanvas.height !== height) {
+            maskCanvas.width = width;
+            maskCanvas.height = height;
+            maskImage = null;
+        }
+        if (!maskImage) maskImage = maskCtx.createImageData(width, height);
+
+        const pixels = maskImage.data;
+        let personPixels = 0;
+        for (let i = 0; i < data.length; i++) {
+            const idx = i * 4;
+            if (data[i] === -1) {
+                pixels[idx + 3] = 0;
+                continue;
+            }
+            const color = PART_COLORS[data[i] % PART_COLORS.length];
+            pixels[idx] = color[0];
+            pixels[idx + 1] = color[1];
+            pixels[idx + 2] = color[2];
+            pixels[idx + 3] = color[3];
+            personPixels++;
+        }
+        maskCtx.putImageData(maskImage, 0, 0);
+
+        return {
+            mask: await createImageBitmap(maskCanvas),
+            personCoverage: data.length > 0 ? personPixels / data.length : 0
+        };
+    }
+
+    // input es el tensor del frame reducido; scale pasa sus coordenadas a
+    // las del fotograma completo. La segmentación se queda en su tamaño:
+    // quien la usa la escala al lienzo
+    const INFER = {
+        'coco-ssd': async (input, { threshold }, scale) => {
+            const detections = await models['coco-ssd'].detect(input);
+            return {
+                detections: detections
+                    .filter(d => d.score >= threshold)
+                    .map(d => ({ class: d.class, score: d.score, bbox: scaleBox(d.bbox, scale) }))
+            };
+        },
+        bodypix: async input => {
+            const { width, height, data } = await models.bodypix.segmentPersonParts(input, {
+                flipHorizontal: false,
+                internalResolution: 'medium',
+                segmentationThreshold: 0.7
+            });
+            const segmentation = { width, height, data };
+            return { detections: [], segmentation, ...(await paintMask(segmentation)) };
+        },
+        combined: async (input, options, scale) => {
+            const { detections } = await INFER['coco-ssd'](input, options, scale);
+            return { ...(await INFER.bodypix(input, options, scale)), detections };
+        },
+        // Cada pose es también una detección 'person' con la caja de sus
+        // keypoints visibles, para seguirla y contarla en las zonas
+        movenet: async (input, { threshold, keypointMinScore }, scale) => {
+            const poses = (await models.movenet.estimatePoses(input))
+                .map(pose => ({
+                    score: pose.score,
+                    keypoints: pose.keypoints.map(k => ({ name: k.name, score: k.score, x: k.x * scale.sx, y: k.y * scale.sy }))
+                }))
+                .filter(pose => pose.score >= threshold &&
+                    pose.keypoints.filter(k => k.score >= keypointMinScore).length >= 2);
+
+            return {
+                detections: poses.map(pose => ({
+                    class: 'person',
+                    score: pose.score,
+                    bbox: keypointsBox(pose.keypoints.filter(k => k.score >= keypointMinScore))
+                })),
+                poses
+            };
+        },
+        blazeface: async (input, { threshold }, scale) => {
+            const faces = (await models.blazeface.estimateFaces(input, false))
+                .map(face => {
+                    const [x1, y1] = face.topLeft;
+                    const [x2, y2] = face.bottomRight;
+                    return {
+                        score: face.probability[0],
+                        bbox: scaleBox([x1, y1, x2 - x1, y2 - y1], scale),
+                        landmarks: face.landmarks.map(([x, y]) => [x * scale.sx, y * scale.sy])
+                    };
+                })
+                .filter(face => face.score >= threshold);
+
+            return {
+                detections: faces.map(face => ({ class: 'face', score: face.score, bbox: face.bbox })),
+                faces
+            };
+        },
+        // Clasifica el frame completo: no localiza objetos
+        mobilenet: async (input, { topK }) => {
+            const predictions = await models.mobilenet.classify(input, topK);
+            return {
+                detections: [],
+                classifications: predictions.map(p => ({ label: p.className, probability: p.probability }))
+            };
+        }
+    };
+
+    // options: threshold, keypointMinScore, topK y el tamaño (width,
+    // height) del fotograma completo. La imagen se cierra al terminar
+    async function infer(id, image, { width, height, ...options }) {
+        const start = performance.now();
+        let input = null;
+        try {
+            input = tf.browser.fromPixels(image);
+            const scale = { sx: width / image.width, sy: height / image.height };
+            const result = await INFER[id](input, options, scale);
+            return { result, inferenceMs: performance.now() - start, backend: tf.getBackend() };
+        } finally {
+            if (input) input.dispose();
+            image.close();
+        }
+    }
+
+    return {
+        setBackend,
+        load,
+        infer
+    };
+}
+
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    let registry = { models: {}, libraries: {} };
+    let runners = null;
+    const loadedLibraries = new Map();        // id -> URL cargada
+
+    // importScripts es síncrono: la copia local o, si falta o falla, la
+    // de la CDN
+    async function loadLibrary(id) {
+        if (loadedLibraries.has(id)) return loadedLibraries.get(id);
+
+        const library = registry.libraries[id];
+        if (!library) throw new Error(`Librería desconocida: ${id}`);
+
+        const urls = library.available ? [library.url, library.source] : [library.source];
+        for (const url of urls) {
+            try {
+                importScripts(url);
+                loadedLibraries.set(id, url);
+                return url;
+            } catch (error) {
+                console.warn(`⚠️ No se pudo cargar ${url}:`, error);
+            }
+        }
+        throw new Error(`No se pudo cargar ${library.name}`);
+    }
+
+    function modelUrl(id) {
+        const entry = registry.models[id];
+        return entry && entry.available ? entry.url : undefined;
+    }
+
+    const handlers = {
+        async init(params) {
+            registry = params.registry;
+            await loadLibrary('tfjs');
+            runners = createInferenceRunners({ loadLibrary, modelUrl });
+            return runners.setBackend(params.backend);
+        },
+        backend: ({ backend }) => runners.setBackend(backend),
+        load: ({ model }) => runners.load(model),
+        infer: ({ model, image, options }) => runners.infer(model, image, options)
+    };
+
+    self.onmessage = async ({ data }) => {
+        const { id, type, ...params } = data;
+        try {
+            if (type !== 'init' && !runners) throw new Error('El worker de inferencia no está iniciado');
+            const value = await handlers[type](params);
+            self.postMessage({ id, value }, transferables(value));
+        } catch (error) {
+            self.postMessage({ id, error: error.message || String(error) });
+        }
+    };
+}
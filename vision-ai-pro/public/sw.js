@@ -0,0 +1,110 @@
+// ==========================================
+// VISION AI PRO - SERVICE WORKER
+// ==========================================
+// Guarda la aplicación, las librerías de vendor/ y los pesos de models/
+// para que la página funcione sin conexión con el servidor. La telemetría
+// no pasa por aquí: la página la encola y la reenvía al volver la conexión.
+//
+// - vendor/ y models/: primero la caché (no cambian sin cambiar de ruta)
+// - páginas, el worker de inferencia y /api/models: primero la red y, si
+//   falla, la última copia
+// - el resto de /api: siempre a la red
+//
+// Al cambiar CACHE_VERSION se descarta la caché anterior.
+
+const CACHE_VERSION = 'v2';
+const CACHE_NAME = `vision-ai-pro-${CACHE_VERSION}`;
+const APP_SHELL = ['/', '/logs.html', '/inference-worker.js'];
+const MODELS_URL = '/api/models';
+
+// Librerías y modelos disponibles en el servidor, según /api/models
+async function vendoredUrls() {
+    const response = await fetch(MODELS_URL, { cache: 'no-store' });
+    if (!response.ok) return { response: null, urls: [] };
+
+    const registry = await response.clone().json();
+    const urls = [
+        ...registry.libraries.filter(library => library.available).flatMap(library => library.files),
+        ...registry.models.filter(model => model.available).flatMap(model => model.files)
+    ];
+    return { response, urls };
+}
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.addAll(APP_SHELL);
+
+        // Sin /api/models se instala igual: las librerías y los modelos se
+        // guardarán la primera vez que la página los pida
+        try {
+            const { response, urls } = await vendoredUrls();
+            if (response) await cache.put(MODELS_URL, response);
+            const cached = await Promise.all(urls.map(url => cache.match(url)));
+            await cache.addAll(urls.filter((url, i) => !cached[i]));
+        } catch (error) {
+            console.warn('⚠️ No se pudieron guardar los modelos para uso sin conexión:', error);
+        }
+
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('vision-ai-pro-') && name !== CACHE_NAME)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(CACHE_NAME);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+// Sin cacheKey la respuesta no se guarda, pero sin conexión se sirve la de
+// fallbackKey
+async function networkFirst(request, cacheKey, fallbackKey = cacheKey) {
+    try {
+        const response = await fetch(request);
+        if (response.ok && cacheKey) {
+            const cache = await caches.open(CACHE_NAME);
+            cache.put(cacheKey, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(fallbackKey);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (url.pathname.startsWith('/vendor/') || url.pathname.startsWith('/models/')) {
+        event.respondWith(cacheFirst(request));
+    } else if (url.pathname === MODELS_URL) {
+        event.respondWith(networkFirst(request, MODELS_URL));
+    } else if (request.mode === 'navigate') {
+        // Sin conexión, las páginas que no están en APP_SHELL muestran la
+        // aplicación, como hace el servidor con las rutas desconocidas
+        const cacheKey = APP_SHELL.includes(url.pathname) ? url.pathname : null;
+        event.respondWith(networkFirst(request, cacheKey, cacheKey || '/'));
+    } else if (APP_SHELL.includes(url.pathname)) {
+        // El worker de inferencia
+        event.respondWith(networkFirst(request, url.pathname));
+    }
+});
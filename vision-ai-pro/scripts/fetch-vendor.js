@@ -0,0 +1,84 @@
+// ==========================================
+// VISION AI PRO - DESCARGA DE MODELOS Y LIBRERÍAS
+// ==========================================
+// Copia en vendor/ las librerías que usa el navegador y en models/ los pesos
+// de los modelos (los de COCO-SSD también los usa /api/detect), para
+// versionarlos con el proyecto y funcionar sin acceso a Internet. El
+// servidor nunca los descarga en tiempo de ejecución.
+//
+//   npm run vendor:fetch              descarga lo que falte
+//   npm run vendor:fetch -- --force   vuelve a descargarlo todo
+//
+// La lista está en api/lib/models.js. Con MODELS_DIR y VENDOR_DIR se
+// guardan en otros directorios.
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../api/lib/config');
+const { LIBRARIES, MODELS, weightFiles, createModelRegistry } = require('../api/lib/models');
+
+const force = process.argv.includes('--force');
+
+async function download(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`${url} respondió ${response.status}`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+}
+
+async function fetchLibrary(library) {
+  const dir = path.join(config.models.vendorDir, library.id, library.version);
+  fs.mkdirSync(dir, { recursive: true });
+
+  // Los assets están en la CDN junto al fichero principal
+  for (const asset of library.assets || []) {
+    fs.writeFileSync(path.join(dir, asset), await download(new URL(asset, library.source).href));
+    console.log('📥', `${library.id}@${library.version}/${asset}`);
+  }
+
+  fs.writeFileSync(path.join(dir, library.file), await download(library.source));
+  console.log('📥', `${library.id}@${library.version}`);
+}
+
+async function fetchModel(model) {
+  const dir = path.join(config.models.modelsDir, model.dir);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const modelJson = await download(model.source);
+  const files = weightFiles(JSON.parse(modelJson.toString('utf8')));
+
+  for (const file of files) {
+    // Los pesos van junto a model.json y con su misma query (TF Hub)
+    const url = new URL(file, model.source);
+    url.search = new URL(model.source).search;
+    fs.writeFileSync(path.join(dir, file), await download(url.href));
+    console.log('📥', `${model.dir}/${file}`);
+  }
+
+  // model.json al final: si la descarga se corta, el modelo no figura como
+  // disponible (y /api/detect responde MODEL_UNAVAILABLE) en vez de
+  // cargarse con pesos a medias
+  fs.writeFileSync(path.join(dir, 'model.json'), modelJson);
+}
+
+async function main() {
+  const registry = createModelRegistry(config.models);
+  const current = registry.list();
+  const isAvailable = (entries, id) => !force && entries.find(entry => entry.id === id).available;
+
+  for (const library of LIBRARIES) {
+    if (!isAvailable(current.libraries, library.id)) await fetchLibrary(library);
+  }
+  for (const model of MODELS) {
+    if (!isAvailable(current.models, model.id)) await fetchModel(model);
+  }
+
+  const { models, libraries, bytes } = registry.summary();
+  console.log(`✅ ${models} modelos y ${libraries} librerías disponibles (${(bytes / 1024 / 1024).toFixed(1)} MB)`);
+}
+
+main().catch(error => {
+  console.error('❌ Error en la descarga:', error.message);
+  process.exit(1);
+});